@@ -11,6 +11,8 @@ export default [
         process: "readonly",
         setTimeout: "readonly",
         clearTimeout: "readonly",
+        Buffer: "readonly",
+        AbortController: "readonly",
       },
     },
     rules: {
@@ -0,0 +1,124 @@
+import * as path from "path";
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import * as healthCheckCore from "../core/health-check.js";
+import * as reporters from "../core/reporters.js";
+
+/**
+ * Headless preflight runner
+ * Runs the same checks as the extension from a terminal or CI pipeline.
+ *
+ *   sf-preflight check [--project <dir>] [--format text|json|junit|markdown|html] [--output <file>]
+ *                      [--timeout <secs>] [--fail-on-warnings] [--check-updates]
+ *
+ * Exit codes: 0 when all mandatory checks pass, 1 when issues are found, 2 on usage errors.
+ */
+
+const USAGE = `Usage: sf-preflight check [options]
+
+Options:
+  -p, --project <dir>     Project folder to check (default: current directory)
+  -f, --format <format>   Output format: text, json, junit, markdown or html
+                          (default: text)
+  -o, --output <file>     Write the report to a file instead of stdout
+  -t, --timeout <secs>    Per-check timeout in seconds (default: 30)
+      --fail-on-warnings  Exit non-zero when advisory checks fail
+      --check-updates     Look up the latest Salesforce CLI on the npm registry
+  -h, --help              Show this help`;
+
+const FORMATTERS = {
+  text: (results) => reporters.formatText(results),
+  json: (results) => reporters.formatJson(results),
+  junit: (results, options) => reporters.formatJUnit(results, options),
+  markdown: (results) => reporters.formatMarkdown(results),
+  html: (results) => reporters.formatHtml(results),
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        project: { type: "string", short: "p" },
+        format: { type: "string", short: "f", default: "text" },
+        output: { type: "string", short: "o" },
+        timeout: { type: "string", short: "t", default: "30" },
+        "fail-on-warnings": { type: "boolean", default: false },
+        "check-updates": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const command = positionals[0] || "check";
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (command !== "check") {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  const format = FORMATTERS[values.format];
+  if (!format) {
+    console.error(`Unknown format "${values.format}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  const timeoutSeconds = Number(values.timeout);
+  if (!(timeoutSeconds > 0)) {
+    console.error(`Invalid timeout "${values.timeout}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  const projectPath = path.resolve(values.project || process.cwd());
+  const isInteractive = process.stderr.isTTY && values.format === "text";
+
+  const results = await healthCheckCore.runChecks({
+    rootPaths: [projectPath],
+    timeoutMs: timeoutSeconds * 1000,
+    checkUpdates: values["check-updates"],
+    onProgress: (message) => {
+      if (isInteractive) {
+        process.stderr.write(`${message}\n`);
+      }
+    },
+  });
+
+  if (results.policy.error) {
+    console.error(
+      `Invalid preflight policy, using defaults. ${results.policy.error}`
+    );
+  }
+  for (const warning of results.policy.warnings || []) {
+    console.error(`Preflight policy: ${warning}`);
+  }
+
+  const failOnWarnings = values["fail-on-warnings"];
+  const report = format(results, { failOnWarnings });
+
+  if (values.output) {
+    await fs.writeFile(path.resolve(values.output), report, "utf8");
+    console.log(reporters.formatText(results));
+    console.log(`\nReport written to ${values.output}`);
+  } else {
+    console.log(report);
+  }
+
+  const { hasIssues, hasWarnings } = healthCheckCore.evaluateResults(results);
+  return hasIssues || (failOnWarnings && hasWarnings) ? 1 : 0;
+}
@@ -0,0 +1,415 @@
+import * as path from "path";
+import fs from "fs/promises";
+import {
+  findProperty,
+  getPosition,
+  getRange,
+  parseTree,
+} from "../lib/json-ast.js";
+import { getSalesforceProjects } from "./project.js";
+import { runSfJson } from "./sf-cli.js";
+
+/**
+ * Metadata API version drift
+ * Collects the `<apiVersion>` of every `*-meta.xml` in the package directories
+ * of each project and compares it with the project's `sourceApiVersion`, the
+ * policy floor and the API version the Salesforce CLI uses with the default
+ * org.
+ */
+
+/** Metadata files that carry an API version */
+const META_FILE_SUFFIX = "-meta.xml";
+
+/** Captures the version inside the `<apiVersion>` element */
+const API_VERSION_PATTERN = /<apiVersion>\s*(\d+(?:\.\d+)?)\s*<\/apiVersion>/;
+
+/** API version format used by sfdx-project.json and metadata files */
+const API_VERSION_FORMAT = /^\d+\.0$/;
+
+/** Folders never scanned inside a package directory */
+const SKIPPED_DIRECTORIES = new Set([".git", ".sf", ".sfdx", "node_modules"]);
+
+/** Config variable overriding the API version of every CLI request */
+const ORG_API_VERSION_CONFIG = "org-api-version";
+
+/**
+ * @typedef {Object} ApiVersionFile
+ * @property {string} path - Absolute path
+ * @property {string} relativePath - Path relative to the project
+ * @property {string} version
+ * @property {{start: {line: number, character: number}, end: {line: number, character: number}}} range - Zero-based range of the version
+ */
+
+/**
+ * @typedef {Object} ProjectApiVersions
+ * @property {true} isSFDXProject
+ * @property {string} name - Project name
+ * @property {string} rootPath - Project folder
+ * @property {{version: string, path: string, range: Object} | null} sourceApiVersion
+ * @property {string | null} floor
+ * @property {ApiVersionFile[]} files
+ * @property {{version: string, count: number}[]} histogram
+ * @property {ApiVersionFile[]} belowFloor
+ * @property {ApiVersionFile[]} aboveSource
+ * @property {{value: string, location: string | null} | null} orgApiVersion
+ * @property {string | null} cliApiVersion
+ * @property {string} [cliError]
+ */
+
+/**
+ * Check the API versions of the metadata in every Salesforce DX project
+ * @param {Object} policy - Preflight policy (`minVersions.apiVersion` is the floor)
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string[]} [options.rootPaths] - Project folders
+ * @returns {Promise<{isSFDXProject: boolean, projects: ProjectApiVersions[]}>}
+ */
+export async function checkApiVersions(policy, options = {}) {
+  const { rootPaths = [], ...processOptions } = options;
+  const projects = [];
+  // One at a time: each project runs its own sf processes
+  for (const project of await getSalesforceProjects(rootPaths)) {
+    projects.push(
+      await checkProjectApiVersions(policy, project, processOptions)
+    );
+  }
+  return { isSFDXProject: projects.length > 0, projects };
+}
+
+/**
+ * Check the API versions of the metadata in one Salesforce DX project
+ * @param {Object} policy - Preflight policy (`minVersions.apiVersion` is the floor)
+ * @param {{root: string, path: string, name: string, packageDirectories: Object[]}} project - Project information
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @returns {Promise<ProjectApiVersions>}
+ */
+export async function checkProjectApiVersions(policy, project, options = {}) {
+  const rootPath = project.root;
+  const [sourceApiVersion, files, cli] = await Promise.all([
+    findSourceApiVersion(project.path),
+    scanApiVersions(rootPath, project.packageDirectories),
+    getCliApiVersions({ ...options, cwd: rootPath }),
+  ]);
+
+  const floor = policy.minVersions.apiVersion || null;
+  const source = sourceApiVersion?.version;
+  return {
+    isSFDXProject: true,
+    name: project.name,
+    rootPath,
+    sourceApiVersion,
+    floor,
+    files,
+    histogram: buildHistogram(files),
+    belowFloor: floor
+      ? files.filter((file) => compareApiVersions(file.version, floor) < 0)
+      : [],
+    aboveSource: source
+      ? files.filter((file) => compareApiVersions(file.version, source) > 0)
+      : [],
+    ...cli,
+  };
+}
+
+/**
+ * Find the `<apiVersion>` of every metadata file in the package directories
+ * @param {string} rootPath - Project folder
+ * @param {{path: string}[]} packageDirectories
+ * @returns {Promise<ApiVersionFile[]>} - Sorted by path
+ */
+export async function scanApiVersions(rootPath, packageDirectories = []) {
+  const metaFiles = new Set();
+  for (const directory of packageDirectories) {
+    if (typeof directory.path === "string") {
+      await collectMetaFiles(path.resolve(rootPath, directory.path), metaFiles);
+    }
+  }
+
+  const files = [];
+  for (const filePath of [...metaFiles].sort()) {
+    let text;
+    try {
+      text = await fs.readFile(filePath, "utf8");
+    } catch {
+      continue;
+    }
+    const found = findMetadataApiVersion(text);
+    if (found) {
+      files.push({
+        path: filePath,
+        relativePath: path.relative(rootPath, filePath),
+        ...found,
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * Find the API version in the text of a metadata file or sfdx-project.json,
+ * e.g. an editor buffer with unsaved changes
+ * @param {string} text
+ * @param {string} filePath - Decides how the text is read
+ * @returns {{version: string, range: Object} | null}
+ */
+export function findApiVersion(text, filePath) {
+  return path.basename(filePath) === "sfdx-project.json"
+    ? findSourceApiVersionInText(text)
+    : findMetadataApiVersion(text);
+}
+
+/**
+ * Read a metadata file or sfdx-project.json from disk and find its API
+ * version
+ * @param {string} filePath
+ * @returns {Promise<{text: string, version: string, range: Object} | null>} - null when unreadable or without a version
+ */
+export async function readApiVersion(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch {
+    return null;
+  }
+  const found = findApiVersion(text, filePath);
+  return found ? { text, ...found } : null;
+}
+
+/**
+ * Find the `<apiVersion>` of a metadata file
+ * @param {string} text
+ * @returns {{version: string, range: Object} | null}
+ */
+function findMetadataApiVersion(text) {
+  const match = API_VERSION_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  const offset = match.index + match[0].indexOf(match[1]);
+  return {
+    version: match[1],
+    range: {
+      start: getPosition(text, offset),
+      end: getPosition(text, offset + match[1].length),
+    },
+  };
+}
+
+/**
+ * Walk a folder for metadata files
+ * @param {string} dir
+ * @param {Set<string>} found - Collects absolute paths (package directories may nest)
+ */
+async function collectMetaFiles(dir, found) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+        await collectMetaFiles(entryPath, found);
+      }
+    } else if (entry.name.endsWith(META_FILE_SUFFIX)) {
+      found.add(entryPath);
+    }
+  }
+}
+
+/**
+ * Read `sourceApiVersion` and where it is in sfdx-project.json
+ * @param {string} projectPath - sfdx-project.json path
+ * @returns {Promise<{version: string, path: string, range: Object} | null>} - null when missing or not a valid version
+ */
+async function findSourceApiVersion(projectPath) {
+  let text;
+  try {
+    text = await fs.readFile(projectPath, "utf8");
+  } catch {
+    return null;
+  }
+  const found = findSourceApiVersionInText(text);
+  return found ? { ...found, path: projectPath } : null;
+}
+
+/**
+ * Find `sourceApiVersion` in the text of sfdx-project.json
+ * @param {string} text
+ * @returns {{version: string, range: Object} | null} - null when missing or not a valid version
+ */
+function findSourceApiVersionInText(text) {
+  const property = findProperty(parseTree(text).root, "sourceApiVersion");
+  if (
+    !property ||
+    property.value.type !== "string" ||
+    !API_VERSION_FORMAT.test(property.value.value)
+  ) {
+    return null;
+  }
+
+  // Range of the text between the quotes
+  const valueRange = getRange(text, {
+    offset: property.value.offset + 1,
+    length: property.value.length - 2,
+  });
+  return { version: property.value.value, range: valueRange };
+}
+
+/**
+ * Read the `org-api-version` override and the API version the CLI uses with
+ * the default org. Without an override the CLI asks the org for the newest
+ * version it supports, so this is the highest version a deploy can use.
+ * @param {Object} options - Process options, with the project as `cwd`
+ * @returns {Promise<{orgApiVersion: {value: string, location: string | null} | null, cliApiVersion: string | null, cliError?: string}>}
+ */
+async function getCliApiVersions(options) {
+  const config = await runSfJson(
+    ["config", "get", ORG_API_VERSION_CONFIG, "target-org", "--json"],
+    options
+  );
+  if (config.error) {
+    return { orgApiVersion: null, cliApiVersion: null, cliError: config.error };
+  }
+
+  const values = Object.fromEntries(
+    (config.json.result || [])
+      .filter((entry) => entry.value)
+      .map((entry) => [
+        entry.name,
+        { value: entry.value, location: entry.location || null },
+      ])
+  );
+  const orgApiVersion = values[ORG_API_VERSION_CONFIG] || null;
+  if (!values["target-org"]) {
+    return { orgApiVersion, cliApiVersion: null };
+  }
+
+  const display = await runSfJson(["org", "display", "--json"], options);
+  return {
+    orgApiVersion,
+    cliApiVersion: display.json?.result?.apiVersion || null,
+    ...(display.error ? { cliError: display.error } : {}),
+  };
+}
+
+/**
+ * Count the files per API version, newest first
+ * @param {ApiVersionFile[]} files
+ * @returns {{version: string, count: number}[]}
+ */
+export function buildHistogram(files) {
+  const counts = new Map();
+  for (const file of files) {
+    counts.set(file.version, (counts.get(file.version) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([version, count]) => ({ version, count }))
+    .sort((a, b) => compareApiVersions(b.version, a.version));
+}
+
+/**
+ * Compare two API versions ("58.0" < "62.0")
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative, zero or positive
+ */
+export function compareApiVersions(a, b) {
+  return parseFloat(a) - parseFloat(b);
+}
+
+/**
+ * Check the format of an API version ("62.0")
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isApiVersion(version) {
+  return API_VERSION_FORMAT.test(version);
+}
+
+/**
+ * Describe the histogram on one line ("62.0 ×120, 58.0 ×4")
+ * @param {{version: string, count: number}[]} histogram
+ * @returns {string}
+ */
+export function describeHistogram(histogram = []) {
+  return histogram
+    .map(({ version, count }) => `${version} ×${count}`)
+    .join(", ");
+}
+
+/**
+ * Describe what is out of line, one message per problem
+ * @param {Object} result - API version check result
+ * @returns {string[]}
+ */
+export function describeApiVersionProblems(result) {
+  const problems = [];
+  const source = result.sourceApiVersion?.version;
+  const oldest = result.histogram?.[result.histogram.length - 1];
+
+  if (result.belowFloor?.length > 0) {
+    problems.push(
+      `${result.belowFloor.length} metadata file(s) use an API version older than ${result.floor} (oldest ${oldest.version})`
+    );
+  }
+  if (result.aboveSource?.length > 0) {
+    problems.push(
+      `${result.aboveSource.length} metadata file(s) use an API version newer than sourceApiVersion ${source}`
+    );
+  }
+  if (
+    source &&
+    result.cliApiVersion &&
+    compareApiVersions(source, result.cliApiVersion) > 0
+  ) {
+    problems.push(
+      `sourceApiVersion ${source} is newer than the API version ${result.cliApiVersion} the CLI uses with the default org`
+    );
+  }
+  if (source && result.orgApiVersion && result.orgApiVersion.value !== source) {
+    problems.push(
+      `${ORG_API_VERSION_CONFIG} ${result.orgApiVersion.value}${result.orgApiVersion.location ? ` (${result.orgApiVersion.location} config)` : ""} overrides sourceApiVersion ${source}`
+    );
+  }
+  return problems;
+}
+
+/**
+ * Describe the versions that were compared, one line each
+ * @param {Object} result - API version check result
+ * @returns {string[]}
+ */
+export function describeApiVersionSources(result) {
+  const cliLine = result.cliApiVersion
+    ? `The CLI uses API ${result.cliApiVersion} with the default org`
+    : result.cliError
+      ? `Could not read the CLI API version (${result.cliError})`
+      : "No default org to compare with";
+  return [
+    `sourceApiVersion: ${result.sourceApiVersion?.version || "not set"}`,
+    `Metadata: ${describeHistogram(result.histogram) || "no files with an API version"}`,
+    ...(result.floor ? [`Oldest allowed: ${result.floor}`] : []),
+    ...(result.orgApiVersion
+      ? [`${ORG_API_VERSION_CONFIG}: ${result.orgApiVersion.value}`]
+      : []),
+    cliLine,
+  ];
+}
+
+/**
+ * Describe every project of a workspace result, naming the project on each
+ * line when there are several
+ * @param {{projects: ProjectApiVersions[]}} result - API version check result
+ * @param {function(ProjectApiVersions): string[]} describe - e.g. `describeApiVersionProblems`
+ * @returns {string[]}
+ */
+export function describeProjects(result, describe) {
+  const several = result.projects.length > 1;
+  return result.projects.flatMap((project) =>
+    describe(project).map((line) =>
+      several ? `${project.name}: ${line}` : line
+    )
+  );
+}
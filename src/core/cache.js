@@ -0,0 +1,127 @@
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import { findExecutable } from "./system.js";
+
+/**
+ * Health check result caching
+ * Cached results are only reused while the environment they were produced in
+ * is unchanged: same PATH, same tool binaries, same npm prefix and policy,
+ * and the same Java configuration (`java.home` setting, `JAVA_HOME`,
+ * `JDK_HOME`), which the Java check reads before PATH.
+ */
+
+/** Tools whose resolved binary is part of the fingerprint */
+const FINGERPRINT_TOOLS = ["node", "npm", "java", "sf"];
+
+/** Environment variables that point the Java check at a JDK */
+const FINGERPRINT_JAVA_VARIABLES = ["JAVA_HOME", "JDK_HOME"];
+
+/**
+ * Describe the environment a health check runs in
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Active preflight policy
+ * @param {string} [options.javaHome] - `salesforcedx-vscode-apex.java.home` setting
+ * @param {number} [options.timeout] - Timeout for `npm prefix -g` in milliseconds
+ * @returns {Promise<{path: string, binaries: Object<string, {path: string, mtimeMs: number} | null>, npmPrefix: string | null, policy: string | null, java: Object<string, string | null>, hash: string}>}
+ */
+export async function getEnvironmentFingerprint({
+  policy,
+  javaHome,
+  timeout = 10000,
+} = {}) {
+  const binaries = {};
+  await Promise.all(
+    FINGERPRINT_TOOLS.map(async (tool) => {
+      binaries[tool] = await describeBinary(tool);
+    })
+  );
+
+  const prefix = await shell.run("npm", ["prefix", "-g"], { timeout });
+
+  const fingerprint = {
+    path: shell.getSearchPath(),
+    binaries,
+    npmPrefix: prefix.ok ? prefix.stdout : null,
+    policy: policy ? JSON.stringify(policy) : null,
+    java: {
+      javaHome: javaHome || null,
+      ...Object.fromEntries(
+        FINGERPRINT_JAVA_VARIABLES.map((name) => [
+          name,
+          process.env[name] || null,
+        ])
+      ),
+    },
+  };
+
+  return { ...fingerprint, hash: hashFingerprint(fingerprint) };
+}
+
+/**
+ * Resolve a tool on PATH and record its location and modification time,
+ * following symlinks so an upgrade behind a version manager shim is noticed
+ * @param {string} tool
+ * @returns {Promise<{path: string, mtimeMs: number} | null>}
+ */
+async function describeBinary(tool) {
+  const executable = await findExecutable(tool);
+  if (!executable) {
+    return null;
+  }
+
+  try {
+    const realPath = await fs.realpath(executable);
+    const stat = await fs.stat(realPath);
+    return { path: realPath, mtimeMs: stat.mtimeMs };
+  } catch {
+    return { path: executable, mtimeMs: 0 };
+  }
+}
+
+/**
+ * Hash the fingerprint fields in a stable order
+ * @param {Object} fingerprint
+ * @returns {string}
+ */
+function hashFingerprint({ path, binaries, npmPrefix, policy, java }) {
+  const tools = Object.keys(binaries)
+    .sort()
+    .map((tool) => [tool, binaries[tool]]);
+  return createHash("sha256")
+    .update(JSON.stringify([path, tools, npmPrefix, policy, java]))
+    .digest("hex");
+}
+
+/**
+ * Build a cache entry for a set of results
+ * @param {Object} results - Health check results
+ * @param {{hash: string}} fingerprint
+ * @returns {{results: Object, fingerprint: string, cachedAt: number}}
+ */
+export function createCacheEntry(results, fingerprint) {
+  return { results, fingerprint: fingerprint.hash, cachedAt: Date.now() };
+}
+
+/**
+ * Check whether a cache entry can still be used
+ * @param {Object | undefined} entry - Stored cache entry
+ * @param {{hash: string}} fingerprint - Current environment fingerprint
+ * @param {number} validityMs - Maximum age (0 disables the cache)
+ * @returns {{valid: boolean, reason: string}}
+ */
+export function validateCacheEntry(entry, fingerprint, validityMs) {
+  if (!entry || !entry.results) {
+    return { valid: false, reason: "no cached results" };
+  }
+  if (validityMs <= 0) {
+    return { valid: false, reason: "caching disabled" };
+  }
+  if (Date.now() - entry.cachedAt >= validityMs) {
+    return { valid: false, reason: "cached results expired" };
+  }
+  if (entry.fingerprint !== fingerprint.hash) {
+    return { valid: false, reason: "environment changed" };
+  }
+  return { valid: true, reason: "environment unchanged" };
+}
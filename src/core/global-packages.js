@@ -0,0 +1,199 @@
+import * as os from "os";
+import * as path from "path";
+import { constants } from "fs";
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import { findExecutable } from "./system.js";
+
+/**
+ * Global package manager detection
+ * Finds where npm, pnpm or yarn install global packages, whether that
+ * directory is writable, and installs packages one by one.
+ */
+
+/**
+ * Supported global package managers.
+ * `globalDir` returns the command printing the global node_modules directory
+ * (npm prints the prefix instead), `install` the arguments for one package.
+ */
+const GLOBAL_MANAGERS = {
+  npm: {
+    globalDir: ["prefix", "-g"],
+    list: ["ls", "-g", "--json", "--depth=0"],
+    install: (spec) => ["install", "-g", spec],
+  },
+  pnpm: {
+    globalDir: ["root", "-g"],
+    list: ["ls", "-g", "--json", "--depth=0"],
+    install: (spec) => ["add", "-g", spec],
+  },
+  yarn: {
+    globalDir: ["global", "dir"],
+    list: null,
+    install: (spec) => ["global", "add", spec],
+  },
+};
+
+/** Directory used by the user-level npm prefix fix */
+export const USER_PREFIX = path.join(os.homedir(), ".npm-global");
+
+/**
+ * Resolve the global package manager.
+ * "auto" picks pnpm when it has been set up (PNPM_HOME), then npm, then yarn.
+ * @param {string} [preferred] - "auto", "npm", "pnpm" or "yarn"
+ * @returns {Promise<string>}
+ */
+export async function detectGlobalPackageManager(preferred = "auto") {
+  if (GLOBAL_MANAGERS[preferred]) {
+    return preferred;
+  }
+  if (process.env.PNPM_HOME && (await findExecutable("pnpm"))) {
+    return "pnpm";
+  }
+  if (await findExecutable("npm")) {
+    return "npm";
+  }
+  return (await findExecutable("yarn")) ? "yarn" : "npm";
+}
+
+/**
+ * Get the arguments that list global packages as JSON
+ * (null when the manager has no JSON listing, e.g. yarn)
+ * @param {string} manager
+ * @returns {string[] | null}
+ */
+export function getListArgs(manager) {
+  return (GLOBAL_MANAGERS[manager] || GLOBAL_MANAGERS.npm).list;
+}
+
+/**
+ * Locate the global package directory and check that it is writable
+ * @param {string} manager
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @returns {Promise<{manager: string, prefix: string | null, directory: string | null, writable: boolean, error?: string}>}
+ */
+export async function getGlobalLocation(manager, options = {}) {
+  const definition = GLOBAL_MANAGERS[manager] || GLOBAL_MANAGERS.npm;
+  const result = await shell.run(manager, definition.globalDir, options);
+  if (!result.ok || !result.stdout) {
+    return {
+      manager,
+      prefix: null,
+      directory: null,
+      writable: false,
+      error: result.error,
+    };
+  }
+
+  const reported = result.stdout.split(/\r?\n/)[0].trim();
+  const prefix = manager === "npm" ? reported : null;
+  const directory =
+    manager === "npm"
+      ? process.platform === "win32"
+        ? path.join(prefix, "node_modules")
+        : path.join(prefix, "lib", "node_modules")
+      : manager === "yarn"
+        ? path.join(reported, "node_modules")
+        : reported;
+
+  return {
+    manager,
+    prefix,
+    directory,
+    writable: await isWritable(directory),
+  };
+}
+
+/**
+ * Check write access to a directory, or to its closest existing parent
+ * when it has not been created yet
+ * @param {string} directory
+ * @returns {Promise<boolean>}
+ */
+async function isWritable(directory) {
+  let current = directory;
+  for (;;) {
+    try {
+      await fs.access(current, constants.W_OK);
+      return true;
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== "ENOENT" || parent === current) {
+        return false;
+      }
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Switch npm to a prefix in the user's home directory, so global installs
+ * no longer need root. The prefix `bin` directory must be added to PATH.
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @returns {Promise<{ok: boolean, prefix: string, binDirectory: string, error?: string}>}
+ */
+export async function useUserPrefix(options = {}) {
+  const binDirectory =
+    process.platform === "win32" ? USER_PREFIX : path.join(USER_PREFIX, "bin");
+  await fs.mkdir(USER_PREFIX, { recursive: true });
+  const result = await shell.run(
+    "npm",
+    ["config", "set", "prefix", USER_PREFIX],
+    options
+  );
+  return {
+    ok: result.ok,
+    prefix: USER_PREFIX,
+    binDirectory,
+    error: result.error,
+  };
+}
+
+/**
+ * Install global packages one at a time so each gets its own outcome
+ * @param {string} manager
+ * @param {string[]} specs - Package names or name@range specs
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Per package timeout
+ * @param {AbortSignal} [options.signal]
+ * @param {function(string, number, number): void} [options.onProgress] - Called with the spec, its index and the total
+ * @returns {Promise<{spec: string, ok: boolean, status: string, error?: string, durationMs: number}[]>}
+ */
+export async function installGlobalPackages(manager, specs, options = {}) {
+  const { onProgress = () => {}, ...processOptions } = options;
+  const definition = GLOBAL_MANAGERS[manager] || GLOBAL_MANAGERS.npm;
+  const outcomes = [];
+
+  for (const [index, spec] of specs.entries()) {
+    onProgress(spec, index, specs.length);
+    const result = await shell.run(
+      manager,
+      definition.install(spec),
+      processOptions
+    );
+    outcomes.push({
+      spec,
+      ok: result.ok,
+      status: result.status,
+      error: result.ok ? undefined : describeInstallError(result),
+      durationMs: result.durationMs,
+    });
+    if (result.status === "aborted") {
+      break;
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Turn a failed install into a short message, recognizing permission errors
+ * @param {import("../lib/shell.js").RunResult} result
+ * @returns {string}
+ */
+function describeInstallError(result) {
+  if (/EACCES|EPERM|permission denied/i.test(shell.output(result))) {
+    return "permission denied writing to the global package directory";
+  }
+  return result.error;
+}
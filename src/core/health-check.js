@@ -0,0 +1,1096 @@
+import * as path from "path";
+import { CHECK_LEVELS, TIME_INTERVALS } from "../lib/constants.js";
+import * as policyCore from "./policy.js";
+import * as apiVersionsCore from "./api-versions.js";
+import * as javaCore from "./java.js";
+import * as nodeCore from "./node.js";
+import * as nodeVersions from "./node-versions.js";
+import * as orgsCore from "./orgs.js";
+import * as sfCliCore from "./sf-cli.js";
+import * as packagesCore from "./packages.js";
+import * as pathAnalysisCore from "./path-analysis.js";
+import * as pluginsCore from "./sf-plugins.js";
+import * as projectCore from "./project.js";
+import * as projectDependenciesCore from "./project-dependencies.js";
+import * as shellEnvCore from "./shell-env.js";
+import * as systemCore from "./system.js";
+
+/**
+ * Health check orchestration
+ * Runs every check against a policy and classifies the results.
+ * Shared by the VS Code extension and the headless CLI.
+ */
+
+const DEFAULT_CHECK_TIMEOUT_MS = TIME_INTERVALS.CHECK_TIMEOUT;
+
+/** Checks that share one `sf plugins` listing per run */
+const PLUGIN_CHECKS = ["sfPlugins", "codeAnalyzer"];
+
+/**
+ * Checks that read project files (version pins, package.json, node_modules,
+ * sfdx-project.json, metadata, code-analyzer.yml) or the project's default
+ * org, none of which the environment fingerprint covers
+ */
+export const PROJECT_CHECKS = [
+  "node",
+  "packages",
+  "codeAnalyzer",
+  "orgs",
+  "apiVersions",
+  "projectDependencies",
+];
+
+/**
+ * Check definitions, in display order.
+ * `key` is the property on the results object holding the check result;
+ * `options` carries the signal and timeout for the processes a check spawns;
+ * `pluginList` is the `sf plugins` listing shared by the plugin checks.
+ */
+const CHECKS = [
+  {
+    id: "node",
+    key: "node",
+    name: "Node.js",
+    run: ({ policy, options, rootPaths }) =>
+      nodeCore.checkNodeJS(policy, { ...options, rootPaths }),
+  },
+  {
+    id: "java",
+    key: "java",
+    name: "Java",
+    run: ({ policy, options, javaHome }) =>
+      javaCore.checkJava(policy, { ...options, javaHome }),
+  },
+  {
+    id: "salesforceCLI",
+    key: "salesforceCLI",
+    name: "Salesforce CLI",
+    run: ({ policy, options, checkUpdates }) =>
+      sfCliCore.checkSalesforceCLI(policy, { ...options, checkUpdates }),
+  },
+  {
+    id: "packages",
+    key: "packages",
+    name: "npm packages",
+    run: ({ policy, options, rootPaths, packageManager }) =>
+      packagesCore.checkPackages(policy, {
+        ...options,
+        rootPaths,
+        packageManager,
+      }),
+  },
+  {
+    id: "sfPlugins",
+    key: "sfPlugins",
+    name: "SF CLI plugins",
+    run: ({ policy, options, pluginList }) =>
+      pluginsCore.checkPlugins(policy, { ...options, pluginList }),
+  },
+  {
+    id: "codeAnalyzer",
+    key: "codeAnalyzer",
+    name: "Code Analyzer",
+    run: ({ options, rootPaths, pluginList }) =>
+      pluginsCore.checkCodeAnalyzer({ ...options, rootPaths, pluginList }),
+  },
+  {
+    id: "orgs",
+    key: "orgs",
+    name: "Org authorization",
+    run: ({ options, rootPaths }) =>
+      orgsCore.checkOrgs({ ...options, rootPaths }),
+  },
+  {
+    id: "apiVersions",
+    key: "apiVersions",
+    name: "API versions",
+    run: ({ policy, options, rootPaths }) =>
+      apiVersionsCore.checkApiVersions(policy, { ...options, rootPaths }),
+  },
+  {
+    id: "pathAnalysis",
+    key: "pathAnalysis",
+    name: "PATH",
+    run: ({ options }) => pathAnalysisCore.analyzePath(options),
+  },
+  {
+    id: "shellEnvironment",
+    key: "shellEnvironment",
+    name: "Shell environment",
+    run: ({ options }) => shellEnvCore.checkShellEnvironment(options),
+  },
+  {
+    id: "projectDependencies",
+    key: "projectDependencies",
+    name: "Project dependencies",
+    run: ({ rootPaths }) =>
+      projectDependenciesCore.checkProjectDependencies(rootPaths),
+  },
+];
+
+/**
+ * Run all enabled checks concurrently.
+ * Each check is bounded by `timeoutMs`; a check that does not finish in time
+ * (or is still running when `signal` aborts) yields `{ timedOut: true }` or
+ * `{ cancelled: true }` instead of blocking the others.
+ * @param {Object} options
+ * @param {string[]} options.rootPaths - Project folders (policy and project lookup)
+ * @param {Object} [options.policy] - Preflight policy (loaded from rootPaths if omitted)
+ * @param {number} [options.timeoutMs] - Per-check timeout
+ * @param {AbortSignal} [options.signal] - Cancels checks that are still running
+ * @param {string} [options.javaHome] - `salesforcedx-vscode-apex.java.home` setting, when running inside VS Code
+ * @param {string} [options.packageManager] - Global package manager ("auto" detects it)
+ * @param {boolean} [options.checkUpdates] - Look up the latest Salesforce CLI release on the npm registry
+ * @param {string[]} [options.checkIds] - Run only these checks (the project is always detected)
+ * @param {function(string, number): void} [options.onProgress] - Called with a message and a percentage increment
+ * @returns {Promise<Object>} - Results, including `durations` (ms per check) and `cancelled`
+ */
+export async function runChecks({
+  rootPaths,
+  policy,
+  timeoutMs = DEFAULT_CHECK_TIMEOUT_MS,
+  signal,
+  javaHome,
+  packageManager,
+  checkUpdates = false,
+  checkIds,
+  onProgress = () => {},
+}) {
+  const results = {
+    java: null,
+    node: null,
+    salesforceCLI: null,
+    packages: null,
+    sfPlugins: null,
+    codeAnalyzer: null,
+    orgs: null,
+    apiVersions: null,
+    pathAnalysis: null,
+    shellEnvironment: null,
+    projectDependencies: null,
+    isSFDXProject: false,
+    projectInfo: null,
+    projects: [],
+    policy: null,
+    timestamp: new Date().toISOString(),
+    system: systemCore.getSystemInfo(),
+    durations: {},
+    cancelled: false,
+  };
+
+  if (!policy) {
+    onProgress("Loading preflight policy...", 0);
+  }
+  const activePolicy = policy || (await policyCore.loadPolicy(rootPaths));
+  results.policy = activePolicy;
+
+  const enabled = CHECKS.filter(
+    (check) =>
+      (!checkIds || checkIds.includes(check.id)) &&
+      policyCore.getCheckLevel(activePolicy, check.id) !== CHECK_LEVELS.OFF
+  );
+  const tasks = [
+    ...enabled,
+    {
+      id: "project",
+      key: "project",
+      name: "project",
+      run: () => checkProject(rootPaths),
+    },
+  ];
+
+  // Both plugin checks read the same (slow) `sf plugins` listing
+  const options = { signal, timeout: timeoutMs };
+  const pluginList = enabled.some((check) => PLUGIN_CHECKS.includes(check.id))
+    ? pluginsCore.listPlugins(options)
+    : null;
+
+  onProgress(`Running ${tasks.length} checks...`, 0);
+  let completed = 0;
+
+  await Promise.all(
+    tasks.map(async (check) => {
+      const outcome = await runWithTimeout(
+        () =>
+          check.run({
+            policy: activePolicy,
+            rootPaths,
+            javaHome,
+            packageManager,
+            checkUpdates,
+            pluginList,
+            options,
+          }),
+        { timeoutMs, signal }
+      );
+      results.durations[check.id] = outcome.durationMs;
+
+      if (check.id === "project") {
+        Object.assign(results, outcome.value || {});
+      } else if (outcome.timedOut) {
+        results[check.key] = {
+          timedOut: true,
+          error: `Timed out after ${timeoutMs / 1000}s`,
+        };
+      } else if (outcome.cancelled) {
+        results[check.key] = { cancelled: true, error: "Cancelled" };
+      } else {
+        results[check.key] = outcome.value;
+      }
+
+      completed += 1;
+      onProgress(
+        `${completed}/${tasks.length} checks complete (${check.name})`,
+        100 / tasks.length
+      );
+    })
+  );
+
+  results.cancelled = Boolean(signal && signal.aborted);
+  return results;
+}
+
+/**
+ * Replace the results of some checks, and the detected projects, in an
+ * earlier result set
+ * @param {Object} previous - Earlier results
+ * @param {Object} fresh - Results of a run limited to `checkIds`
+ * @param {string[]} checkIds
+ * @returns {Object}
+ */
+export function mergeResults(previous, fresh, checkIds) {
+  const keys = CHECKS.filter((check) => checkIds.includes(check.id)).map(
+    (check) => check.key
+  );
+  return {
+    ...previous,
+    ...Object.fromEntries(keys.map((key) => [key, fresh[key]])),
+    isSFDXProject: fresh.isSFDXProject,
+    projectInfo: fresh.projectInfo,
+    projects: fresh.projects,
+    durations: fresh.durations,
+    cancelled: fresh.cancelled,
+  };
+}
+
+/**
+ * Detect the Salesforce DX projects, including nested ones
+ * @param {string[]} rootPaths
+ * @returns {Promise<{isSFDXProject: boolean, projectInfo: Object | null, projects: Object[]}>} - `projectInfo` is the first project
+ */
+async function checkProject(rootPaths) {
+  const projects = await projectCore.getSalesforceProjects(rootPaths);
+  return {
+    isSFDXProject: projects.length > 0,
+    projectInfo: projects[0] || null,
+    projects,
+  };
+}
+
+/**
+ * Run a task, giving up when it exceeds the timeout or the signal aborts
+ * @param {function(): Promise<*>} task
+ * @param {Object} options
+ * @param {number} options.timeoutMs
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{value?: *, timedOut?: boolean, cancelled?: boolean, durationMs: number}>}
+ */
+export async function runWithTimeout(task, { timeoutMs, signal }) {
+  const start = Date.now();
+  let timer;
+  let onAbort;
+
+  if (signal && signal.aborted) {
+    return { cancelled: true, durationMs: 0 };
+  }
+
+  const outcome = await Promise.race([
+    task().then(
+      (value) => ({ value }),
+      (error) => ({ value: { error: error.message } })
+    ),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ timedOut: true }), timeoutMs);
+    }),
+    new Promise((resolve) => {
+      if (signal) {
+        onAbort = () => resolve({ cancelled: true });
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    }),
+  ]);
+
+  clearTimeout(timer);
+  if (signal && onAbort) {
+    signal.removeEventListener("abort", onAbort);
+  }
+
+  return { ...outcome, durationMs: Date.now() - start };
+}
+
+/**
+ * Format per-check durations for logging, slowest first
+ * @param {Object<string, number>} durations
+ * @returns {string}
+ */
+export function formatDurations(durations = {}) {
+  return Object.entries(durations)
+    .sort(([, a], [, b]) => b - a)
+    .map(([id, ms]) => `${id} ${ms}ms`)
+    .join(", ");
+}
+
+/**
+ * Summarize results into one entry per check.
+ * A failing mandatory check has status "fail", a failing advisory check "warn".
+ * Checks that timed out or were cancelled are reported as warnings with `incomplete` set.
+ * @param {Object} results
+ * @returns {{status: 'pass' | 'warn' | 'fail', checks: {id: string, name: string, status: string, level: string, message: string, details: string[], incomplete?: boolean}[]}}
+ */
+export function summarizeResults(results) {
+  const policy = results.policy || policyCore.getDefaultPolicy();
+  const checks = [];
+
+  /**
+   * Add a check entry, resolving its status from the policy level
+   * @param {string} id
+   * @param {string} name
+   * @param {boolean} passed
+   * @param {string} message
+   * @param {string[]} [details]
+   * @param {Object} [flags]
+   * @param {boolean} [flags.warning] - Downgrade a passing check to a warning
+   */
+  const add = (id, name, passed, message, details = [], { warning } = {}) => {
+    const level = policyCore.getCheckLevel(policy, id);
+    const status = passed
+      ? warning
+        ? "warn"
+        : "pass"
+      : level === CHECK_LEVELS.MANDATORY
+        ? "fail"
+        : "warn";
+    checks.push({ id, name, status, level, message, details });
+  };
+
+  /**
+   * Message for a tool that could not be used: missing from PATH, or
+   * present but failing to run (non-zero exit, timeout)
+   * @param {Object} result - Check result with `errorType` and `error`
+   * @param {string} notInstalled - Message when the tool is not installed
+   * @param {string} name - Tool name
+   * @returns {string}
+   */
+  const describeUnavailable = (result, notInstalled, name) =>
+    !result.errorType || result.errorType === "not-found"
+      ? notInstalled
+      : `${name} is installed but failed to run (${result.error})`;
+
+  const isIncomplete = (result) =>
+    Boolean(result && (result.timedOut || result.cancelled));
+
+  for (const { id, key, name } of CHECKS) {
+    const result = results[key];
+    if (isIncomplete(result)) {
+      checks.push({
+        id,
+        name,
+        status: "warn",
+        level: policyCore.getCheckLevel(policy, id),
+        message: result.timedOut
+          ? `${name} check timed out (${result.error})`
+          : `${name} check was cancelled`,
+        details: [],
+        incomplete: true,
+      });
+    }
+  }
+
+  const complete = (result) => (isIncomplete(result) ? null : result);
+  const node = complete(results.node);
+  const java = complete(results.java);
+  const salesforceCLI = complete(results.salesforceCLI);
+  const packages = complete(results.packages);
+  const sfPlugins = complete(results.sfPlugins);
+  const projectDependencies = complete(results.projectDependencies);
+  const codeAnalyzer = complete(results.codeAnalyzer);
+  const orgs = complete(results.orgs);
+  const apiVersions = complete(results.apiVersions);
+  const pathAnalysis = complete(results.pathAnalysis);
+  const shellEnvironment = complete(results.shellEnvironment);
+
+  /**
+   * Message for a tool the current PATH misses but the login shell finds
+   * @param {string} tool - Tool name on PATH
+   * @param {string} name - Display name
+   * @returns {string | null}
+   */
+  const describeShellOnly = (tool, name) => {
+    const found = shellEnvironment?.tools?.[tool]?.shell;
+    return found && !shellEnvironment.tools[tool].vscode
+      ? `${name}${found.version ? ` ${found.version}` : ""} is installed in your shell (${found.path}) but not on the current PATH`
+      : null;
+  };
+
+  if (node) {
+    const unsatisfied = (node.pins || []).filter(
+      (pin) => pin.satisfied === false
+    );
+    const nodeDetails = [
+      ...(node.path
+        ? [
+            node.manager
+              ? `${node.path} (${nodeVersions.getManagerName(node.manager)})`
+              : node.path,
+          ]
+        : []),
+      ...(node.pins || []).map(
+        (pin) =>
+          `${pin.source}: ${pin.version}${pin.satisfied === false ? " (not satisfied)" : ""}`
+      ),
+    ];
+
+    if (!node.installed) {
+      add(
+        "node",
+        "Node.js",
+        false,
+        describeShellOnly("node", "Node.js") ||
+          describeUnavailable(node, "Node.js is not installed", "Node.js")
+      );
+    } else if (!node.valid) {
+      add(
+        "node",
+        "Node.js",
+        false,
+        `Node.js v${node.version} (requires v${node.minVersion}+)`,
+        nodeDetails
+      );
+    } else if (unsatisfied.length > 0) {
+      add(
+        "node",
+        "Node.js",
+        true,
+        `Node.js v${node.version} does not match ${unsatisfied[0].source} (${unsatisfied[0].version})`,
+        nodeDetails,
+        { warning: true }
+      );
+    } else {
+      add("node", "Node.js", true, `Node.js v${node.version}`, nodeDetails);
+    }
+  }
+
+  if (java) {
+    const source = java.source ? javaCore.describeJavaSource(java.source) : "";
+    const details = [
+      ...(java.path ? [`${java.path} (from ${source})`] : []),
+      ...(java.vendor || java.arch
+        ? [
+            [java.vendor, java.arch, java.isJdk === false ? "JRE" : "JDK"]
+              .filter(Boolean)
+              .join(", "),
+          ]
+        : []),
+      ...(java.warnings || []),
+      ...(java.mismatches || []).map(
+        (other) =>
+          `${javaCore.describeJavaSource(other.source)} points to ${other.home}: ${other.version ? `Java ${other.version}` : other.error}`
+      ),
+      ...(java.pathCandidates || [])
+        .slice(1)
+        .map((candidate) => `Shadowed on PATH: ${candidate}`),
+    ];
+
+    if (!java.installed) {
+      add(
+        "java",
+        "Java",
+        false,
+        java.source && java.source !== javaCore.JAVA_SOURCES.PATH
+          ? `Java from ${source} is not usable (${java.error})`
+          : describeShellOnly("java", "Java") ||
+            describeUnavailable(
+              java,
+              "Java is not in PATH (needed for Apex features)",
+              "Java"
+            ),
+        details
+      );
+    } else if (!java.valid) {
+      const supported = java.supportedVersions;
+      add(
+        "java",
+        "Java",
+        false,
+        supported && !supported.includes(java.majorVersion)
+          ? `Java ${java.version} from ${source} is not a supported version (supported: ${supported.join(", ")})`
+          : `Java ${java.version} from ${source} (requires ${java.minVersion}+)`,
+        details
+      );
+    } else {
+      const mismatched = (java.mismatches || []).length > 0;
+      const warned = (java.warnings || []).length > 0;
+      add(
+        "java",
+        "Java",
+        true,
+        mismatched
+          ? `Java ${java.version} from ${source}, but other Java locations disagree`
+          : warned
+            ? `Java ${java.version} from ${source} (${java.warnings[0]})`
+            : `Java ${java.version} from ${source}`,
+        details,
+        { warning: mismatched || warned }
+      );
+    }
+  }
+
+  if (salesforceCLI) {
+    if (!salesforceCLI.installed) {
+      add(
+        "salesforceCLI",
+        "Salesforce CLI",
+        false,
+        describeShellOnly("sf", "Salesforce CLI") ||
+          describeUnavailable(
+            salesforceCLI,
+            "Salesforce CLI is not installed",
+            "Salesforce CLI"
+          )
+      );
+    } else {
+      const legacy = salesforceCLI.legacySfdx;
+      const cliDetails = [
+        ...(salesforceCLI.path ? [salesforceCLI.path] : []),
+        `Installed with ${sfCliCore.describeInstallMethod(salesforceCLI.installMethod)}${salesforceCLI.channel ? ` (${salesforceCLI.channel} channel)` : ""}`,
+        ...(salesforceCLI.updateAvailable
+          ? [
+              `Update available: v${salesforceCLI.latestVersion} (${salesforceCLI.updateCommand})`,
+            ]
+          : []),
+        ...(legacy
+          ? [`Legacy sfdx-cli v${legacy.version}: ${legacy.path}`]
+          : []),
+      ];
+
+      if (salesforceCLI.valid === false) {
+        add(
+          "salesforceCLI",
+          "Salesforce CLI",
+          false,
+          `Salesforce CLI v${salesforceCLI.version} (requires v${salesforceCLI.minVersion}+)`,
+          cliDetails
+        );
+      } else if (legacy) {
+        add(
+          "salesforceCLI",
+          "Salesforce CLI",
+          true,
+          `Salesforce CLI v${salesforceCLI.version}, but the legacy sfdx-cli v${legacy.version} is also installed and shadows \`sfdx\` commands`,
+          cliDetails,
+          { warning: true }
+        );
+      } else {
+        add(
+          "salesforceCLI",
+          "Salesforce CLI",
+          true,
+          salesforceCLI.updateAvailable
+            ? `Salesforce CLI v${salesforceCLI.version} (v${salesforceCLI.latestVersion} available)`
+            : `Salesforce CLI v${salesforceCLI.version}`,
+          cliDetails
+        );
+      }
+    }
+  }
+
+  if (packages) {
+    if (packages.error) {
+      add(
+        "packages",
+        "npm packages",
+        false,
+        `Could not list global npm packages (${packages.error})`
+      );
+    } else if (!packages.allInstalled) {
+      add(
+        "packages",
+        "npm packages",
+        false,
+        describeRequirementProblems(packages, "npm packages"),
+        policyCore.describeInstalled(packages)
+      );
+    } else {
+      add(
+        "packages",
+        "npm packages",
+        true,
+        "All required npm packages installed",
+        policyCore.describeInstalled(packages)
+      );
+    }
+  }
+
+  // A missing sf is already reported by the Salesforce CLI check
+  if (sfPlugins && sfPlugins.errorType !== "not-found") {
+    // Linked plugins run from a local checkout and often break other setups
+    const linked = pluginsCore.describeLinkedPlugins(sfPlugins.linked);
+    const pluginDetails = [
+      ...policyCore.describeInstalled(sfPlugins),
+      ...linked.map((plugin) => `linked: ${plugin}`),
+    ];
+
+    if (sfPlugins.error) {
+      add(
+        "sfPlugins",
+        "SF CLI plugins",
+        false,
+        `Could not list SF CLI plugins (${sfPlugins.error})`
+      );
+    } else if (!sfPlugins.allInstalled) {
+      add(
+        "sfPlugins",
+        "SF CLI plugins",
+        false,
+        describeRequirementProblems(sfPlugins, "SF plugins"),
+        pluginDetails
+      );
+    } else {
+      add(
+        "sfPlugins",
+        "SF CLI plugins",
+        true,
+        linked.length > 0
+          ? `All required SF CLI plugins installed, but ${linked.length} plugin(s) are linked from local folders`
+          : "All required SF CLI plugins installed",
+        pluginDetails,
+        { warning: linked.length > 0 }
+      );
+    }
+  }
+
+  // Not reported when neither generation is installed nor referenced; the
+  // SF CLI plugins check already reports code-analyzer as missing
+  if (
+    codeAnalyzer &&
+    !codeAnalyzer.error &&
+    (codeAnalyzer.generation !== "none" ||
+      codeAnalyzer.legacyReferences.length > 0)
+  ) {
+    const name = "Code Analyzer";
+    const references = pluginsCore.describeLegacyReferences(
+      codeAnalyzer.legacyReferences,
+      codeAnalyzer.root
+    );
+    const details = [
+      ...(codeAnalyzer.scanner
+        ? [`sfdx-scanner (v4) ${codeAnalyzer.scanner.version}`]
+        : []),
+      ...(codeAnalyzer.codeAnalyzer
+        ? [`code-analyzer (v5) ${codeAnalyzer.codeAnalyzer.version}`]
+        : []),
+      ...codeAnalyzer.projects.map((project) => {
+        const config = project.config
+          ? `Config: ${project.config}`
+          : "No code-analyzer.yml (v5 defaults in use)";
+        return codeAnalyzer.projects.length > 1
+          ? `${project.name}: ${config}`
+          : config;
+      }),
+      ...references.map((reference) => `v4 usage: ${reference}`),
+    ];
+
+    if (codeAnalyzer.generation === "both") {
+      add(
+        "codeAnalyzer",
+        name,
+        false,
+        "Both Code Analyzer v4 (sfdx-scanner) and v5 are installed; uninstall sfdx-scanner",
+        details
+      );
+    } else if (codeAnalyzer.generation === "v4") {
+      add(
+        "codeAnalyzer",
+        name,
+        false,
+        "Code Analyzer v4 (sfdx-scanner) is retired; migrate to v5 (code-analyzer)",
+        details
+      );
+    } else if (references.length > 0) {
+      add(
+        "codeAnalyzer",
+        name,
+        codeAnalyzer.generation === "v5",
+        `${references.length} v4 scanner usage(s) left in the project (e.g. ${references[0]})`,
+        details,
+        { warning: true }
+      );
+    } else {
+      add(
+        "codeAnalyzer",
+        name,
+        true,
+        `Code Analyzer v5 ${codeAnalyzer.codeAnalyzer.version || ""}`.trim(),
+        details
+      );
+    }
+  }
+
+  // A missing sf is already reported by the Salesforce CLI check
+  if (orgs && orgs.errorType !== "not-found") {
+    const name = "Org authorization";
+    if (orgs.error) {
+      add("orgs", name, false, `Could not list orgs (${orgs.error})`);
+    } else {
+      const defaults = orgsCore.describeProjects(orgs, (project) => [
+        orgsCore.describeDefault("Default org", project.targetOrg),
+        orgsCore.describeDefault("Dev Hub", project.targetDevHub, {
+          devHub: true,
+        }),
+      ]);
+      const details = [
+        ...defaults,
+        ...orgs.expiringScratchOrgs.map(
+          (org) =>
+            `Scratch org ${orgsCore.describeOrg(org)}${orgsCore.describeExpiry(org)}`
+        ),
+        ...orgs.orgs
+          .filter((org) => org.tokenExpired && !org.expired)
+          .map(
+            (org) =>
+              `${orgsCore.describeOrg(org)} must be authorized again (${org.connectedStatus})`
+          ),
+        `${orgs.orgs.length} authorized org(s)`,
+        ...orgsCore.describeProjects(orgs, (project) =>
+          project.configError
+            ? [`Could not read the default orgs (${project.configError})`]
+            : []
+        ),
+      ];
+      const broken = orgsCore.describeProjects(orgs, (project) => {
+        const problem = orgsCore.getProjectDefaultProblems(project);
+        return [
+          [problem.targetOrg, "Default org", project.targetOrg, {}],
+          [problem.devHub, "Dev Hub", project.targetDevHub, { devHub: true }],
+        ]
+          .filter(([kind]) => kind && kind !== "not-set")
+          .map(([, label, target, flags]) =>
+            orgsCore.describeDefault(label, target, flags)
+          );
+      });
+      const notSet = orgsCore.describeProjects(orgs, (project) => {
+        const problem = orgsCore.getProjectDefaultProblems(project);
+        if (!problem.targetOrg && !problem.devHub) {
+          return [];
+        }
+        return [
+          problem.targetOrg && problem.devHub
+            ? "No default org or Dev Hub is set"
+            : problem.targetOrg
+              ? "No default org is set"
+              : "No default Dev Hub is set",
+        ];
+      });
+
+      if (broken.length > 0) {
+        add("orgs", name, false, broken.join("; "), details);
+      } else if (notSet.length > 0) {
+        add("orgs", name, true, notSet.join("; "), details, {
+          warning: true,
+        });
+      } else if (orgs.expiringScratchOrgs.length > 0) {
+        const [first] = orgs.expiringScratchOrgs;
+        add(
+          "orgs",
+          name,
+          true,
+          `Scratch org ${first.alias || first.username}${orgsCore.describeExpiry(first)}${orgs.expiringScratchOrgs.length > 1 ? ` and ${orgs.expiringScratchOrgs.length - 1} more expire soon` : ""}`,
+          details,
+          { warning: true }
+        );
+      } else {
+        add("orgs", name, true, defaults.join(", "), details);
+      }
+    }
+  }
+
+  // Only reported for Salesforce DX projects
+  if (apiVersions && apiVersions.isSFDXProject) {
+    const name = "API versions";
+    const problems = apiVersionsCore.describeProjects(
+      apiVersions,
+      apiVersionsCore.describeApiVersionProblems
+    );
+    const details = [
+      ...apiVersionsCore.describeProjects(
+        apiVersions,
+        apiVersionsCore.describeApiVersionSources
+      ),
+      ...problems.slice(1),
+    ];
+
+    if (problems.length > 0) {
+      add("apiVersions", name, false, problems[0], details);
+    } else if (apiVersions.projects.length > 1) {
+      const files = apiVersions.projects.reduce(
+        (count, project) => count + project.files.length,
+        0
+      );
+      add(
+        "apiVersions",
+        name,
+        true,
+        `${files} metadata file(s) in ${apiVersions.projects.length} projects`,
+        details
+      );
+    } else {
+      const [project] = apiVersions.projects;
+      add(
+        "apiVersions",
+        name,
+        true,
+        `${project.files.length} metadata file(s), sourceApiVersion ${project.sourceApiVersion?.version || "not set"}`,
+        details
+      );
+    }
+  }
+
+  if (pathAnalysis) {
+    const { conflicts, missingDirs, tools } = pathAnalysis;
+    const details = [
+      ...Object.entries(tools)
+        .filter(([, tool]) =>
+          tool.candidates.some(
+            (candidate) => candidate.shadowed && !candidate.sameAsActive
+          )
+        )
+        .flatMap(([name, tool]) =>
+          pathAnalysisCore
+            .describeCandidates(tool.candidates)
+            .map((line) => `${name}: ${line}`)
+        ),
+      ...missingDirs.map((dir) => `Missing PATH directory: ${dir}`),
+    ];
+
+    if (conflicts.length > 0) {
+      const [first] = tools[conflicts[0]].candidates;
+      add(
+        "pathAnalysis",
+        "PATH",
+        false,
+        `Several versions of ${conflicts.join(", ")} on PATH; ${first.path} is used`,
+        [...details, pathAnalysisCore.describePathPrecedence()]
+      );
+    } else {
+      add(
+        "pathAnalysis",
+        "PATH",
+        true,
+        missingDirs.length > 0
+          ? `${missingDirs.length} PATH director${missingDirs.length === 1 ? "y does" : "ies do"} not exist`
+          : "No conflicting binaries on PATH",
+        details,
+        { warning: missingDirs.length > 0 }
+      );
+    }
+  }
+
+  // Not reported on Windows, where GUI apps get the terminal environment
+  if (shellEnvironment && shellEnvironment.supported) {
+    const name = "Shell environment";
+    if (shellEnvironment.error) {
+      add(
+        "shellEnvironment",
+        name,
+        true,
+        `Could not read your login shell environment (${shellEnvironment.error})`,
+        [shellEnvironment.shell],
+        { warning: true }
+      );
+    } else {
+      const { tools, shellOnlyTools, differentTools } = shellEnvironment;
+      const details = [
+        `${shellEnvironment.shell} (${shellEnvironment.configFile})`,
+        ...differentTools.map(
+          (tool) =>
+            `${tool}: current PATH has ${tools[tool].vscode.version} at ${tools[tool].vscode.path}, your shell ${tools[tool].shell.version} at ${tools[tool].shell.path}`
+        ),
+        ...shellEnvironment.onlyInShell.map(
+          (dir) => `Only on the shell PATH: ${dir}`
+        ),
+      ];
+
+      if (shellOnlyTools.length > 0) {
+        add(
+          "shellEnvironment",
+          name,
+          false,
+          `Installed in your shell but not on the current PATH: ${shellOnlyTools
+            .map((tool) =>
+              shellEnvCore.describeShellOnlyTool(tool, tools[tool].shell)
+            )
+            .join(", ")}`,
+          [
+            ...details,
+            `Fix: ${shellEnvCore.describeShellPathFix(shellEnvironment.kind)}`,
+          ]
+        );
+      } else {
+        add(
+          "shellEnvironment",
+          name,
+          true,
+          differentTools.length > 0
+            ? `The current PATH and your shell find different versions of ${differentTools.join(", ")}`
+            : "The current PATH finds the same tools as your login shell",
+          details,
+          { warning: differentTools.length > 0 }
+        );
+      }
+    }
+  }
+
+  // Only reported for projects with a package.json
+  if (projectDependencies && projectDependencies.hasPackageJson) {
+    const name = "Project dependencies";
+    const { projects } = projectDependencies;
+    const label = (deps, line) =>
+      projects.length > 1 ? `${deps.name}: ${line}` : line;
+    const details = projects.flatMap((deps) =>
+      [
+        `${deps.root} (${deps.packageManager}${deps.lockfile ? `, ${deps.lockfile}` : ", no lockfile"})`,
+        ...policyCore.describeInstalled(deps),
+      ].map((line) => label(deps, line))
+    );
+    const problems = projects
+      .map((deps) => [deps, describeDependencyProblem(deps)])
+      .filter(([, problem]) => problem)
+      .map(([deps, problem]) => label(deps, problem));
+
+    if (problems.length > 0) {
+      add("projectDependencies", name, false, problems[0], [
+        ...details,
+        ...problems.slice(1),
+      ]);
+    } else {
+      const installed = projects.reduce(
+        (count, deps) => count + deps.installed.length,
+        0
+      );
+      add(
+        "projectDependencies",
+        name,
+        true,
+        projects.length > 1
+          ? `All ${installed} project dependencies installed in ${projects.length} projects`
+          : `All ${installed} project dependencies installed`,
+        details
+      );
+    }
+  }
+
+  const order = CHECKS.map((check) => check.id);
+  checks.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+  const status = checks.some((check) => check.status === "fail")
+    ? "fail"
+    : checks.some((check) => check.status === "warn")
+      ? "warn"
+      : "pass";
+
+  return { status, checks };
+}
+
+/**
+ * Describe what is wrong with the dependencies of one project
+ * @param {Object} deps - Project dependency result
+ * @returns {string | null} - null when everything is installed
+ */
+function describeDependencyProblem(deps) {
+  if (deps.error) {
+    return deps.error;
+  }
+  if (!deps.nodeModulesInstalled && deps.missing.length > 0) {
+    return `Project dependencies are not installed (run \`${projectDependenciesCore.getInstallCommand(deps.packageManager)}\`)`;
+  }
+  if (deps.missing.length > 0 || deps.outdated.length > 0) {
+    return describeRequirementProblems(deps, "project dependencies");
+  }
+  if (deps.outOfSync) {
+    return `node_modules is out of date with ${deps.lockfile}`;
+  }
+  return null;
+}
+
+/**
+ * Describe missing and outdated requirements separately
+ * ("Missing npm packages: prettier; outdated: @prettier/plugin-xml 2.0.0 (requires ^3.0.0)")
+ * @param {{missing: string[], outdated?: Object[]}} status
+ * @param {string} label - e.g. "npm packages"
+ * @returns {string}
+ */
+function describeRequirementProblems(status, label) {
+  const outdated = (status.outdated || []).map(
+    (entry) => `${entry.name} ${entry.version} (requires ${entry.required})`
+  );
+  if (status.missing.length === 0) {
+    return `Outdated ${label}: ${outdated.join(", ")}`;
+  }
+  return [
+    `Missing ${label}: ${status.missing.join(", ")}`,
+    ...(outdated.length > 0 ? [`outdated: ${outdated.join(", ")}`] : []),
+  ].join("; ");
+}
+
+/**
+ * Classify health check results according to the policy check levels
+ * @param {Object} results
+ * @returns {{hasIssues: boolean, hasWarnings: boolean, failing: string[]}}
+ */
+export function evaluateResults(results) {
+  const { checks } = summarizeResults(results);
+  return {
+    hasIssues: checks.some((check) => check.status === "fail"),
+    hasWarnings: checks.some((check) => check.status === "warn"),
+    failing: checks
+      .filter((check) => check.status !== "pass" && !check.incomplete)
+      .map((check) => check.id),
+  };
+}
+
+/**
+ * Get the Salesforce DX projects of a result set
+ * @param {Object} results
+ * @returns {Object[]}
+ */
+export function getResultProjects(results) {
+  // Results cached before nested projects were detected only have projectInfo
+  return results.projects?.length > 0
+    ? results.projects
+    : [results.projectInfo].filter(Boolean);
+}
+
+/**
+ * Describe the project and policy context of a result set
+ * @param {Object} results
+ * @returns {string[]}
+ */
+export function describeContext(results) {
+  const lines = [];
+
+  const projects = getResultProjects(results);
+  if (results.isSFDXProject && projects.length > 0) {
+    for (const project of projects) {
+      lines.push(`📦 SFDX Project: ${project.name}`);
+      lines.push(`   API Version: ${project.sourceApiVersion}`);
+    }
+  } else {
+    lines.push("ℹ️  Not in a Salesforce DX project");
+  }
+
+  if (results.policy && results.policy.source !== "default") {
+    lines.push(`📋 Policy: ${path.basename(results.policy.source)}`);
+  }
+
+  return lines;
+}
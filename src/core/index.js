@@ -0,0 +1,21 @@
+export * as apiVersions from "./api-versions.js";
+export * as cache from "./cache.js";
+export * as globalPackages from "./global-packages.js";
+export * as healthCheck from "./health-check.js";
+export * as java from "./java.js";
+export * as node from "./node.js";
+export * as nodeVersions from "./node-versions.js";
+export * as orgs from "./orgs.js";
+export * as packageGraph from "./package-graph.js";
+export * as packages from "./packages.js";
+export * as pathAnalysis from "./path-analysis.js";
+export * as policy from "./policy.js";
+export * as project from "./project.js";
+export * as projectInventory from "./project-inventory.js";
+export * as projectDependencies from "./project-dependencies.js";
+export * as projectValidation from "./project-validation.js";
+export * as reporters from "./reporters.js";
+export * as sfCli from "./sf-cli.js";
+export * as sfPlugins from "./sf-plugins.js";
+export * as shellEnv from "./shell-env.js";
+export * as system from "./system.js";
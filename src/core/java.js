@@ -0,0 +1,473 @@
+import * as os from "os";
+import * as path from "path";
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import { SUPPORTED_JAVA_VERSIONS } from "../lib/constants.js";
+import { meetsMinimum } from "./policy.js";
+import { findExecutables } from "./system.js";
+
+/**
+ * Java detection
+ * Locates the Java runtime used by the Apex Language Server
+ */
+
+/**
+ * Where the Java runtime was resolved from, in the order the Salesforce
+ * extensions look: the `salesforcedx-vscode-apex.java.home` setting, then
+ * JDK_HOME, then JAVA_HOME, then the first `java` on PATH
+ */
+export const JAVA_SOURCES = {
+  SETTING: "setting",
+  JDK_HOME: "JDK_HOME",
+  JAVA_HOME: "JAVA_HOME",
+  PATH: "PATH",
+};
+
+/** VS Code setting read by the Apex Language Server */
+export const JAVA_HOME_SETTING = "salesforcedx-vscode-apex.java.home";
+
+/**
+ * Human readable label for a Java source
+ * @param {string} source
+ * @returns {string}
+ */
+export function describeJavaSource(source) {
+  return source === JAVA_SOURCES.SETTING ? JAVA_HOME_SETTING : source;
+}
+
+/**
+ * Check the Java runtime the Apex Language Server will use.
+ * The first configured source wins (a broken `java.home` setting is not
+ * bypassed, just like in the Salesforce extensions); the other sources are
+ * inspected too and reported as `mismatches` when they disagree.
+ * @param {Object} policy - Preflight policy
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string} [options.javaHome] - Value of the `salesforcedx-vscode-apex.java.home` setting
+ * @returns {Promise<{installed: boolean, version?: string, majorVersion?: number, vendor?: string, arch?: string, isJdk?: boolean, minVersion?: string, supportedVersions?: number[], valid: boolean, warnings: string[], path?: string, home?: string, source?: string, mismatches: Object[], pathCandidates: string[], error?: string, errorType?: string}>}
+ */
+export async function checkJava(policy, options = {}) {
+  const { minVersions } = policy;
+  const supportedVersions = getSupportedVersions(policy);
+  const { javaHome, ...processOptions } = options;
+
+  const javaOnPath = await getJavaPath();
+  const candidates = await resolveJavaCandidates({ javaHome, javaOnPath });
+  if (candidates.length === 0) {
+    return {
+      installed: false,
+      valid: false,
+      minVersion: minVersions.java,
+      supportedVersions,
+      warnings: [],
+      mismatches: [],
+      pathCandidates: [],
+      error: "java was not found on PATH",
+      errorType: "not-found",
+    };
+  }
+
+  const inspected = await Promise.all(
+    candidates.map(({ source, home, path: executable }) =>
+      inspectJava(home, { ...processOptions, executable }).then((info) => ({
+        ...info,
+        source,
+      }))
+    )
+  );
+  const [active, ...others] = inspected;
+  // Different homes with the same major version are harmless (e.g. the
+  // macOS /usr/bin/java stub), so only broken or other-version Javas count
+  const mismatches = others.filter(
+    (other) =>
+      !other.installed || other.majorVersion !== active.majorVersion
+  );
+
+  const base = {
+    source: active.source,
+    home: active.home,
+    path: active.path,
+    minVersion: minVersions.java,
+    supportedVersions,
+    mismatches: mismatches.map(({ source, home, version, error }) => ({
+      source,
+      home,
+      version,
+      error,
+    })),
+    pathCandidates: javaOnPath.candidates,
+  };
+
+  if (!active.installed) {
+    return {
+      ...base,
+      installed: false,
+      valid: false,
+      warnings: [],
+      error: active.error,
+      errorType: active.errorType,
+    };
+  }
+
+  const { valid, warnings } = evaluateJava(active, policy);
+  return {
+    ...base,
+    installed: true,
+    version: active.version,
+    majorVersion: active.majorVersion,
+    vendor: active.vendor,
+    arch: active.arch,
+    isJdk: active.isJdk,
+    valid,
+    warnings,
+  };
+}
+
+/**
+ * Get the Java major versions accepted by the policy
+ * @param {Object} policy
+ * @returns {number[] | null} - null when any version above the minimum is accepted
+ */
+function getSupportedVersions(policy) {
+  const supported = policy.supportedVersions && policy.supportedVersions.java;
+  return supported === undefined ? [...SUPPORTED_JAVA_VERSIONS] : supported;
+}
+
+/**
+ * Evaluate an inspected Java installation against the policy.
+ * The version decides `valid`; a JRE without `javac` or a build for another
+ * CPU architecture is still usable but reported as a warning.
+ * @param {Object} java - Result of `inspectJava`
+ * @param {Object} policy
+ * @returns {{valid: boolean, supported: boolean, warnings: string[]}}
+ */
+export function evaluateJava(java, policy) {
+  const supportedVersions = getSupportedVersions(policy);
+  const supported =
+    !supportedVersions || supportedVersions.includes(java.majorVersion);
+  const valid =
+    supported &&
+    meetsMinimum(String(java.majorVersion), policy.minVersions.java);
+
+  const warnings = [];
+  if (java.isJdk === false) {
+    warnings.push(`${java.home} is a JRE (no javac); install a full JDK`);
+  }
+  const hostArch = normalizeArch(process.arch);
+  if (java.arch && normalizeArch(java.arch) !== hostArch) {
+    warnings.push(
+      `Java is built for ${java.arch} but this machine is ${process.arch}`
+    );
+  }
+
+  return { valid, supported, warnings };
+}
+
+/**
+ * Map the architecture names used by Java and Node.js to one spelling
+ * @param {string} arch
+ * @returns {string}
+ */
+function normalizeArch(arch) {
+  const aliases = {
+    amd64: "x64",
+    x86_64: "x64",
+    aarch64: "arm64",
+    i386: "x86",
+    ia32: "x86",
+  };
+  return aliases[arch] || arch;
+}
+
+/**
+ * Parse the major version from a Java version string.
+ * Handles the legacy "1.8.0_292" scheme as well as "17.0.9" and "21".
+ * @param {string} version
+ * @returns {number}
+ */
+export function parseJavaMajorVersion(version) {
+  const [first, second] = String(version).split(/[.+_-]/);
+  return first === "1" && second ? parseInt(second) : parseInt(first);
+}
+
+/**
+ * List the configured Java locations, highest precedence first
+ * @param {Object} options
+ * @param {string} [options.javaHome] - `salesforcedx-vscode-apex.java.home` setting
+ * @param {{path: string | null}} options.javaOnPath - Result of `getJavaPath`
+ * @returns {Promise<{source: string, home: string, path?: string}[]>}
+ */
+async function resolveJavaCandidates({ javaHome, javaOnPath }) {
+  const candidates = [];
+
+  if (javaHome) {
+    // The Salesforce extensions expand a leading ~ in the setting
+    const home = /^~(?=$|[\\/])/.test(javaHome)
+      ? path.join(os.homedir(), javaHome.slice(1))
+      : javaHome;
+    candidates.push({ source: JAVA_SOURCES.SETTING, home });
+  }
+  for (const variable of [JAVA_SOURCES.JDK_HOME, JAVA_SOURCES.JAVA_HOME]) {
+    if (process.env[variable]) {
+      candidates.push({ source: variable, home: process.env[variable] });
+    }
+  }
+
+  const onPath = javaOnPath.path;
+  if (onPath) {
+    const realPath = await fs.realpath(onPath).catch(() => onPath);
+    candidates.push({
+      source: JAVA_SOURCES.PATH,
+      home: path.dirname(path.dirname(realPath)),
+      path: onPath,
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Inspect a Java installation: exact version, vendor, architecture and
+ * whether it is a full JDK.
+ * Runs `java -XshowSettings:properties -version`, which also proves the
+ * binary works; with `useReleaseFile` the JDK `release` file is read first
+ * and the binary only runs when that file is missing (faster for listings).
+ * @param {string} home - Installation directory
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string} [options.executable] - java binary (defaults to `<home>/bin/java`)
+ * @param {boolean} [options.useReleaseFile] - Trust the `release` file when present
+ * @returns {Promise<{installed: boolean, home: string, path: string, version?: string, majorVersion?: number, vendor?: string, arch?: string, isJdk?: boolean, error?: string, errorType?: string}>}
+ */
+export async function inspectJava(home, options = {}) {
+  const { executable: givenExecutable, useReleaseFile, ...processOptions } =
+    options;
+  const executable = givenExecutable || javaBinary(home, "java");
+  const info = { home, path: executable };
+
+  try {
+    await fs.access(executable);
+  } catch {
+    return {
+      ...info,
+      installed: false,
+      error: `${executable} does not exist`,
+      errorType: "not-found",
+    };
+  }
+
+  const release = await readReleaseFile(home);
+  let properties = {};
+  if (!useReleaseFile || !release.JAVA_VERSION) {
+    // Both the properties and the version banner go to stderr
+    const result = await shell.run(
+      executable,
+      ["-XshowSettings:properties", "-version"],
+      processOptions
+    );
+    properties = parseProperties(shell.output(result));
+
+    if (!result.ok || !properties["java.version"]) {
+      return {
+        ...info,
+        installed: false,
+        error: result.error || "Unrecognized `java -version` output",
+        errorType: result.ok ? "error" : result.status,
+      };
+    }
+  }
+
+  // java.home is the real installation even when `java` is a shim or stub;
+  // Java 8 reports its embedded `jre` directory
+  const reportedHome = properties["java.home"];
+  const actualHome = reportedHome
+    ? path.basename(reportedHome) === "jre"
+      ? path.dirname(reportedHome)
+      : reportedHome
+    : home;
+
+  const version = properties["java.version"] || release.JAVA_VERSION;
+  return {
+    ...info,
+    home: actualHome,
+    installed: true,
+    version,
+    majorVersion: parseJavaMajorVersion(version),
+    vendor:
+      properties["java.vendor"] || release.IMPLEMENTOR || undefined,
+    arch: properties["os.arch"] || release.OS_ARCH || undefined,
+    isJdk: await exists(javaBinary(actualHome, "javac")),
+  };
+}
+
+/**
+ * Path of a binary in a Java installation
+ * @param {string} home
+ * @param {string} name - "java" or "javac"
+ * @returns {string}
+ */
+function javaBinary(home, name) {
+  return path.join(
+    home,
+    "bin",
+    process.platform === "win32" ? `${name}.exe` : name
+  );
+}
+
+/**
+ * Read the `release` file shipped in JDK 9+ (and most JDK 8 builds),
+ * e.g. JAVA_VERSION="17.0.9", IMPLEMENTOR="Eclipse Adoptium", OS_ARCH="aarch64"
+ * @param {string} home
+ * @returns {Promise<Object<string, string>>}
+ */
+async function readReleaseFile(home) {
+  try {
+    const content = await fs.readFile(path.join(home, "release"), "utf8");
+    const values = {};
+    for (const match of content.matchAll(/^(\w+)="?(.*?)"?\s*$/gm)) {
+      values[match[1]] = match[2];
+    }
+    return values;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Parse `-XshowSettings:properties` output ("    java.version = 17.0.9")
+ * @param {string} output
+ * @returns {Object<string, string>}
+ */
+function parseProperties(output) {
+  const properties = {};
+  for (const match of output.matchAll(/^\s+([\w.]+) = (.*)$/gm)) {
+    properties[match[1]] = match[2].trim();
+  }
+  return properties;
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find `java` on PATH: the one that runs and every copy behind it
+ * @returns {Promise<{path: string | null, candidates: string[]}>}
+ */
+export async function getJavaPath() {
+  const candidates = await findExecutables("java");
+  return { path: candidates[0] || null, candidates };
+}
+
+/**
+ * Find and inspect Java installations on the system, supported JDKs first
+ * @param {Object} policy - Preflight policy
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @returns {Promise<Object[]>} - `inspectJava` results with `valid`, `supported` and `warnings`
+ */
+export async function findJavaInstallations(policy, options = {}) {
+  const homes = await findJavaHomes();
+  const inspected = await Promise.all(
+    homes.map((home) =>
+      inspectJava(home, { ...options, useReleaseFile: true })
+    )
+  );
+
+  const seen = new Set();
+  return inspected
+    .filter((java) => java.installed)
+    .filter((java) => !seen.has(java.home) && seen.add(java.home))
+    .map((java) => ({ ...java, ...evaluateJava(java, policy) }))
+    .sort(
+      (a, b) =>
+        Number(b.valid) - Number(a.valid) ||
+        Number(b.isJdk) - Number(a.isJdk) ||
+        b.majorVersion - a.majorVersion
+    );
+}
+
+/**
+ * Find candidate Java installation directories in the usual locations
+ * @returns {Promise<string[]>}
+ */
+async function findJavaHomes() {
+  const installations = [];
+  const platform = process.platform;
+
+  try {
+    if (platform === "darwin") {
+      // macOS - check common locations
+      // java_home -V lists installations on stderr
+      const list = await shell.run("/usr/libexec/java_home", ["-V"]);
+      // e.g. '    17.0.2 (arm64) "Oracle" - "Java SE 17" /Library/.../Home'
+      const pattern = /^\s+\S.*?\s(\/\S.*?)\s*$/gm;
+      for (const match of shell.output(list).matchAll(pattern)) {
+        installations.push(match[1]);
+      }
+
+      const javaHome = await shell.run("/usr/libexec/java_home");
+      if (javaHome.ok && javaHome.stdout) {
+        installations.push(javaHome.stdout);
+      }
+    } else if (platform === "win32") {
+      // Windows - check Program Files
+      const programFiles = [
+        process.env["ProgramFiles"],
+        process.env["ProgramFiles(x86)"],
+      ];
+
+      for (const pf of programFiles) {
+        if (!pf) continue;
+        try {
+          const javaDir = path.join(pf, "Java");
+          const dirs = await fs.readdir(javaDir);
+          for (const dir of dirs) {
+            if (
+              dir.toLowerCase().includes("jdk") ||
+              dir.toLowerCase().includes("jre")
+            ) {
+              installations.push(path.join(javaDir, dir));
+            }
+          }
+        } catch {
+          // Directory doesn't exist
+        }
+      }
+    } else {
+      // Linux - check common locations
+      const commonPaths = [
+        "/usr/lib/jvm",
+        "/usr/java",
+        "/opt/jdk",
+        "/opt/java",
+      ];
+
+      for (const javaPath of commonPaths) {
+        try {
+          const dirs = await fs.readdir(javaPath);
+          for (const dir of dirs) {
+            installations.push(path.join(javaPath, dir));
+          }
+        } catch {
+          // Directory doesn't exist
+        }
+      }
+    }
+  } catch (error) {
+    console.error("Error finding Java installations:", error);
+  }
+
+  // Remove duplicates, including symlinks such as /usr/lib/jvm/default-java
+  const resolved = await Promise.all(
+    installations.map((home) => fs.realpath(home).catch(() => home))
+  );
+  return [...new Set(resolved)];
+}
@@ -0,0 +1,371 @@
+import * as os from "os";
+import * as path from "path";
+import fs from "fs/promises";
+import * as semver from "../lib/semver.js";
+import { findExecutable } from "./system.js";
+
+/**
+ * Node.js version managers and project version pins
+ * Detects nvm, fnm, Volta, asdf, n and nodenv, and reads the Node.js version a
+ * project asks for (.nvmrc, .node-version, .tool-versions, package.json).
+ */
+
+/**
+ * Supported version managers.
+ * `env`/`dirs` locate an installation, `binary` is looked up on PATH,
+ * `pathPattern` recognizes a `node` binary the manager installed and
+ * `useCommand` switches the current shell to a version.
+ */
+const VERSION_MANAGERS = [
+  {
+    id: "nvm",
+    name: "nvm",
+    env: ["NVM_DIR", "NVM_HOME"],
+    dirs: [".nvm"],
+    binary: process.platform === "win32" ? "nvm" : null,
+    pathPattern: /[\\/]\.?nvm[\\/]/i,
+    useCommand: (version) => `nvm install ${version} && nvm use ${version}`,
+  },
+  {
+    id: "fnm",
+    name: "fnm",
+    env: ["FNM_DIR", "FNM_MULTISHELL_PATH"],
+    dirs: [".fnm", ".local/share/fnm"],
+    binary: "fnm",
+    pathPattern: /[\\/]fnm[\\/_]/i,
+    useCommand: (version) => `fnm use --install-if-missing ${version}`,
+  },
+  {
+    id: "volta",
+    name: "Volta",
+    env: ["VOLTA_HOME"],
+    dirs: [".volta"],
+    binary: "volta",
+    pathPattern: /[\\/]\.?volta[\\/]/i,
+    useCommand: (version) => `volta install node@${version}`,
+  },
+  {
+    id: "asdf",
+    name: "asdf",
+    env: ["ASDF_DIR", "ASDF_DATA_DIR"],
+    dirs: [".asdf"],
+    binary: "asdf",
+    pathPattern: /[\\/]\.asdf[\\/]/i,
+    useCommand: (version) =>
+      `asdf install nodejs ${version} && asdf local nodejs ${version}`,
+  },
+  {
+    id: "nodenv",
+    name: "nodenv",
+    env: ["NODENV_ROOT"],
+    dirs: [".nodenv"],
+    binary: "nodenv",
+    pathPattern: /[\\/]\.nodenv[\\/]/i,
+    useCommand: (version) =>
+      `nodenv install --skip-existing ${version} && nodenv local ${version}`,
+  },
+  {
+    id: "n",
+    name: "n",
+    env: ["N_PREFIX"],
+    dirs: [],
+    binary: "n",
+    pathPattern: /[\\/]n[\\/]versions[\\/]/i,
+    useCommand: (version) => `n ${version}`,
+  },
+];
+
+/**
+ * Where each version manager keeps installed Node.js versions.
+ * `dirs` returns the candidate versions directories, `bin` is the path of
+ * the `bin` directory inside one version folder.
+ */
+const INSTALL_LOCATIONS = [
+  {
+    manager: "nvm",
+    dirs: (env, home) => [
+      env.NVM_DIR && path.join(env.NVM_DIR, "versions", "node"),
+      path.join(home, ".nvm", "versions", "node"),
+    ],
+    bin: ["bin"],
+  },
+  {
+    manager: "fnm",
+    dirs: (env, home) => [
+      env.FNM_DIR && path.join(env.FNM_DIR, "node-versions"),
+      path.join(home, ".local", "share", "fnm", "node-versions"),
+      path.join(home, ".fnm", "node-versions"),
+    ],
+    bin: ["installation", "bin"],
+  },
+  {
+    manager: "volta",
+    dirs: (env, home) => [
+      path.join(
+        env.VOLTA_HOME || path.join(home, ".volta"),
+        "tools",
+        "image",
+        "node"
+      ),
+    ],
+    bin: ["bin"],
+  },
+  {
+    manager: "asdf",
+    dirs: (env, home) => [
+      path.join(
+        env.ASDF_DATA_DIR || path.join(home, ".asdf"),
+        "installs",
+        "nodejs"
+      ),
+    ],
+    bin: ["bin"],
+  },
+  {
+    manager: "nodenv",
+    dirs: (env, home) => [
+      path.join(env.NODENV_ROOT || path.join(home, ".nodenv"), "versions"),
+    ],
+    bin: ["bin"],
+  },
+  {
+    manager: "n",
+    dirs: (env) => [
+      path.join(env.N_PREFIX || "/usr/local", "n", "versions", "node"),
+    ],
+    bin: ["bin"],
+  },
+];
+
+/**
+ * Detect the version managers installed on this machine
+ * @returns {Promise<{id: string, name: string}[]>}
+ */
+export async function detectVersionManagers() {
+  const home = os.homedir();
+  const detected = await Promise.all(
+    VERSION_MANAGERS.map(async (manager) => {
+      const found =
+        manager.env.some((variable) => process.env[variable]) ||
+        (await anyExists(manager.dirs.map((dir) => path.join(home, dir)))) ||
+        (manager.binary && (await findExecutable(manager.binary)));
+      return found ? { id: manager.id, name: manager.name } : null;
+    })
+  );
+  return detected.filter(Boolean);
+}
+
+/**
+ * Identify the version manager that installed a `node` binary
+ * @param {string | null} nodePath - Resolved path of the active `node`
+ * @returns {string | null} - Version manager id
+ */
+export function getManagerForPath(nodePath) {
+  if (!nodePath) {
+    return null;
+  }
+  const manager = VERSION_MANAGERS.find((candidate) =>
+    candidate.pathPattern.test(nodePath)
+  );
+  return manager ? manager.id : null;
+}
+
+/**
+ * Read the Node.js versions pinned by a project, most specific file first
+ * @param {string[]} rootPaths - Project folders
+ * @returns {Promise<{source: string, file: string, version: string}[]>}
+ */
+export async function readNodePins(rootPaths = []) {
+  const pins = [];
+
+  for (const rootPath of rootPaths) {
+    for (const source of [".nvmrc", ".node-version"]) {
+      const file = path.join(rootPath, source);
+      const content = await readText(file);
+      const version = content && content.split(/\r?\n/)[0].trim();
+      if (version) {
+        pins.push({ source, file, version });
+      }
+    }
+
+    const toolVersionsFile = path.join(rootPath, ".tool-versions");
+    const toolVersions = await readText(toolVersionsFile);
+    const asdfMatch = toolVersions && toolVersions.match(/^nodejs\s+(\S+)/m);
+    if (asdfMatch) {
+      pins.push({
+        source: ".tool-versions",
+        file: toolVersionsFile,
+        version: asdfMatch[1],
+      });
+    }
+
+    const packageFile = path.join(rootPath, "package.json");
+    const packageJson = parseJson(await readText(packageFile));
+    if (packageJson?.volta?.node) {
+      pins.push({
+        source: "package.json volta",
+        file: packageFile,
+        version: String(packageJson.volta.node),
+      });
+    }
+    if (packageJson?.engines?.node) {
+      pins.push({
+        source: "package.json engines",
+        file: packageFile,
+        version: String(packageJson.engines.node),
+      });
+    }
+  }
+
+  return pins;
+}
+
+/**
+ * Check a Node.js version against the project pins.
+ * Aliases such as "lts/*" or "node" cannot be checked offline and are
+ * reported with `satisfied: null`.
+ * @param {string} version - Active Node.js version
+ * @param {{source: string, file: string, version: string}[]} pins
+ * @returns {{source: string, file: string, version: string, satisfied: boolean | null}[]}
+ */
+export function evaluatePins(version, pins) {
+  return pins.map((pin) => {
+    const range = pin.version.replace(/^v(?=\d)/, "");
+    const checkable = /^[\d<>=^~*xX| .-]/.test(range);
+    return {
+      ...pin,
+      satisfied: checkable ? semver.satisfies(version, range) : null,
+    };
+  });
+}
+
+/**
+ * Get a concrete version to install for a pin
+ * ("v20.11.0" → "20.11.0", ">=18 <21" → "18", "lts/*" → "lts/*")
+ * @param {string} pinVersion
+ * @returns {string}
+ */
+export function getInstallableVersion(pinVersion) {
+  const exact = pinVersion.replace(/^v(?=\d)/, "").trim();
+  if (/^\d+(\.\d+){0,2}$/.test(exact)) {
+    return exact;
+  }
+  const lowest = exact.match(/(\d+(?:\.\d+){0,2})/);
+  return lowest ? lowest[1] : exact;
+}
+
+/**
+ * Get the shell command that installs and activates a Node.js version
+ * @param {string} managerId
+ * @param {string} version
+ * @returns {string | null}
+ */
+export function getUseCommand(managerId, version) {
+  const manager = VERSION_MANAGERS.find(
+    (candidate) => candidate.id === managerId
+  );
+  return manager ? manager.useCommand(version) : null;
+}
+
+/**
+ * List the Node.js versions installed through version managers
+ * @returns {Promise<{manager: string, version: string, bin: string}[]>} - Newest first
+ */
+export async function findInstalledNodeVersions() {
+  const home = os.homedir();
+  const found = [];
+  const seen = new Set();
+
+  for (const location of INSTALL_LOCATIONS) {
+    for (const dir of location.dirs(process.env, home).filter(Boolean)) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir);
+      } catch {
+        continue;
+      }
+
+      for (const entry of entries) {
+        const version = semver.coerce(entry);
+        const bin = path.join(dir, entry, ...location.bin);
+        if (!version || seen.has(bin) || !(await anyExists([bin]))) {
+          continue;
+        }
+        seen.add(bin);
+        found.push({ manager: location.manager, version, bin });
+      }
+    }
+  }
+
+  return found.sort((a, b) => semver.compare(b.version, a.version));
+}
+
+/**
+ * Find the newest installed Node.js version that satisfies a pin
+ * @param {string} pinVersion - Pinned version or range (".nvmrc" content)
+ * @returns {Promise<{manager: string, version: string, bin: string} | null>}
+ */
+export async function findInstalledNodeForPin(pinVersion) {
+  const installed = await findInstalledNodeVersions();
+  return (
+    installed.find(
+      (candidate) =>
+        evaluatePins(candidate.version, [{ version: pinVersion }])[0].satisfied
+    ) || null
+  );
+}
+
+/**
+ * Get the display name of a version manager
+ * @param {string} managerId
+ * @returns {string}
+ */
+export function getManagerName(managerId) {
+  const manager = VERSION_MANAGERS.find(
+    (candidate) => candidate.id === managerId
+  );
+  return manager ? manager.name : managerId;
+}
+
+/**
+ * Check whether any of the paths exists
+ * @param {string[]} paths
+ * @returns {Promise<boolean>}
+ */
+async function anyExists(paths) {
+  for (const candidate of paths) {
+    try {
+      await fs.access(candidate);
+      return true;
+    } catch {
+      // Keep looking
+    }
+  }
+  return false;
+}
+
+/**
+ * Read a text file, or null if it does not exist
+ * @param {string} file
+ * @returns {Promise<string | null>}
+ */
+async function readText(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse JSON, or null if it is missing or invalid
+ * @param {string | null} content
+ * @returns {Object | null}
+ */
+function parseJson(content) {
+  try {
+    return content ? JSON.parse(content) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,61 @@
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import * as nodeVersions from "./node-versions.js";
+import { meetsMinimum } from "./policy.js";
+import { findExecutable } from "./system.js";
+
+/**
+ * Node.js detection
+ */
+
+/**
+ * Check Node.js version, the version manager that provides it and the
+ * versions pinned by the project
+ * @param {Object} policy - Preflight policy
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string[]} [options.rootPaths] - Project folders to read version pins from
+ * @returns {Promise<{installed: boolean, version?: string, majorVersion?: number, minVersion?: string, valid: boolean, path?: string, manager?: string | null, managers: Object[], pins: Object[], pinSatisfied: boolean, error?: string, errorType?: string}>}
+ */
+export async function checkNodeJS(policy, options = {}) {
+  const { minVersions } = policy;
+  const { rootPaths = [], ...processOptions } = options;
+
+  const [result, nodePath, managers, pins] = await Promise.all([
+    shell.run("node", ["--version"], processOptions),
+    findExecutable("node"),
+    nodeVersions.detectVersionManagers(),
+    nodeVersions.readNodePins(rootPaths),
+  ]);
+
+  if (!result.ok) {
+    return {
+      installed: false,
+      valid: false,
+      minVersion: minVersions.node,
+      managers,
+      pins,
+      pinSatisfied: false,
+      error: result.error,
+      errorType: result.status,
+    };
+  }
+
+  const version = result.stdout.replace("v", "");
+  const majorVersion = parseInt(version.split(".")[0]);
+  const realPath =
+    nodePath && (await fs.realpath(nodePath).catch(() => nodePath));
+  const evaluatedPins = nodeVersions.evaluatePins(version, pins);
+
+  return {
+    installed: true,
+    version,
+    majorVersion,
+    minVersion: minVersions.node,
+    valid: meetsMinimum(version, minVersions.node),
+    path: nodePath,
+    manager: nodeVersions.getManagerForPath(realPath || nodePath),
+    managers,
+    pins: evaluatedPins,
+    pinSatisfied: evaluatedPins.every((pin) => pin.satisfied !== false),
+  };
+}
@@ -0,0 +1,480 @@
+import * as path from "path";
+import fs from "fs/promises";
+import { URL } from "url";
+import { runSfJson } from "./sf-cli.js";
+import { getSalesforceProjects } from "./project.js";
+
+/**
+ * Salesforce org authorization
+ * Reads the authorized orgs and the default org / Dev Hub of the project from
+ * the Salesforce CLI, and flags defaults that point to orgs that are gone,
+ * whose tokens have expired, or scratch orgs about to expire.
+ */
+
+/** Scratch orgs expiring within this many days are reported */
+export const SCRATCH_ORG_EXPIRY_WARNING_DAYS = 3;
+
+/** Config variables holding the project defaults */
+const DEFAULT_ORG_CONFIG = {
+  targetOrg: "target-org",
+  targetDevHub: "target-dev-hub",
+};
+
+/** Default scratch org definition file of `sf project generate` */
+const SCRATCH_DEFINITION_FILE = "config/project-scratch-def.json";
+
+/** `sf org list` groups; Dev Hubs and sandboxes also appear in nonScratchOrgs */
+const ORG_GROUPS = [
+  "nonScratchOrgs",
+  "devHubs",
+  "sandboxes",
+  "scratchOrgs",
+  "other",
+];
+
+/**
+ * Connection statuses meaning the stored tokens no longer work and the org
+ * must be authorized again
+ */
+const EXPIRED_TOKEN_PATTERN =
+  /expired|invalid_grant|RefreshTokenAuthError|INVALID_SESSION_ID|INVALID_AUTH_HEADER/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Arguments passed to the terminal as they are */
+const PLAIN_ARGUMENT_PATTERN = /^[\w.@:/-]+$/;
+
+/**
+ * Arguments that single quotes keep literal in POSIX shells and PowerShell,
+ * without characters cmd.exe acts on
+ */
+const QUOTABLE_ARGUMENT_PATTERN = /^[^'"\\`$&|<>^%\p{Cc}]+$/u;
+
+/**
+ * @typedef {Object} ProjectDefaults
+ * @property {string | null} root - Project folder
+ * @property {string | null} name - Project name, for messages
+ * @property {{value: string, location: string | null, org: Object | null} | null} targetOrg
+ * @property {{value: string, location: string | null, org: Object | null} | null} targetDevHub
+ * @property {string} [configError]
+ */
+
+/**
+ * Check the authorized orgs and the default org and Dev Hub of every project
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string[]} [options.rootPaths] - Workspace folders (local config is read from each Salesforce DX project)
+ * @returns {Promise<{orgs: Object[], projects: ProjectDefaults[], expiringScratchOrgs: Object[], error?: string, errorType?: string}>}
+ */
+export async function checkOrgs(options = {}) {
+  const { rootPaths = [], ...processOptions } = options;
+  const projects = await getSalesforceProjects(rootPaths);
+  // Without a Salesforce DX project the first folder holds the defaults
+  const targets =
+    projects.length > 0
+      ? projects
+      : [{ root: rootPaths[0] || null, name: null }];
+
+  // --all keeps expired scratch orgs, so an expired default is told apart
+  // from one that was logged out
+  const [list, configs] = await Promise.all([
+    runSfJson(["org", "list", "--all", "--json"], {
+      ...processOptions,
+      cwd: rootPaths[0],
+    }),
+    readProjectDefaults(
+      targets.map((target) => target.root),
+      processOptions
+    ),
+  ]);
+
+  if (list.error) {
+    return {
+      orgs: [],
+      projects: [],
+      expiringScratchOrgs: [],
+      error: list.error,
+      errorType: list.errorType,
+    };
+  }
+
+  const orgs = parseOrgList(list.json.result);
+  const resolveDefault = (values, key) => {
+    const entry = values[DEFAULT_ORG_CONFIG[key]];
+    return entry
+      ? {
+          ...entry,
+          org:
+            orgs.find(
+              (org) => org.alias === entry.value || org.username === entry.value
+            ) || null,
+        }
+      : null;
+  };
+
+  return {
+    orgs,
+    projects: targets.map((target, index) => {
+      const config = configs[index];
+      const values = parseConfigValues(config.json?.result);
+      return {
+        root: target.root,
+        name: target.name,
+        targetOrg: resolveDefault(values, "targetOrg"),
+        targetDevHub: resolveDefault(values, "targetDevHub"),
+        ...(config.error ? { configError: config.error } : {}),
+      };
+    }),
+    expiringScratchOrgs: orgs.filter(
+      (org) =>
+        org.isScratch &&
+        !org.expired &&
+        org.daysLeft !== null &&
+        org.daysLeft <= SCRATCH_ORG_EXPIRY_WARNING_DAYS
+    ),
+  };
+}
+
+/**
+ * Read the default org config of each project folder
+ * @param {(string | null)[]} roots
+ * @param {Object} options - Process options
+ * @returns {Promise<Object[]>} - `runSfJson` results, in `roots` order
+ */
+async function readProjectDefaults(roots, options) {
+  const configs = [];
+  // One at a time: each project runs its own sf process
+  for (const root of roots) {
+    configs.push(
+      await runSfJson(
+        ["config", "get", ...Object.values(DEFAULT_ORG_CONFIG), "--json"],
+        { ...options, cwd: root || undefined }
+      )
+    );
+  }
+  return configs;
+}
+
+/**
+ * Flatten the `sf org list` groups into one entry per username
+ * @param {Object} [result] - `result` of `sf org list --json`
+ * @returns {{alias: string | null, username: string, orgId: string, instanceUrl: string, isDevHub: boolean, isScratch: boolean, isSandbox: boolean, connectedStatus: string | null, tokenExpired: boolean, expirationDate: string | null, daysLeft: number | null, expired: boolean}[]}
+ */
+export function parseOrgList(result = {}) {
+  const byUsername = new Map();
+  for (const group of ORG_GROUPS) {
+    for (const org of result[group] || []) {
+      const entry =
+        byUsername.get(org.username) || toOrg(org, group === "scratchOrgs");
+      entry.isDevHub = entry.isDevHub || group === "devHubs";
+      byUsername.set(org.username, entry);
+    }
+  }
+  return [...byUsername.values()];
+}
+
+/**
+ * Keep the fields the check needs from an `sf org list` entry
+ * @param {Object} org
+ * @param {boolean} isScratch
+ * @returns {Object}
+ */
+function toOrg(org, isScratch) {
+  const connectedStatus = org.connectedStatus || null;
+  const daysLeft =
+    isScratch && org.expirationDate ? getDaysLeft(org.expirationDate) : null;
+  return {
+    alias: org.alias || null,
+    username: org.username,
+    orgId: org.orgId,
+    instanceUrl: org.instanceUrl,
+    isDevHub: Boolean(org.isDevHub),
+    isScratch: isScratch || Boolean(org.isScratch),
+    isSandbox: Boolean(org.isSandbox),
+    connectedStatus,
+    tokenExpired: Boolean(
+      connectedStatus && EXPIRED_TOKEN_PATTERN.test(connectedStatus)
+    ),
+    expirationDate: org.expirationDate || null,
+    daysLeft,
+    expired:
+      Boolean(org.isExpired) ||
+      /^(?:expired|deleted)$/i.test(org.status || "") ||
+      (daysLeft !== null && daysLeft < 0),
+  };
+}
+
+/**
+ * Read the config values of `sf config get --json`
+ * @param {Object[]} [entries]
+ * @returns {Object<string, {value: string, location: string | null}>} - Only variables that are set
+ */
+function parseConfigValues(entries = []) {
+  return Object.fromEntries(
+    entries
+      .filter((entry) => entry.value)
+      .map((entry) => [
+        entry.name,
+        { value: entry.value, location: entry.location || null },
+      ])
+  );
+}
+
+/**
+ * Days from today (UTC) until a "YYYY-MM-DD" date; negative once it passed
+ * @param {string} date
+ * @returns {number | null}
+ */
+function getDaysLeft(date) {
+  const expiry = Date.parse(date.slice(0, 10));
+  if (Number.isNaN(expiry)) {
+    return null;
+  }
+  const now = new Date();
+  const today = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate()
+  );
+  return Math.round((expiry - today) / DAY_MS);
+}
+
+/**
+ * Find what is wrong with a default org, if anything
+ * @param {Object | null} target - `targetOrg` or `targetDevHub` of a project of the check result
+ * @param {Object} [flags]
+ * @param {boolean} [flags.devHub] - The target must be a Dev Hub
+ * @returns {"not-set" | "missing" | "expired" | "token-expired" | "not-dev-hub" | null}
+ */
+export function getDefaultProblem(target, { devHub = false } = {}) {
+  if (!target) {
+    return "not-set";
+  }
+  if (!target.org) {
+    return "missing";
+  }
+  if (target.org.expired) {
+    return "expired";
+  }
+  if (target.org.tokenExpired) {
+    return "token-expired";
+  }
+  if (devHub && !target.org.isDevHub) {
+    return "not-dev-hub";
+  }
+  return null;
+}
+
+/**
+ * Find what is wrong with the default org and Dev Hub of a project
+ * @param {ProjectDefaults} project
+ * @returns {{targetOrg: string | null, devHub: string | null}} - See `getDefaultProblem`
+ */
+export function getProjectDefaultProblems(project) {
+  return {
+    targetOrg: getDefaultProblem(project.targetOrg),
+    devHub: getDefaultProblem(project.targetDevHub, { devHub: true }),
+  };
+}
+
+/**
+ * Describe an org for messages ("my-scratch (test-abc@example.com)")
+ * @param {Object} org
+ * @returns {string}
+ */
+export function describeOrg(org) {
+  return org.alias ? `${org.alias} (${org.username})` : org.username;
+}
+
+/**
+ * Describe the org a default points to, with where it is configured
+ * ("my-scratch (test-abc@example.com), Local config")
+ * @param {{value: string, location: string | null, org: Object | null}} target
+ * @returns {string}
+ */
+export function describeTarget(target) {
+  return [
+    target.org
+      ? `${describeOrg(target.org)}${describeExpiry(target.org)}`
+      : `${target.value} (not authorized)`,
+    target.location ? `${target.location} config` : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Describe a default org and its problem for messages
+ * @param {string} name - "Default org" or "Dev Hub"
+ * @param {Object | null} target
+ * @param {Object} [flags]
+ * @param {boolean} [flags.devHub]
+ * @returns {string}
+ */
+export function describeDefault(name, target, { devHub = false } = {}) {
+  const problem = getDefaultProblem(target, { devHub });
+  switch (problem) {
+    case "not-set":
+      return `${name} is not set`;
+    case "missing":
+      return `${name} "${target.value}" is not authorized anymore`;
+    case "expired":
+      return `${name} ${describeOrg(target.org)} is an expired scratch org`;
+    case "token-expired":
+      return `${name} ${describeOrg(target.org)} must be authorized again (${target.org.connectedStatus})`;
+    case "not-dev-hub":
+      return `${name} ${describeOrg(target.org)} is not a Dev Hub`;
+    default:
+      return `${name}: ${describeOrg(target.org)}${describeExpiry(target.org)}`;
+  }
+}
+
+/**
+ * Describe the default org and Dev Hub of each project on one line, for the
+ * status bar
+ * @param {Object | null} orgs - Org authorization check result
+ * @returns {string | null} - null when the orgs could not be listed
+ */
+export function describeDefaults(orgs) {
+  if (!orgs || orgs.error || !orgs.projects) {
+    return null;
+  }
+  return describeProjects(orgs, (project) => [
+    [
+      describeDefault("Default org", project.targetOrg),
+      describeDefault("Dev Hub", project.targetDevHub, { devHub: true }),
+    ].join(" · "),
+  ]).join("\n");
+}
+
+/**
+ * Describe every project of a check result, naming the project on each line
+ * when there are several
+ * @param {{projects: ProjectDefaults[]}} orgs - Org authorization check result
+ * @param {function(ProjectDefaults): string[]} describe
+ * @returns {string[]}
+ */
+export function describeProjects(orgs, describe) {
+  const several = orgs.projects.length > 1;
+  return orgs.projects.flatMap((project) =>
+    describe(project).map((line) =>
+      several ? `${project.name}: ${line}` : line
+    )
+  );
+}
+
+/**
+ * Describe when a scratch org expires (" (expires in 2 days)")
+ * @param {Object} org
+ * @returns {string}
+ */
+export function describeExpiry(org) {
+  if (!org.isScratch || org.daysLeft === null || org.expired) {
+    return "";
+  }
+  if (org.daysLeft === 0) {
+    return " (expires today)";
+  }
+  return ` (expires in ${org.daysLeft} day${org.daysLeft === 1 ? "" : "s"})`;
+}
+
+/**
+ * Get the alias a default org is configured with
+ * @param {{value: string, org: Object | null} | null} target
+ * @returns {string | undefined} - undefined when the default is a username
+ */
+export function getTargetAlias(target) {
+  if (!target) {
+    return undefined;
+  }
+  const isUsername = target.org
+    ? target.org.username === target.value
+    : target.value.includes("@");
+  return isUsername ? undefined : target.value;
+}
+
+/**
+ * Get the command that authorizes an org in the browser and makes it the
+ * default org or Dev Hub. Values come from project config that a repository
+ * can commit, so any that cannot be quoted safely are left out.
+ * @param {Object} [options]
+ * @param {boolean} [options.devHub] - Set it as the default Dev Hub
+ * @param {string} [options.alias]
+ * @param {string} [options.instanceUrl] - Login URL for sandboxes and My Domains
+ * @returns {string}
+ */
+export function getLoginCommand({ devHub = false, alias, instanceUrl } = {}) {
+  return [
+    "sf org login web",
+    devHub ? "--set-default-dev-hub" : "--set-default",
+    formatOption("--alias", alias),
+    formatOption("--instance-url", isHttpsUrl(instanceUrl) && instanceUrl),
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Find the scratch org definition file of a project
+ * @param {string} [rootPath]
+ * @returns {Promise<string | null>} - Path relative to the project
+ */
+export async function findScratchDefinition(rootPath) {
+  if (!rootPath) {
+    return null;
+  }
+  try {
+    await fs.access(path.join(rootPath, SCRATCH_DEFINITION_FILE));
+    return SCRATCH_DEFINITION_FILE;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the command that replaces an expired default scratch org
+ * @param {string} [alias]
+ * @param {string} [definitionFile] - Scratch org definition, relative to the project
+ * @returns {string}
+ */
+export function getScratchOrgCreateCommand(
+  alias,
+  definitionFile = SCRATCH_DEFINITION_FILE
+) {
+  return [
+    "sf org create scratch",
+    formatOption("--definition-file", definitionFile),
+    "--set-default",
+    formatOption("--alias", alias),
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Format a command option for a terminal, quoting its value when needed
+ * @param {string} flag
+ * @param {string} [value]
+ * @returns {string | null} - null when there is no value or it cannot be quoted safely
+ */
+function formatOption(flag, value) {
+  if (!value) {
+    return null;
+  }
+  if (PLAIN_ARGUMENT_PATTERN.test(value)) {
+    return `${flag} ${value}`;
+  }
+  return QUOTABLE_ARGUMENT_PATTERN.test(value) ? `${flag} '${value}'` : null;
+}
+
+/**
+ * Check that a value is an https URL
+ * @param {string} [value]
+ * @returns {boolean}
+ */
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
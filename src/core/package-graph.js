@@ -0,0 +1,303 @@
+/**
+ * Package dependency graph
+ * Builds the graph of unlocked and second-generation packages from
+ * sfdx-project.json: package directories, the packages they depend on and
+ * the aliases (`0Ho` packages, `04t` subscriber package versions) those
+ * dependencies resolve to. Reports cycles, dependencies without an alias and
+ * directories that depend on a directory listed after them, which
+ * `sf package version create` builds in order.
+ */
+
+/** Package (0Ho) or package version (04t) ID, 15 or 18 characters */
+const PACKAGE_ID_PATTERN = /^(0Ho|04t)[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/;
+
+/** Alias of a package version created from this project ("Core@1.2.0-1") */
+const VERSION_ALIAS_PATTERN = /^(.+)@(\d+\.\d+\.\d+-\d+)$/;
+
+/**
+ * @typedef {Object} PackageNode
+ * @property {string} id - Unique within the graph
+ * @property {'directory' | 'package' | 'version' | 'missing'} kind - Package directory of the project, external package (0Ho), subscriber package version (04t), or a name no alias defines
+ * @property {string} name - Package name, alias or ID
+ * @property {string} [path] - Package directory path
+ * @property {number} [index] - Position in `packageDirectories`
+ * @property {string} [versionNumber] - Package directory version
+ * @property {string} [packageId] - ID the alias points to
+ */
+
+/**
+ * @typedef {Object} PackageEdge
+ * @property {string} from - Dependent node id
+ * @property {string} to - Dependency node id
+ * @property {string} [versionNumber] - Required version
+ */
+
+/**
+ * @typedef {Object} PackageGraphProblem
+ * @property {'cycle' | 'missingAlias' | 'order'} type
+ * @property {'error' | 'warning'} severity
+ * @property {string} message
+ * @property {string[]} nodes - Node ids involved
+ */
+
+/**
+ * Build the dependency graph of a project
+ * @param {{packageDirectories: Object[], packageAliases: Object}} project - Project information
+ * @returns {{nodes: PackageNode[], edges: PackageEdge[], problems: PackageGraphProblem[]}}
+ */
+export function buildPackageGraph(project) {
+  const aliases = project.packageAliases || {};
+  const nodes = new Map();
+  const edges = [];
+  const problems = [];
+
+  const directories = project.packageDirectories
+    .map((dir, index) => ({ dir, index }))
+    .filter(({ dir }) => dir && typeof dir.path === "string");
+  for (const { dir, index } of directories) {
+    nodes.set(`dir:${index}`, {
+      id: `dir:${index}`,
+      kind: "directory",
+      name: typeof dir.package === "string" ? dir.package : dir.path,
+      path: dir.path,
+      index,
+      versionNumber: dir.versionNumber,
+      packageId: aliases[dir.package],
+    });
+  }
+  const byPackage = new Map(
+    [...nodes.values()]
+      .filter((node) => node.name !== node.path)
+      .map((node) => [node.name, node])
+  );
+
+  const resolve = (name) => {
+    const local =
+      byPackage.get(name) ||
+      (aliases[name] && byPackage.get(VERSION_ALIAS_PATTERN.exec(name)?.[1]));
+    if (local) {
+      return local;
+    }
+
+    const packageId = aliases[name] || (PACKAGE_ID_PATTERN.test(name) && name);
+    const id = `external:${name}`;
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        kind: !packageId
+          ? "missing"
+          : String(packageId).startsWith("04t")
+            ? "version"
+            : "package",
+        name,
+        packageId: packageId || undefined,
+      });
+    }
+    return nodes.get(id);
+  };
+
+  for (const { dir, index } of directories) {
+    const from = nodes.get(`dir:${index}`);
+    const dependencies = Array.isArray(dir.dependencies)
+      ? dir.dependencies
+      : [];
+    for (const dependency of dependencies) {
+      if (typeof dependency?.package !== "string") {
+        continue;
+      }
+      const to = resolve(dependency.package);
+      // A version alias of a local package pins that version
+      const pinned =
+        to.kind === "directory" && to.name !== dependency.package
+          ? VERSION_ALIAS_PATTERN.exec(dependency.package)[2]
+          : undefined;
+      edges.push({
+        from: from.id,
+        to: to.id,
+        versionNumber: dependency.versionNumber || pinned,
+      });
+
+      if (to.kind === "missing") {
+        problems.push({
+          type: "missingAlias",
+          severity: "error",
+          message: `"${from.name}" depends on "${to.name}", which is not defined in packageAliases`,
+          nodes: [from.id, to.id],
+        });
+      } else if (to.kind === "directory" && to.index > from.index) {
+        problems.push({
+          type: "order",
+          severity: "warning",
+          message: `"${from.name}" depends on "${to.name}", which is listed after it in packageDirectories`,
+          nodes: [from.id, to.id],
+        });
+      }
+    }
+  }
+
+  const graph = { nodes: [...nodes.values()], edges, problems };
+  for (const cycle of findCycles(graph)) {
+    const names = cycle.map((id) => nodes.get(id).name);
+    problems.push({
+      type: "cycle",
+      severity: "error",
+      message: `Dependency cycle: ${[...names, names[0]].join(" → ")}`,
+      nodes: cycle,
+    });
+  }
+  return graph;
+}
+
+/**
+ * Find the dependency cycles of a graph, each reported once
+ * @param {{nodes: PackageNode[], edges: PackageEdge[]}} graph
+ * @returns {string[][]} - Node ids of each cycle, starting with the earliest listed node
+ */
+export function findCycles(graph) {
+  const order = new Map(graph.nodes.map((node, index) => [node.id, index]));
+  const cycles = new Map();
+  const done = new Set();
+  const stack = [];
+
+  const visit = (id) => {
+    const position = stack.indexOf(id);
+    if (position !== -1) {
+      const cycle = stack.slice(position);
+      const start = cycle.reduce(
+        (first, nodeId, index) =>
+          order.get(nodeId) < order.get(cycle[first]) ? index : first,
+        0
+      );
+      const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+      cycles.set(rotated.join("\n"), rotated);
+      return;
+    }
+    if (done.has(id)) {
+      return;
+    }
+    stack.push(id);
+    for (const edge of getDependencies(graph, id)) {
+      visit(edge.to);
+    }
+    stack.pop();
+    done.add(id);
+  };
+
+  for (const node of graph.nodes) {
+    visit(node.id);
+  }
+  return [...cycles.values()];
+}
+
+/**
+ * Get the dependencies of a node
+ * @param {{edges: PackageEdge[]}} graph
+ * @param {string} id - Node id
+ * @returns {PackageEdge[]}
+ */
+export function getDependencies(graph, id) {
+  return graph.edges.filter((edge) => edge.from === id);
+}
+
+/**
+ * Describe the graph on one line ("3 package directories, 2 external packages, 5 dependencies")
+ * @param {{nodes: PackageNode[], edges: PackageEdge[]}} graph
+ * @returns {string}
+ */
+export function describePackageGraph(graph) {
+  const directories = graph.nodes.filter(
+    (node) => node.kind === "directory"
+  ).length;
+  return [
+    `${directories} package director${directories === 1 ? "y" : "ies"}`,
+    `${graph.nodes.length - directories} external package(s)`,
+    `${graph.edges.length} dependenc${graph.edges.length === 1 ? "y" : "ies"}`,
+  ].join(", ");
+}
+
+/**
+ * Render the graph as a Mermaid flowchart
+ * @param {{nodes: PackageNode[], edges: PackageEdge[]}} graph
+ * @returns {string}
+ */
+export function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const text = (value) => String(value).replace(/"/g, "#quot;");
+  const shapes = {
+    directory: ["[", "]"],
+    package: ["([", "])"],
+    version: ["([", "])"],
+    missing: ["[", "]"],
+  };
+
+  const lines = ["flowchart LR"];
+  for (const node of graph.nodes) {
+    const [open, close] = shapes[node.kind];
+    lines.push(
+      `  ${ids.get(node.id)}${open}"${text(getNodeLabel(node).join("<br/>"))}"${close}`
+    );
+  }
+  for (const edge of graph.edges) {
+    const label = edge.versionNumber ? `|"${text(edge.versionNumber)}"|` : "";
+    lines.push(`  ${ids.get(edge.from)} -->${label} ${ids.get(edge.to)}`);
+  }
+
+  const missing = graph.nodes.filter((node) => node.kind === "missing");
+  if (missing.length > 0) {
+    lines.push(
+      "  classDef missing stroke:#d33,stroke-dasharray:5 5",
+      `  class ${missing.map((node) => ids.get(node.id)).join(",")} missing`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render the graph in the Graphviz DOT language
+ * @param {{nodes: PackageNode[], edges: PackageEdge[]}} graph
+ * @returns {string}
+ */
+export function toDot(graph) {
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const text = (value) =>
+    `"${String(value)
+      .replace(/(["\\])/g, "\\$1")
+      .replace(/\n/g, "\\n")}"`;
+  const styles = {
+    directory: "shape=box",
+    package: "shape=ellipse",
+    version: "shape=ellipse",
+    missing: "shape=box, style=dashed, color=red",
+  };
+
+  const lines = ["digraph packages {", "  rankdir=LR;"];
+  for (const node of graph.nodes) {
+    const label = text(getNodeLabel(node).join("\n"));
+    lines.push(`  ${ids.get(node.id)} [label=${label}, ${styles[node.kind]}];`);
+  }
+  for (const edge of graph.edges) {
+    const label = edge.versionNumber
+      ? ` [label=${text(edge.versionNumber)}]`
+      : "";
+    lines.push(`  ${ids.get(edge.from)} -> ${ids.get(edge.to)}${label};`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Label lines of a node: its name, then its version or package ID
+ * @param {PackageNode} node
+ * @returns {string[]}
+ */
+function getNodeLabel(node) {
+  const detail =
+    node.kind === "directory"
+      ? node.versionNumber
+      : node.kind === "missing"
+        ? "no alias"
+        : node.packageId !== node.name
+          ? node.packageId
+          : null;
+  return [node.name, ...(detail ? [detail] : [])];
+}
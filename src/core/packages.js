@@ -0,0 +1,183 @@
+import * as path from "path";
+import * as shell from "../lib/shell.js";
+import * as globalPackages from "./global-packages.js";
+import { evaluateRequirements } from "./policy.js";
+import { readLocalVersions } from "./project-dependencies.js";
+
+/**
+ * Global npm package detection
+ * Lists the packages installed by the global package manager (npm, pnpm or
+ * yarn). A requirement installed in the project's node_modules (e.g. prettier
+ * as a devDependency) counts as satisfied too.
+ */
+
+/**
+ * Check required packages status against the preflight policy
+ * @param {Object} policy - Preflight policy
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string[]} [options.rootPaths] - Project folders whose node_modules also count
+ * @param {string} [options.packageManager] - Global package manager ("auto", "npm", "pnpm", "yarn")
+ * @returns {Promise<{installed: string[], missing: string[], outdated: Object[], versions: Object, alternatives: Object, local: string[], allInstalled: boolean, error?: string, errorType?: string}>}
+ */
+export async function checkPackages(policy, options = {}) {
+  const { rootPaths = [], packageManager, ...processOptions } = options;
+  const manager =
+    await globalPackages.detectGlobalPackageManager(packageManager);
+  const { installedVersions, result } = await listGlobalPackages(
+    manager,
+    policy.packages,
+    processOptions
+  );
+
+  if (!installedVersions) {
+    return {
+      installed: [],
+      missing: policy.packages.map((pkg) => pkg.name),
+      outdated: [],
+      versions: {},
+      alternatives: {},
+      local: [],
+      allInstalled: false,
+      manager,
+      error: result.error || `Unrecognized \`${manager} ls --json\` output`,
+      errorType: result.ok ? "error" : result.status,
+    };
+  }
+
+  const globalStatus = evaluateRequirements(policy.packages, installedVersions);
+  const unsatisfied = [
+    ...globalStatus.missing,
+    ...globalStatus.outdated.map((pkg) => pkg.name),
+  ];
+  if (unsatisfied.length === 0) {
+    return { ...globalStatus, local: [], manager, allInstalled: true };
+  }
+
+  // Re-evaluate the unsatisfied requirements, or an accepted alternative,
+  // against the project installs
+  const requirements = policy.packages.filter((pkg) =>
+    unsatisfied.includes(pkg.name)
+  );
+  const localVersions = await readLocalVersions(
+    rootPaths,
+    requirements.flatMap((pkg) => [pkg.name, ...(pkg.alternatives || [])])
+  );
+  const localStatus = evaluateRequirements(requirements, localVersions);
+  const local = localStatus.installed;
+
+  const status = {
+    installed: [...globalStatus.installed, ...local],
+    missing: globalStatus.missing.filter((name) => !local.includes(name)),
+    outdated: globalStatus.outdated.filter((pkg) => !local.includes(pkg.name)),
+    versions: { ...globalStatus.versions, ...localStatus.versions },
+    alternatives: { ...globalStatus.alternatives, ...localStatus.alternatives },
+    local,
+    manager,
+  };
+  return {
+    ...status,
+    allInstalled: status.missing.length === 0 && status.outdated.length === 0,
+  };
+}
+
+/**
+ * List the globally installed packages
+ * @param {string} manager - npm, pnpm or yarn
+ * @param {{name: string, alternatives?: string[]}[]} requirements - Used for yarn, which has no JSON listing
+ * @param {Object} options - Process options (signal, timeout)
+ * @returns {Promise<{installedVersions: Map<string, string | null> | null, result: Object}>}
+ */
+async function listGlobalPackages(manager, requirements, options) {
+  const listArgs = globalPackages.getListArgs(manager);
+
+  if (!listArgs) {
+    // yarn: read versions straight from the global folder's node_modules
+    const location = await globalPackages.getGlobalLocation(manager, options);
+    if (!location.directory) {
+      return { installedVersions: null, result: location };
+    }
+    const names = requirements.flatMap((pkg) => [
+      pkg.name,
+      ...(pkg.alternatives || []),
+    ]);
+    return {
+      installedVersions: await readLocalVersions(
+        [path.dirname(location.directory)],
+        names
+      ),
+      result: { ok: true },
+    };
+  }
+
+  const result = await shell.run(manager, listArgs, options);
+  // npm exits non-zero for extraneous or invalid packages but still prints
+  // the JSON tree, so only a failure to run it at all is an error
+  return {
+    installedVersions:
+      result.status === "ok" || result.status === "exit"
+        ? parseNpmList(result.stdout)
+        : null,
+    result,
+  };
+}
+
+/**
+ * Parse `npm ls --json --depth=0` output (or pnpm's, which wraps the same
+ * tree in an array) into installed name -> version
+ * @param {string} stdout
+ * @returns {Map<string, string | null> | null} - null if the output is not valid JSON
+ */
+export function parseNpmList(stdout) {
+  let tree;
+  try {
+    tree = JSON.parse(stdout || "{}");
+  } catch {
+    return null;
+  }
+  if (Array.isArray(tree)) {
+    tree = tree[0] || {};
+  }
+
+  const installed = new Map();
+  for (const [name, info] of Object.entries(tree.dependencies || {})) {
+    // Missing (declared but absent) entries have no version
+    if (info && !info.missing) {
+      installed.set(name, info.version || null);
+    }
+  }
+  return installed;
+}
+
+/**
+ * Get the packages that need installing or upgrading, as install specs.
+ * Missing packages get the required range too, so npm does not install a
+ * `latest` outside it.
+ * @param {Object} packageStatus - Package check result
+ * @param {{name: string, version: string}[]} [requirements] - Policy packages
+ * @returns {string[]}
+ */
+export function getPackagesToInstall(packageStatus, requirements = []) {
+  const ranges = new Map(requirements.map((pkg) => [pkg.name, pkg.version]));
+  const spec = (name, required) =>
+    required && required !== "*" ? `${name}@${required}` : name;
+  return [
+    ...packageStatus.missing.map((name) => spec(name, ranges.get(name))),
+    ...(packageStatus.outdated || []).map((pkg) =>
+      spec(pkg.name, pkg.required)
+    ),
+  ];
+}
+
+/**
+ * Describe missing and outdated packages for messages
+ * @param {Object} packageStatus - Package check result
+ * @returns {string}
+ */
+export function describePackageProblems(packageStatus) {
+  return [
+    ...packageStatus.missing,
+    ...(packageStatus.outdated || []).map(
+      (pkg) => `${pkg.name} (${pkg.version}, requires ${pkg.required})`
+    ),
+  ].join(", ");
+}
@@ -0,0 +1,186 @@
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import { findExecutables, getPathEntries } from "./system.js";
+
+/**
+ * PATH analysis
+ * Lists every copy of the Salesforce toolchain binaries on PATH, in the order
+ * the shell searches them, so a second `node` or `sf` hiding behind the first
+ * one (or a stale PATH directory) is visible instead of silently ignored.
+ */
+
+/** Tools to analyze, with the arguments that print their version */
+const PATH_TOOLS = [
+  { name: "sf", args: ["--version"] },
+  { name: "sfdx", args: ["--version"] },
+  { name: "node", args: ["--version"] },
+  { name: "npm", args: ["--version"] },
+  // java prints its version banner to stderr
+  { name: "java", args: ["-version"] },
+  { name: "git", args: ["--version"] },
+];
+
+/**
+ * Analyze PATH: directories that do not exist, and every candidate for each
+ * tool with its version
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string} [options.pathValue] - PATH to analyze (defaults to the search PATH)
+ * @returns {Promise<{entries: {dir: string, exists: boolean}[], missingDirs: string[], tools: Object<string, {candidates: {path: string, realPath: string, version: string | null, error?: string, active: boolean, shadowed: boolean, sameAsActive: boolean}[]}>, conflicts: string[]}>}
+ */
+export async function analyzePath(options = {}) {
+  const { pathValue = shell.getSearchPath(), ...processOptions } = options;
+
+  const entries = await Promise.all(
+    getPathEntries(pathValue).map(async (dir) => ({
+      dir,
+      exists: await isDirectory(dir),
+    }))
+  );
+
+  const inspected = await Promise.all(
+    PATH_TOOLS.map((tool) => inspectCandidates(tool, pathValue, processOptions))
+  );
+  const tools = Object.fromEntries(
+    PATH_TOOLS.map((tool, index) => [
+      tool.name,
+      { candidates: inspected[index] },
+    ])
+  );
+
+  return {
+    entries,
+    missingDirs: entries
+      .filter((entry) => !entry.exists)
+      .map((entry) => entry.dir),
+    tools,
+    conflicts: PATH_TOOLS.map((tool) => tool.name).filter((name) =>
+      hasConflict(tools[name].candidates)
+    ),
+  };
+}
+
+/**
+ * Resolve and run every candidate of a tool
+ * @param {{name: string, args: string[]}} tool
+ * @param {string} pathValue
+ * @param {Object} processOptions
+ * @returns {Promise<Object[]>}
+ */
+async function inspectCandidates(tool, pathValue, processOptions) {
+  const paths = await findExecutables(tool.name, { pathValue });
+  const candidates = await Promise.all(
+    paths.map(async (candidate) => {
+      const realPath = await fs.realpath(candidate).catch(() => candidate);
+      const result = await shell.run(candidate, tool.args, processOptions);
+      const version = parseVersion(shell.output(result));
+      return {
+        path: candidate,
+        realPath,
+        version,
+        ...(result.ok || version ? {} : { error: result.error }),
+      };
+    })
+  );
+
+  const active = candidates[0];
+  return candidates.map((candidate, index) => ({
+    ...candidate,
+    active: index === 0,
+    shadowed: index > 0,
+    // e.g. /usr/bin/node and /bin/node on merged-/usr systems
+    sameAsActive: index > 0 && candidate.realPath === active.realPath,
+  }));
+}
+
+/**
+ * Find a tool on a PATH and read its version
+ * @param {string} name - One of sf, sfdx, node, npm, java, git
+ * @param {Object} [options] - Process options (signal, timeout, env)
+ * @param {string} [options.pathValue] - PATH to search (defaults to the search PATH)
+ * @returns {Promise<{path: string, version: string | null} | null>}
+ */
+export async function findTool(name, options = {}) {
+  const { pathValue, ...processOptions } = options;
+  const tool = PATH_TOOLS.find((candidate) => candidate.name === name);
+  const [executable] = await findExecutables(name, { pathValue });
+  if (!tool || !executable) {
+    return null;
+  }
+  const result = await shell.run(executable, tool.args, processOptions);
+  return { path: executable, version: parseVersion(shell.output(result)) };
+}
+
+/**
+ * Names of the analyzed tools
+ * @returns {string[]}
+ */
+export function getToolNames() {
+  return PATH_TOOLS.map((tool) => tool.name);
+}
+
+/**
+ * A tool conflicts when a shadowed copy is a different binary with a
+ * different (or unknown) version than the one that runs
+ * @param {Object[]} candidates
+ * @returns {boolean}
+ */
+function hasConflict(candidates) {
+  const [active, ...shadowed] = candidates;
+  return shadowed.some(
+    (candidate) =>
+      !candidate.sameAsActive &&
+      (!candidate.version || candidate.version !== active.version)
+  );
+}
+
+/**
+ * Extract the first version number from a version banner
+ * ("@salesforce/cli/2.60.0 ...", "v20.11.0", 'openjdk version "21.0.2"')
+ * @param {string} output
+ * @returns {string | null}
+ */
+function parseVersion(output) {
+  const match = output.match(/(\d+\.\d+(?:\.\d+)?(?:[_+-][\w.]+)?)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Describe the candidates of a tool for messages, one line each
+ * ("/usr/local/bin/node 20.11.0 (used)", "/usr/bin/node 18.19.0 (shadowed)")
+ * @param {Object[]} candidates
+ * @returns {string[]}
+ */
+export function describeCandidates(candidates = []) {
+  return candidates.map((candidate) =>
+    [
+      candidate.path,
+      candidate.version || candidate.error || "unknown version",
+      candidate.active
+        ? "(used)"
+        : candidate.sameAsActive
+          ? "(same binary as the one used)"
+          : "(shadowed)",
+    ].join(" ")
+  );
+}
+
+/**
+ * Explain which binaries VS Code and the integrated terminal run
+ * @returns {string}
+ */
+export function describePathPrecedence() {
+  return "VS Code and the extensions run the first candidate on the PATH VS Code was started with. Integrated terminals start from the same PATH, but your shell profile can prepend other directories, so a terminal may run a different candidate.";
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} dir
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
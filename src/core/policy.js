@@ -0,0 +1,328 @@
+import * as path from "path";
+import fs from "fs/promises";
+import {
+  ACCEPTED_ALTERNATIVES,
+  REQUIRED_PACKAGES,
+  REQUIRED_SF_PLUGINS,
+  MIN_VERSIONS,
+  SUPPORTED_JAVA_VERSIONS,
+  POLICY_FILE_NAME,
+  CHECK_LEVELS,
+  DEFAULT_CHECK_LEVELS,
+} from "../lib/constants.js";
+import * as semver from "../lib/semver.js";
+
+/**
+ * Preflight policy service
+ * Resolves the team requirements from a committed `.sf-preflight.json` or the
+ * `preflight` block of `sfdx-project.json`, falling back to the built-in defaults.
+ *
+ * Example `.sf-preflight.json`:
+ * {
+ *   "packages": { "prettier": "^3.0.0", "prettier-plugin-apex": "*" },
+ *   "sfPlugins": { "code-analyzer": ">=5.0.0" },
+ *   "minVersions": { "node": "20", "java": "17", "sfCli": "2.50.0", "apiVersion": "55.0" },
+ *   "supportedVersions": { "java": [17, 21] },
+ *   "checks": { "java": "mandatory", "sfPlugins": "advisory" }
+ * }
+ */
+
+/**
+ * Build the policy used when no policy file is found
+ * @returns {Object}
+ */
+export function getDefaultPolicy() {
+  return {
+    source: "default",
+    packages: REQUIRED_PACKAGES.map((name) => createRequirement(name)),
+    sfPlugins: REQUIRED_SF_PLUGINS.map((name) => createRequirement(name)),
+    minVersions: {
+      node: String(MIN_VERSIONS.NODE),
+      java: String(MIN_VERSIONS.JAVA),
+      sfCli: null,
+      apiVersion: `${MIN_VERSIONS.API_VERSION}.0`,
+    },
+    supportedVersions: { java: [...SUPPORTED_JAVA_VERSIONS] },
+    checks: { ...DEFAULT_CHECK_LEVELS },
+  };
+}
+
+/**
+ * Load the policy for the given project roots.
+ * The first root containing `.sf-preflight.json` (or a `preflight` block in
+ * `sfdx-project.json`) wins.
+ * @param {string[]} rootPaths - Absolute folder paths to search
+ * @returns {Promise<Object>} - Normalized policy (with `source`, `error` if a file was invalid and `warnings` for skipped entries)
+ */
+export async function loadPolicy(rootPaths = []) {
+  for (const rootPath of rootPaths) {
+    const policyPath = path.join(rootPath, POLICY_FILE_NAME);
+    const policyFile = await readJson(policyPath);
+    if (policyFile.exists) {
+      if (policyFile.error) {
+        return {
+          ...getDefaultPolicy(),
+          error: `${policyPath}: ${policyFile.error}`,
+        };
+      }
+      if (!isPlainObject(policyFile.data)) {
+        return {
+          ...getDefaultPolicy(),
+          error: `${policyPath}: The policy must be a JSON object`,
+        };
+      }
+      return normalizePolicy(policyFile.data, policyPath);
+    }
+
+    const projectPath = path.join(rootPath, "sfdx-project.json");
+    const projectFile = await readJson(projectPath);
+    const preflight = isPlainObject(projectFile.data)
+      ? projectFile.data.preflight
+      : undefined;
+    if (preflight !== undefined) {
+      if (!isPlainObject(preflight)) {
+        return {
+          ...getDefaultPolicy(),
+          error: `${projectPath}: "preflight" must be a JSON object`,
+        };
+      }
+      return normalizePolicy(preflight, projectPath);
+    }
+  }
+
+  return getDefaultPolicy();
+}
+
+/**
+ * Merge a raw policy object over the defaults
+ * @param {Object} raw - Policy as written by the team
+ * @param {string} source - Where the policy was read from
+ * @returns {Object}
+ */
+export function normalizePolicy(raw, source) {
+  const defaults = getDefaultPolicy();
+  const warnings = [];
+  const policy = {
+    source,
+    packages: raw.packages
+      ? normalizeRequirements(raw.packages, "packages", warnings) ||
+        defaults.packages
+      : defaults.packages,
+    sfPlugins: raw.sfPlugins
+      ? normalizeRequirements(raw.sfPlugins, "sfPlugins", warnings) ||
+        defaults.sfPlugins
+      : defaults.sfPlugins,
+    minVersions: { ...defaults.minVersions },
+    supportedVersions: { ...defaults.supportedVersions },
+    checks: { ...defaults.checks },
+  };
+  if (warnings.length > 0) {
+    policy.warnings = warnings.map((warning) => `${source}: ${warning}`);
+  }
+
+  // Lists of supported major versions; null accepts any version above the minimum
+  for (const [key, value] of Object.entries(raw.supportedVersions || {})) {
+    policy.supportedVersions[key] = Array.isArray(value)
+      ? value.map((version) => parseInt(version)).filter(Number.isFinite)
+      : null;
+  }
+
+  for (const [key, value] of Object.entries(raw.minVersions || {})) {
+    policy.minVersions[key] =
+      value === null || value === undefined ? null : String(value);
+  }
+
+  const levels = Object.values(CHECK_LEVELS);
+  for (const [check, level] of Object.entries(raw.checks || {})) {
+    if (levels.includes(level)) {
+      policy.checks[check] = level;
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Normalize a requirement list.
+ * Accepts `["name"]`, `[{ name, version, alternatives }]` or `{ name: range }`.
+ * Entries of another shape are skipped and reported in `warnings`.
+ * @param {string[] | Object[] | Object} requirements
+ * @param {string} field - Policy field, for warnings
+ * @param {string[]} warnings - Collects what was skipped
+ * @returns {{name: string, version: string, alternatives: string[]}[] | null} - null when the list itself is invalid
+ */
+function normalizeRequirements(requirements, field, warnings) {
+  if (Array.isArray(requirements)) {
+    const normalized = [];
+    requirements.forEach((entry, index) => {
+      if (typeof entry === "string" && entry) {
+        normalized.push(createRequirement(entry));
+      } else if (
+        isPlainObject(entry) &&
+        typeof entry.name === "string" &&
+        entry.name
+      ) {
+        normalized.push(
+          createRequirement(entry.name, entry.version, entry.alternatives)
+        );
+      } else {
+        warnings.push(
+          `${field}[${index}]: Requirement must be a name or an object with a "name" field`
+        );
+      }
+    });
+    return normalized;
+  }
+
+  if (!isPlainObject(requirements)) {
+    warnings.push(
+      `"${field}" must be a list or an object of names and versions, using the defaults`
+    );
+    return null;
+  }
+  return Object.entries(requirements).map(([name, version]) =>
+    createRequirement(name, version)
+  );
+}
+
+/**
+ * Build a requirement, defaulting to any version and the built-in alternatives
+ * @param {string} name
+ * @param {string} [version]
+ * @param {string[]} [alternatives]
+ * @returns {{name: string, version: string, alternatives: string[]}}
+ */
+function createRequirement(name, version, alternatives) {
+  return {
+    name,
+    version: version || "*",
+    alternatives: Array.isArray(alternatives)
+      ? alternatives
+      : ACCEPTED_ALTERNATIVES[name] || [],
+  };
+}
+
+/**
+ * Get the configured level for a check
+ * @param {Object} policy
+ * @param {string} check - Check id (node, java, salesforceCLI, packages, sfPlugins)
+ * @returns {'mandatory' | 'advisory' | 'off'}
+ */
+export function getCheckLevel(policy, check) {
+  return (
+    policy?.checks?.[check] ||
+    DEFAULT_CHECK_LEVELS[check] ||
+    CHECK_LEVELS.ADVISORY
+  );
+}
+
+/**
+ * Check whether an installed version meets a minimum version
+ * @param {string} version - Installed version
+ * @param {string | null} minVersion - Minimum version, or null for no minimum
+ * @returns {boolean}
+ */
+export function meetsMinimum(version, minVersion) {
+  if (!minVersion) {
+    return true;
+  }
+  return semver.gte(version, minVersion);
+}
+
+/**
+ * Evaluate a list of requirements against installed versions.
+ * A requirement that is not installed is satisfied by any installed
+ * alternative; alternatives are versioned independently, so the required
+ * range is not applied to them.
+ * @param {{name: string, version: string, alternatives?: string[]}[]} requirements
+ * @param {Map<string, string | null>} installedVersions - Installed name -> version (null if version unknown)
+ * @returns {{installed: string[], missing: string[], outdated: {name: string, version: string, required: string}[], versions: Object<string, string | null>, alternatives: Object<string, string>}}
+ */
+export function evaluateRequirements(requirements, installedVersions) {
+  const installed = [];
+  const missing = [];
+  const outdated = [];
+  const versions = {};
+  const alternatives = {};
+
+  for (const {
+    name,
+    version: required,
+    alternatives: accepted = [],
+  } of requirements) {
+    if (!installedVersions.has(name)) {
+      const alternative = accepted.find((alt) => installedVersions.has(alt));
+      if (alternative) {
+        installed.push(name);
+        versions[name] = installedVersions.get(alternative);
+        alternatives[name] = alternative;
+      } else {
+        missing.push(name);
+      }
+      continue;
+    }
+
+    const version = installedVersions.get(name);
+    versions[name] = version;
+    if (required !== "*" && version && !semver.satisfies(version, required)) {
+      outdated.push({ name, version, required });
+    } else {
+      installed.push(name);
+    }
+  }
+
+  return { installed, missing, outdated, versions, alternatives };
+}
+
+/**
+ * Describe installed requirements with their versions ("prettier@3.3.3",
+ * "prettier-plugin-apex@2.1.0 via @ilyamatsuev/prettier-plugin-apex",
+ * "code-analyzer@5.0.0 (user)" for SF plugins with a type)
+ * @param {{installed: string[], versions?: Object, alternatives?: Object, local?: string[], types?: Object}} status
+ * @returns {string[]}
+ */
+export function describeInstalled(status) {
+  const versions = status.versions || {};
+  const alternatives = status.alternatives || {};
+  const local = status.local || [];
+  const types = status.types || {};
+  return status.installed.map((name) =>
+    [
+      versions[name] ? `${name}@${versions[name]}` : name,
+      alternatives[name] ? `via ${alternatives[name]}` : null,
+      local.includes(name) ? "(project)" : null,
+      types[name] ? `(${types[name]})` : null,
+    ]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+/**
+ * Check whether a parsed JSON value is an object (not null or an array)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath
+ * @returns {Promise<{exists: boolean, data?: Object, error?: string}>}
+ */
+async function readJson(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf8");
+  } catch {
+    return { exists: false };
+  }
+
+  try {
+    return { exists: true, data: JSON.parse(content) };
+  } catch (error) {
+    return { exists: true, error: error.message };
+  }
+}
@@ -0,0 +1,395 @@
+import * as path from "path";
+import fs from "fs/promises";
+import * as semver from "../lib/semver.js";
+import { getSalesforceProjects } from "./project.js";
+
+/**
+ * Project-local dependency detection
+ * Compares the dependencies declared in each project `package.json` with what
+ * is installed in `node_modules`, and detects the package manager from the
+ * lockfile.
+ */
+
+/**
+ * Lockfiles in detection order, with the file each package manager writes
+ * into `node_modules` after a successful install
+ */
+const PACKAGE_MANAGERS = [
+  {
+    id: "pnpm",
+    lockfiles: ["pnpm-lock.yaml"],
+    installMarkers: [".modules.yaml"],
+  },
+  {
+    id: "yarn",
+    lockfiles: ["yarn.lock"],
+    // Yarn 1 and Yarn 2+ (node-modules linker) respectively
+    installMarkers: [".yarn-integrity", ".yarn-state.yml"],
+  },
+  {
+    id: "npm",
+    lockfiles: ["package-lock.json", "npm-shrinkwrap.json"],
+    installMarkers: [".package-lock.json"],
+  },
+];
+
+/** Dependency fields read from package.json */
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+];
+
+/**
+ * @typedef {Object} ProjectDependencies
+ * @property {string} name - Salesforce DX project name, or the folder name
+ * @property {string} root - Folder of the package.json
+ * @property {string} [installRoot] - Folder the install runs in: the nearest folder with a lockfile (a workspace root) or `root`
+ * @property {string} [packageManager]
+ * @property {string | null} [lockfile] - Path relative to `root`
+ * @property {boolean} [nodeModulesInstalled]
+ * @property {boolean | null} [outOfSync]
+ * @property {string[]} installed
+ * @property {string[]} missing
+ * @property {Object[]} outdated
+ * @property {Object} versions
+ * @property {boolean} allInstalled
+ * @property {string} [error]
+ */
+
+/**
+ * Check the dependencies of every Salesforce DX project with a package.json,
+ * or of the first project folder with one when no project has its own
+ * @param {string[]} rootPaths - Project folders
+ * @returns {Promise<{hasPackageJson: boolean, projects: ProjectDependencies[], allInstalled: boolean}>}
+ */
+export async function checkProjectDependencies(rootPaths = []) {
+  const projects = [];
+  for (const { root, name } of await findPackageRoots(rootPaths)) {
+    projects.push({
+      name,
+      ...(await checkPackageDependencies(
+        root,
+        getModuleFolders(root, rootPaths)
+      )),
+    });
+  }
+  return {
+    hasPackageJson: projects.length > 0,
+    projects,
+    allInstalled: projects.every((project) => project.allInstalled),
+  };
+}
+
+/**
+ * Check the dependencies of one package.json against node_modules
+ * @param {string} root - Folder of the package.json
+ * @param {string[]} folders - Folders packages resolve from, nearest first
+ * @returns {Promise<Object>} - See `ProjectDependencies`
+ */
+async function checkPackageDependencies(root, folders) {
+  const empty = {
+    installed: [],
+    missing: [],
+    outdated: [],
+    versions: {},
+    allInstalled: true,
+  };
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(
+      await fs.readFile(path.join(root, "package.json"), "utf8")
+    );
+  } catch (error) {
+    return {
+      ...empty,
+      root,
+      allInstalled: false,
+      error: `Invalid package.json: ${error.message}`,
+    };
+  }
+
+  const { packageManager, lockfile, installRoot, installMarkers } =
+    await detectPackageManager(folders, packageJson);
+  const nodeModulesInstalled = (
+    await Promise.all(
+      folders.map((folder) => exists(path.join(folder, "node_modules")))
+    )
+  ).some(Boolean);
+  const declared = getDeclaredDependencies(packageJson);
+  const optional = new Set(Object.keys(packageJson.optionalDependencies || {}));
+
+  // Yarn Plug'n'Play installs have no node_modules to compare against
+  if (await exists(path.join(installRoot, ".pnp.cjs"))) {
+    return {
+      ...empty,
+      root,
+      installRoot,
+      packageManager,
+      lockfile,
+      nodeModulesInstalled,
+      outOfSync: false,
+      pnp: true,
+      installed: Object.keys(declared),
+    };
+  }
+
+  const installed = [];
+  const missing = [];
+  const outdated = [];
+  const versions = {};
+
+  for (const [name, range] of Object.entries(declared)) {
+    const version = await findInstalledVersion(folders, name);
+    if (!version) {
+      // Optional dependencies may be skipped, e.g. on another platform
+      if (!optional.has(name)) {
+        missing.push(name);
+      }
+      continue;
+    }
+
+    versions[name] = version;
+    if (isSemverRange(range) && !semver.satisfies(version, range)) {
+      outdated.push({ name, version, required: range });
+    } else {
+      installed.push(name);
+    }
+  }
+
+  // null when there is nothing to compare (no install or no marker)
+  const outOfSync =
+    nodeModulesInstalled && lockfile !== null
+      ? await isNewer(
+          path.join(root, lockfile),
+          installMarkers.map((marker) =>
+            path.join(installRoot, "node_modules", marker)
+          )
+        )
+      : null;
+
+  return {
+    root,
+    installRoot,
+    packageManager,
+    lockfile,
+    nodeModulesInstalled,
+    outOfSync,
+    installed,
+    missing,
+    outdated,
+    versions,
+    allInstalled: missing.length === 0 && outdated.length === 0 && !outOfSync,
+  };
+}
+
+/**
+ * Read the versions of packages installed in the projects' node_modules
+ * @param {string[]} rootPaths - Project folders
+ * @param {string[]} names - Package names
+ * @returns {Promise<Map<string, string>>} - name -> version, for installed packages only
+ */
+export async function readLocalVersions(rootPaths, names) {
+  const versions = new Map();
+  for (const rootPath of rootPaths) {
+    for (const name of names) {
+      if (!versions.has(name)) {
+        const version = await readInstalledVersion(rootPath, name);
+        if (version) {
+          versions.set(name, version);
+        }
+      }
+    }
+  }
+  return versions;
+}
+
+/**
+ * Get the install command for a package manager
+ * @param {string} packageManager - npm, yarn or pnpm
+ * @returns {string}
+ */
+export function getInstallCommand(packageManager) {
+  return `${packageManager} install`;
+}
+
+/**
+ * Find the package.json folders to check: the Salesforce DX projects with
+ * one, or else the first project folder with one
+ * @param {string[]} rootPaths
+ * @returns {Promise<{root: string, name: string}[]>}
+ */
+async function findPackageRoots(rootPaths) {
+  const roots = [];
+  for (const project of await getSalesforceProjects(rootPaths)) {
+    if (await exists(path.join(project.root, "package.json"))) {
+      roots.push({ root: project.root, name: project.name });
+    }
+  }
+  if (roots.length > 0) {
+    return roots;
+  }
+
+  for (const rootPath of rootPaths) {
+    if (await exists(path.join(rootPath, "package.json"))) {
+      return [{ root: rootPath, name: path.basename(rootPath) }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Folders a project resolves packages from: its own and each parent up to
+ * the project folder containing it, where workspaces hoist dependencies
+ * @param {string} root
+ * @param {string[]} rootPaths
+ * @returns {string[]} - Nearest first
+ */
+function getModuleFolders(root, rootPaths) {
+  const top =
+    rootPaths.find((rootPath) => root.startsWith(rootPath + path.sep)) || root;
+  const folders = [root];
+  while (folders[folders.length - 1] !== top) {
+    folders.push(path.dirname(folders[folders.length - 1]));
+  }
+  return folders;
+}
+
+/**
+ * Detect the package manager from the `packageManager` field or the nearest
+ * lockfile
+ * @param {string[]} folders - Package folder first, then its parents
+ * @param {Object} packageJson
+ * @returns {Promise<{packageManager: string, lockfile: string | null, installRoot: string, installMarkers: string[]}>} - `lockfile` is relative to the package folder
+ */
+async function detectPackageManager(folders, packageJson) {
+  // Corepack style "packageManager": "pnpm@9.1.0"
+  const declared = String(packageJson.packageManager || "").split("@")[0];
+
+  for (const folder of folders) {
+    for (const manager of PACKAGE_MANAGERS) {
+      for (const lockfile of manager.lockfiles) {
+        if (
+          (!declared || declared === manager.id) &&
+          (await exists(path.join(folder, lockfile)))
+        ) {
+          return {
+            packageManager: manager.id,
+            lockfile: path.relative(folders[0], path.join(folder, lockfile)),
+            installRoot: folder,
+            installMarkers: manager.installMarkers,
+          };
+        }
+      }
+    }
+  }
+
+  const fallback =
+    PACKAGE_MANAGERS.find((manager) => manager.id === declared) ||
+    PACKAGE_MANAGERS.find((manager) => manager.id === "npm");
+  return {
+    packageManager: fallback.id,
+    lockfile: null,
+    installRoot: folders[0],
+    installMarkers: fallback.installMarkers,
+  };
+}
+
+/**
+ * Merge the dependency fields of a package.json
+ * @param {Object} packageJson
+ * @returns {Object<string, string>} - name -> declared range
+ */
+function getDeclaredDependencies(packageJson) {
+  return Object.assign(
+    {},
+    ...DEPENDENCY_FIELDS.map((field) => packageJson[field] || {})
+  );
+}
+
+/**
+ * Whether a declared dependency is a version range (not a git URL, file
+ * path, workspace reference, npm alias or dist-tag such as "latest")
+ * @param {string} range
+ * @returns {boolean}
+ */
+function isSemverRange(range) {
+  const value = String(range).trim();
+  return (
+    !/^(?:[a-z+]+:|\.|\/|~\/|[\w-]+\/[\w.-]+$)/i.test(value) &&
+    /^(?:[\d<>=^~*xX]|v\d|$)/.test(value)
+  );
+}
+
+/**
+ * Find the version of a package in the nearest node_modules that has it
+ * @param {string[]} folders - Nearest first
+ * @param {string} name
+ * @returns {Promise<string | null>}
+ */
+async function findInstalledVersion(folders, name) {
+  for (const folder of folders) {
+    const version = await readInstalledVersion(folder, name);
+    if (version) {
+      return version;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the version of a package installed in a folder's node_modules
+ * @param {string} root
+ * @param {string} name
+ * @returns {Promise<string | null>}
+ */
+async function readInstalledVersion(root, name) {
+  try {
+    const content = await fs.readFile(
+      path.join(root, "node_modules", name, "package.json"),
+      "utf8"
+    );
+    return JSON.parse(content).version || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether `file` was modified after the newest of `references`
+ * @param {string} file
+ * @param {string[]} references
+ * @returns {Promise<boolean | null>} - null when none of the references exists
+ */
+async function isNewer(file, references) {
+  try {
+    const fileStat = await fs.stat(file);
+    const referenceStats = (
+      await Promise.all(
+        references.map((reference) => fs.stat(reference).catch(() => null))
+      )
+    ).filter(Boolean);
+    if (referenceStats.length === 0) {
+      return null;
+    }
+    const newest = Math.max(...referenceStats.map((stat) => stat.mtimeMs));
+    return fileStat.mtimeMs > newest;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,125 @@
+import * as path from "path";
+import fs from "fs/promises";
+
+/**
+ * Metadata inventory
+ * Counts the metadata of a package directory by type, from the file names of
+ * the source format (`classes/Foo.cls`, `objects/Account/fields/X__c.field-meta.xml`).
+ * Apex classes annotated with `@isTest` are counted as tests.
+ */
+
+/** Metadata types in display order; `pattern` matches the file path */
+const METADATA_TYPES = [
+  { id: "apexClass", name: "Apex classes", pattern: /\.cls$/ },
+  { id: "apexTest", name: "Apex test classes", pattern: null },
+  { id: "apexTrigger", name: "Apex triggers", pattern: /\.trigger$/ },
+  {
+    id: "lwc",
+    name: "Lightning web components",
+    pattern: /[\\/]lwc[\\/]([^\\/]+)[\\/]\1\.js-meta\.xml$/,
+  },
+  {
+    id: "aura",
+    name: "Aura components",
+    pattern: /[\\/]aura[\\/]([^\\/]+)[\\/]\1\.(?:cmp|app|evt|intf)$/,
+  },
+  {
+    id: "jestTest",
+    name: "Jest tests",
+    pattern: /[\\/]__tests__[\\/].+\.test\.js$/,
+  },
+  { id: "object", name: "Objects", pattern: /\.object-meta\.xml$/ },
+  { id: "field", name: "Fields", pattern: /\.field-meta\.xml$/ },
+  { id: "flow", name: "Flows", pattern: /\.flow-meta\.xml$/ },
+  {
+    id: "permissionSet",
+    name: "Permission sets",
+    pattern: /\.permissionset-meta\.xml$/,
+  },
+];
+
+/** Marks an Apex class as a test class */
+const APEX_TEST_PATTERN = /@isTest\b/i;
+
+/** Folders never scanned (hidden folders are skipped too) */
+const SKIPPED_DIRECTORIES = new Set(["node_modules"]);
+
+/**
+ * Count the metadata of a package directory by type
+ * @param {string} dir - Absolute package directory path
+ * @returns {Promise<{id: string, name: string, files: string[]}[]>} - Every type, in display order, with its absolute file paths
+ */
+export async function getMetadataInventory(dir) {
+  const files = [];
+  await collectFiles(dir, files);
+
+  const byType = new Map(METADATA_TYPES.map((type) => [type.id, []]));
+  for (const filePath of files.sort()) {
+    const type = METADATA_TYPES.find(
+      (candidate) => candidate.pattern && candidate.pattern.test(filePath)
+    );
+    if (!type) {
+      continue;
+    }
+    const id =
+      type.id === "apexClass" && (await isApexTest(filePath))
+        ? "apexTest"
+        : type.id;
+    byType.get(id).push(filePath);
+  }
+
+  return METADATA_TYPES.map(({ id, name }) => ({
+    id,
+    name,
+    files: byType.get(id),
+  }));
+}
+
+/**
+ * Describe the inventory on one line ("12 Apex classes, 4 Apex test classes")
+ * @param {{name: string, files: string[]}[]} inventory
+ * @returns {string}
+ */
+export function describeInventory(inventory = []) {
+  return inventory
+    .filter((type) => type.files.length > 0)
+    .map((type) => `${type.files.length} ${type.name}`)
+    .join(", ");
+}
+
+/**
+ * Walk a folder for files
+ * @param {string} dir
+ * @param {string[]} found - Collects absolute paths
+ */
+async function collectFiles(dir, found) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith(".") && !SKIPPED_DIRECTORIES.has(entry.name)) {
+        await collectFiles(entryPath, found);
+      }
+    } else {
+      found.push(entryPath);
+    }
+  }
+}
+
+/**
+ * Check whether an Apex class is a test class
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function isApexTest(filePath) {
+  try {
+    return APEX_TEST_PATTERN.test(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,432 @@
+import * as path from "path";
+import fs from "fs/promises";
+import {
+  findProperty,
+  getNodeValue,
+  getRange,
+  parseTree,
+} from "../lib/json-ast.js";
+
+/**
+ * sfdx-project.json validation
+ * Checks the project file against the Salesforce DX project schema and the
+ * project folder (package directories that do not exist, dependencies on
+ * aliases nobody defined). Every problem carries the range of the key or
+ * value it is about, so editors can underline it.
+ */
+
+/** Package (0Ho) or package version (04t) ID, 15 or 18 characters */
+const PACKAGE_ID_PATTERN = /^(0Ho|04t)[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/;
+
+/** Package directory version, e.g. 1.2.0.NEXT */
+const VERSION_NUMBER_PATTERN = /^\d+\.\d+\.\d+\.(?:\d+|NEXT)$/;
+
+/** Dependency version, e.g. 1.2.0.LATEST */
+const DEPENDENCY_VERSION_PATTERN = /^\d+\.\d+\.\d+\.(?:\d+|LATEST|RELEASED)$/;
+
+/** Namespace prefix: up to 15 characters, no double or trailing underscore */
+const NAMESPACE_PATTERN = /^[A-Za-z](?:[A-Za-z0-9]|_(?!_)){0,14}$/;
+
+/** Alternatives where a replacement needs exactly one of each pair */
+const REPLACEMENT_CHOICES = [
+  ["filename", "glob"],
+  ["stringToReplace", "regexToReplace"],
+  ["replaceWithEnv", "replaceWithFile"],
+];
+
+/** @typedef {import("../lib/json-ast.js").JsonNode} JsonNode */
+
+/**
+ * @typedef {Object} ProjectProblem
+ * @property {'error' | 'warning'} severity
+ * @property {string} message
+ * @property {{start: {line: number, character: number}, end: {line: number, character: number}}} range - Zero-based
+ */
+
+/**
+ * Validate an sfdx-project.json file
+ * @param {string} filePath
+ * @returns {Promise<{path: string, problems: ProjectProblem[]}>}
+ */
+export async function validateSfdxProject(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    return {
+      path: filePath,
+      problems: [
+        {
+          severity: "error",
+          message: `Cannot read sfdx-project.json: ${error.message}`,
+          range: getRange("", { offset: 0, length: 0 }),
+        },
+      ],
+    };
+  }
+
+  return {
+    path: filePath,
+    problems: await validateSfdxProjectText(text, path.dirname(filePath)),
+  };
+}
+
+/**
+ * Validate the content of an sfdx-project.json file
+ * @param {string} text - File content
+ * @param {string} rootPath - Project folder (package directories are relative to it)
+ * @returns {Promise<ProjectProblem[]>}
+ */
+export async function validateSfdxProjectText(text, rootPath) {
+  const problems = [];
+  const report = (node, message, severity = "error") =>
+    problems.push({ severity, message, range: getRange(text, node) });
+
+  const { root, error } = parseTree(text);
+  if (error) {
+    report(
+      { offset: error.offset, length: 1 },
+      `Invalid JSON: ${error.message}`
+    );
+    return problems;
+  }
+  if (root.type !== "object") {
+    report(root, "sfdx-project.json must contain a JSON object");
+    return problems;
+  }
+
+  const aliases = checkPackageAliases(root, report);
+  await checkPackageDirectories(root, rootPath, aliases, report);
+  checkNamespace(root, report);
+  checkSourceApiVersion(root, report);
+  await checkReplacements(root, rootPath, report);
+
+  return problems.sort(
+    (a, b) =>
+      a.range.start.line - b.range.start.line ||
+      a.range.start.character - b.range.start.character
+  );
+}
+
+/**
+ * Describe problems for messages, one line each
+ * ("line 4: Package directory "force-app" does not exist")
+ * @param {ProjectProblem[]} problems
+ * @returns {string[]}
+ */
+export function describeProblems(problems = []) {
+  return problems.map(
+    (problem) => `line ${problem.range.start.line + 1}: ${problem.message}`
+  );
+}
+
+/**
+ * Check the value type of a property, reporting a mismatch
+ * @param {{key: JsonNode, value: JsonNode} | null} property
+ * @param {string} type - Expected node type
+ * @param {function} report
+ * @returns {boolean} - Whether the property exists with the expected type
+ */
+function hasType(property, type, report) {
+  if (!property) {
+    return false;
+  }
+  if (property.value.type !== type) {
+    report(
+      property.value,
+      `"${property.key.value}" must be ${type === "array" || type === "object" ? "an" : "a"} ${type}`
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check `packageAliases` and return the defined aliases
+ * @param {JsonNode} root
+ * @param {function} report
+ * @returns {Map<string, string> | null} - alias -> ID, null when the property is absent
+ */
+function checkPackageAliases(root, report) {
+  const property = findProperty(root, "packageAliases");
+  if (!hasType(property, "object", report)) {
+    return null;
+  }
+
+  const aliases = new Map();
+  for (const { key, value } of property.value.properties) {
+    if (value.type !== "string") {
+      report(value, `Alias "${key.value}" must map to a package ID string`);
+      continue;
+    }
+    aliases.set(key.value, value.value);
+    if (!PACKAGE_ID_PATTERN.test(value.value)) {
+      report(
+        value,
+        `Alias "${key.value}" does not point to a package (0Ho) or package version (04t) ID`,
+        "warning"
+      );
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Check `packageDirectories`: required, paths that exist, exactly one
+ * default, valid versions and dependencies
+ * @param {JsonNode} root
+ * @param {string} rootPath
+ * @param {Map<string, string> | null} aliases
+ * @param {function} report
+ */
+async function checkPackageDirectories(root, rootPath, aliases, report) {
+  const property = findProperty(root, "packageDirectories");
+  if (!property) {
+    report(
+      { offset: root.offset, length: 1 },
+      'Missing required property "packageDirectories"'
+    );
+    return;
+  }
+  if (!hasType(property, "array", report)) {
+    return;
+  }
+  if (property.value.items.length === 0) {
+    report(property.value, "List at least one package directory");
+    return;
+  }
+
+  const defaults = [];
+  for (const directory of property.value.items) {
+    if (directory.type !== "object") {
+      report(directory, "A package directory must be an object");
+      continue;
+    }
+
+    const dirPath = findProperty(directory, "path");
+    if (!dirPath) {
+      report(directory, 'Package directory is missing "path"');
+    } else if (hasType(dirPath, "string", report)) {
+      if (!(await isDirectory(path.resolve(rootPath, dirPath.value.value)))) {
+        report(
+          dirPath.value,
+          `Package directory "${dirPath.value.value}" does not exist`
+        );
+      }
+    }
+
+    const isDefault = findProperty(directory, "default");
+    if (hasType(isDefault, "boolean", report) && isDefault.value.value) {
+      defaults.push(isDefault);
+    }
+
+    const packageName = findProperty(directory, "package");
+    if (
+      hasType(packageName, "string", report) &&
+      aliases &&
+      !aliases.has(packageName.value.value)
+    ) {
+      report(
+        packageName.value,
+        `Package "${packageName.value.value}" has no entry in "packageAliases"`,
+        "warning"
+      );
+    }
+
+    const versionNumber = findProperty(directory, "versionNumber");
+    if (
+      hasType(versionNumber, "string", report) &&
+      !VERSION_NUMBER_PATTERN.test(versionNumber.value.value)
+    ) {
+      report(
+        versionNumber.value,
+        'versionNumber must look like "1.0.0.NEXT" or "1.0.0.1"'
+      );
+    }
+
+    checkDependencies(directory, aliases, report);
+  }
+
+  if (defaults.length === 0 && property.value.items.length > 1) {
+    report(
+      property.key,
+      'One package directory must be marked with "default": true'
+    );
+  }
+  for (const extra of defaults.slice(1)) {
+    report(extra.key, 'Only one package directory can be "default": true');
+  }
+}
+
+/**
+ * Check the dependencies of a package directory against `packageAliases`
+ * @param {JsonNode} directory
+ * @param {Map<string, string> | null} aliases
+ * @param {function} report
+ */
+function checkDependencies(directory, aliases, report) {
+  const property = findProperty(directory, "dependencies");
+  if (!hasType(property, "array", report)) {
+    return;
+  }
+
+  for (const dependency of property.value.items) {
+    if (dependency.type !== "object") {
+      report(dependency, 'Dependency must be an object with a "package" field');
+      continue;
+    }
+    const packageName = findProperty(dependency, "package");
+    if (!packageName) {
+      report(dependency, 'Dependency is missing "package"');
+      continue;
+    }
+    if (!hasType(packageName, "string", report)) {
+      continue;
+    }
+
+    const name = packageName.value.value;
+    const id = PACKAGE_ID_PATTERN.test(name)
+      ? name
+      : aliases && aliases.get(name);
+    if (!id) {
+      report(
+        packageName.value,
+        `Dependency "${name}" is not defined in "packageAliases"`
+      );
+      continue;
+    }
+
+    const versionNumber = findProperty(dependency, "versionNumber");
+    if (!versionNumber && id.startsWith("0Ho")) {
+      report(
+        packageName.value,
+        `Dependency "${name}" points to a package (0Ho), so it needs a "versionNumber"`
+      );
+    } else if (
+      hasType(versionNumber, "string", report) &&
+      !DEPENDENCY_VERSION_PATTERN.test(versionNumber.value.value)
+    ) {
+      report(
+        versionNumber.value,
+        'Dependency versionNumber must look like "1.0.0.LATEST" or "1.0.0.1"',
+        "warning"
+      );
+    }
+  }
+}
+
+/**
+ * Check the namespace prefix format
+ * @param {JsonNode} root
+ * @param {function} report
+ */
+function checkNamespace(root, report) {
+  const property = findProperty(root, "namespace");
+  if (
+    hasType(property, "string", report) &&
+    property.value.value !== "" &&
+    !NAMESPACE_PATTERN.test(property.value.value)
+  ) {
+    report(
+      property.value,
+      "A namespace starts with a letter and has up to 15 letters, digits or single underscores"
+    );
+  }
+}
+
+/**
+ * Check the sourceApiVersion format ("62.0")
+ * @param {JsonNode} root
+ * @param {function} report
+ */
+function checkSourceApiVersion(root, report) {
+  const property = findProperty(root, "sourceApiVersion");
+  if (
+    hasType(property, "string", report) &&
+    !/^\d+\.0$/.test(property.value.value)
+  ) {
+    report(property.value, 'sourceApiVersion must look like "62.0"');
+  }
+}
+
+/**
+ * Check string replacements: one target, one pattern and one source each,
+ * and replacement files that exist
+ * @param {JsonNode} root
+ * @param {string} rootPath
+ * @param {function} report
+ */
+async function checkReplacements(root, rootPath, report) {
+  const property = findProperty(root, "replacements");
+  if (!hasType(property, "array", report)) {
+    return;
+  }
+
+  for (const replacement of property.value.items) {
+    if (replacement.type !== "object") {
+      report(replacement, "A replacement must be an object");
+      continue;
+    }
+
+    for (const choice of REPLACEMENT_CHOICES) {
+      const present = choice.filter((name) => findProperty(replacement, name));
+      if (present.length !== 1) {
+        report(
+          present.length > 1
+            ? findProperty(replacement, present[1]).key
+            : replacement,
+          `A replacement needs exactly one of "${choice[0]}" or "${choice[1]}"`
+        );
+      }
+    }
+
+    const file = findProperty(replacement, "replaceWithFile");
+    if (
+      hasType(file, "string", report) &&
+      !(await exists(path.resolve(rootPath, file.value.value)))
+    ) {
+      report(
+        file.value,
+        `Replacement file "${file.value.value}" does not exist`
+      );
+    }
+
+    const whenEnv = findProperty(replacement, "replaceWhenEnv");
+    if (hasType(whenEnv, "array", report)) {
+      for (const condition of whenEnv.value.items) {
+        const value =
+          condition.type === "object" ? getNodeValue(condition) : {};
+        if (typeof value.env !== "string" || value.value === undefined) {
+          report(condition, 'replaceWhenEnv entries need "env" and "value"');
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} dir
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,158 @@
+import * as path from "path";
+import fs from "fs/promises";
+import { validateSfdxProjectText } from "./project-validation.js";
+
+/**
+ * Salesforce DX project detection
+ * A workspace can hold several projects: one per workspace folder, or
+ * nested ones in a monorepo (`packages/*` with their own sfdx-project.json).
+ */
+
+/** How many folder levels below each workspace folder are searched */
+const PROJECT_SEARCH_DEPTH = 3;
+
+/** Folders never searched for nested projects (hidden folders are skipped too) */
+const SKIPPED_DIRECTORIES = new Set(["node_modules"]);
+
+/**
+ * Check if any of the given folders is or contains a Salesforce DX project
+ * @param {string[]} rootPaths - Absolute folder paths to search
+ * @returns {Promise<boolean>}
+ */
+export async function isSalesforceDXProject(rootPaths) {
+  return (await findSalesforceProjectRoots(rootPaths)).length > 0;
+}
+
+/**
+ * Find the folders holding an sfdx-project.json: the given folders first,
+ * then nested projects up to a few levels below them
+ * @param {string[]} rootPaths - Absolute folder paths to search
+ * @returns {Promise<string[]>} - Project folders, in workspace folder order
+ */
+export async function findSalesforceProjectRoots(rootPaths = []) {
+  const roots = [];
+  for (const rootPath of rootPaths) {
+    await collectProjectRoots(rootPath, PROJECT_SEARCH_DEPTH, roots);
+  }
+  return [...new Set(roots)];
+}
+
+/**
+ * Walk a folder for sfdx-project.json files
+ * @param {string} dir
+ * @param {number} depth - Levels left to search below `dir`
+ * @param {string[]} roots - Collects the project folders
+ */
+async function collectProjectRoots(dir, depth, roots) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  if (entries.some((entry) => entry.name === "sfdx-project.json")) {
+    roots.push(dir);
+  }
+  if (depth === 0) {
+    return;
+  }
+  for (const entry of entries) {
+    if (
+      entry.isDirectory() &&
+      !entry.name.startsWith(".") &&
+      !SKIPPED_DIRECTORIES.has(entry.name)
+    ) {
+      await collectProjectRoots(path.join(dir, entry.name), depth - 1, roots);
+    }
+  }
+}
+
+/**
+ * Get Salesforce project information for the first project found.
+ * An invalid file is still returned, with its `problems`.
+ * @param {string[]} rootPaths - Absolute folder paths to search
+ * @returns {Promise<{root: string, path: string, name: string, namespace: string, sourceApiVersion: string, packageDirectories: Object[], packageAliases: Object<string, string>, problems: import("./project-validation.js").ProjectProblem[]} | null>}
+ */
+export async function getSalesforceProjectInfo(rootPaths) {
+  for (const root of await findSalesforceProjectRoots(rootPaths)) {
+    const info = await readProjectInfo(root);
+    if (info) {
+      return info;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get Salesforce project information for every project found
+ * @param {string[]} rootPaths - Absolute folder paths to search
+ * @returns {Promise<Object[]>} - See `getSalesforceProjectInfo`
+ */
+export async function getSalesforceProjects(rootPaths) {
+  const projects = [];
+  for (const root of await findSalesforceProjectRoots(rootPaths)) {
+    const info = await readProjectInfo(root);
+    if (info) {
+      projects.push(info);
+    }
+  }
+  return projects;
+}
+
+/**
+ * Read and validate the sfdx-project.json of a project folder
+ * @param {string} rootPath
+ * @returns {Promise<Object | null>} - null when the file cannot be read
+ */
+async function readProjectInfo(rootPath) {
+  const sfdxProjectPath = path.join(rootPath, "sfdx-project.json");
+  let content;
+  try {
+    content = await fs.readFile(sfdxProjectPath, "utf8");
+  } catch {
+    return null;
+  }
+
+  const problems = await validateSfdxProjectText(content, rootPath);
+  let projectData = {};
+  try {
+    projectData = JSON.parse(content) || {};
+  } catch {
+    // Reported in problems
+  }
+  return {
+    root: rootPath,
+    path: sfdxProjectPath,
+    name: projectData.name || "Unnamed Project",
+    namespace: projectData.namespace || "",
+    sourceApiVersion: projectData.sourceApiVersion || "unknown",
+    packageDirectories: Array.isArray(projectData.packageDirectories)
+      ? projectData.packageDirectories
+      : [],
+    packageAliases:
+      projectData.packageAliases &&
+      typeof projectData.packageAliases === "object"
+        ? projectData.packageAliases
+        : {},
+    problems,
+  };
+}
+
+/**
+ * Describe where a project is, relative to the folders that were searched
+ * ("packages/billing", or the folder name for a workspace folder)
+ * @param {Object} project - Project information
+ * @param {string[]} rootPaths - Folders that were searched
+ * @returns {string}
+ */
+export function describeProjectLocation(project, rootPaths = []) {
+  const parent = rootPaths.find(
+    (rootPath) =>
+      project.root === rootPath || project.root.startsWith(rootPath + path.sep)
+  );
+  return parent && parent !== project.root
+    ? path.relative(parent, project.root)
+    : path.basename(project.root);
+}
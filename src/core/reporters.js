@@ -0,0 +1,496 @@
+import { EXTENSION_NAME } from "../lib/constants.js";
+import {
+  summarizeResults,
+  describeContext,
+  getResultProjects,
+} from "./health-check.js";
+import { describeHistogram } from "./api-versions.js";
+import { describeJavaSource } from "./java.js";
+import { describeCandidates } from "./path-analysis.js";
+import { describeExpiry, describeOrg, describeTarget } from "./orgs.js";
+import { describeInstalled } from "./policy.js";
+import { describeProblems } from "./project-validation.js";
+import { describeInstallMethod } from "./sf-cli.js";
+import { describeLinkedPlugins } from "./sf-plugins.js";
+
+/**
+ * Health check reporters
+ * Render results as plain text, JSON, JUnit XML, Markdown or HTML
+ */
+
+const STATUS_ICONS = {
+  pass: "✅",
+  warn: "⚠️ ",
+  fail: "❌",
+};
+
+/**
+ * Format results as a human readable summary
+ * @param {Object} results
+ * @returns {string}
+ */
+export function formatText(results) {
+  const { status, checks } = summarizeResults(results);
+  const failures = checks.filter((check) => check.status === "fail").length;
+  const warnings = checks.filter((check) => check.status === "warn").length;
+
+  const lines = [`${EXTENSION_NAME} environment check`, ""];
+  for (const check of checks) {
+    lines.push(`${STATUS_ICONS[check.status]} ${check.message}`);
+  }
+  lines.push("", ...describeContext(results), "");
+
+  if (status === "pass") {
+    lines.push("All checks passed.");
+  } else {
+    lines.push(
+      `${failures} issue${failures === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}.`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Format results as JSON (summary plus the raw check results)
+ * @param {Object} results
+ * @returns {string}
+ */
+export function formatJson(results) {
+  const { status, checks } = summarizeResults(results);
+  return JSON.stringify({ status, checks, results }, null, 2);
+}
+
+/**
+ * Format results as a JUnit XML report, one test case per check
+ * @param {Object} results
+ * @param {Object} [options]
+ * @param {boolean} [options.failOnWarnings] - Report warnings as failures
+ * @returns {string}
+ */
+export function formatJUnit(results, { failOnWarnings = false } = {}) {
+  const { checks } = summarizeResults(results);
+  const isFailure = (check) =>
+    check.status === "fail" || (failOnWarnings && check.status === "warn");
+  const failures = checks.filter(isFailure).length;
+
+  const cases = checks.map((check) => {
+    const open = `    <testcase classname="sf-preflight.${check.id}" name="${escapeXml(check.name)}">`;
+    const body = [];
+    if (isFailure(check)) {
+      body.push(
+        `      <failure message="${escapeXml(check.message)}" type="${check.level}"/>`
+      );
+    }
+    const output = [check.message, ...check.details].join("\n");
+    body.push(`      <system-out>${escapeXml(output)}</system-out>`);
+    return [open, ...body, "    </testcase>"].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${EXTENSION_NAME}" tests="${checks.length}" failures="${failures}">`,
+    `  <testsuite name="environment" tests="${checks.length}" failures="${failures}" timestamp="${results.timestamp || new Date().toISOString()}">`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Format results as a shareable Markdown report
+ * @param {Object} results
+ * @returns {string}
+ */
+export function formatMarkdown(results) {
+  const { status, checks } = summarizeResults(results);
+  const escapeCell = (value) => String(value).replace(/\|/g, "\\|");
+  const lines = [
+    `# ${EXTENSION_NAME} Environment Report`,
+    "",
+    `Generated: ${results.timestamp}  `,
+    `Overall status: **${status.toUpperCase()}**`,
+    "",
+    "## Checks",
+    "",
+    "| Status | Check | Result |",
+    "| :--- | :--- | :--- |",
+    ...checks.map(
+      (check) =>
+        `| ${STATUS_ICONS[check.status].trim()} ${check.status} | ${check.name} | ${escapeCell(check.message)} |`
+    ),
+  ];
+
+  for (const section of buildSections(results)) {
+    lines.push("", `## ${section.title}`, "");
+    if (section.rows.length > 0) {
+      lines.push("| | |", "| :--- | :--- |");
+      for (const [key, value] of section.rows) {
+        lines.push(`| ${escapeCell(key)} | ${escapeCell(value)} |`);
+      }
+    }
+    if (section.list) {
+      lines.push(
+        section.list.length > 0
+          ? section.list.map((item) => `- \`${item}\``).join("\n")
+          : "_None_"
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Format results as a standalone HTML report
+ * @param {Object} results
+ * @returns {string}
+ */
+export function formatHtml(results) {
+  const { status, checks } = summarizeResults(results);
+  const title = `${EXTENSION_NAME} Environment Report`;
+
+  const checkRows = checks
+    .map(
+      (check) =>
+        `<tr class="${check.status}"><td>${STATUS_ICONS[check.status].trim()} ${check.status}</td><td>${escapeXml(check.name)}</td><td>${escapeXml(check.message)}</td></tr>`
+    )
+    .join("\n");
+
+  const sections = buildSections(results)
+    .map((section) => {
+      const rows = section.rows
+        .map(
+          ([key, value]) =>
+            `<tr><th>${escapeXml(key)}</th><td>${escapeXml(value)}</td></tr>`
+        )
+        .join("\n");
+      const list = section.list
+        ? `<ul>${section.list.map((item) => `<li><code>${escapeXml(item)}</code></li>`).join("")}</ul>`
+        : "";
+      return `<h2>${escapeXml(section.title)}</h2>\n${rows ? `<table>${rows}</table>` : ""}${list}`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+  table { border-collapse: collapse; margin-bottom: 1rem; }
+  th, td { border: 1px solid #d0d7de; padding: 4px 10px; text-align: left; vertical-align: top; }
+  tr.fail td { background: #ffebe9; }
+  tr.warn td { background: #fff8c5; }
+  tr.pass td { background: #dafbe1; }
+  code { font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<p>Generated: ${escapeXml(results.timestamp)}<br>Overall status: <strong>${status.toUpperCase()}</strong></p>
+<h2>Checks</h2>
+<table>
+<tr><th>Status</th><th>Check</th><th>Result</th></tr>
+${checkRows}
+</table>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Collect the detail sections shared by the Markdown and HTML reports
+ * @param {Object} results
+ * @returns {{title: string, rows: string[][], list?: string[]}[]}
+ */
+function buildSections(results) {
+  const sections = [];
+  const { node, java, salesforceCLI, packages, sfPlugins, system, policy } =
+    results;
+  const describeOutdated = (entries = []) =>
+    entries.map(
+      (entry) => `${entry.name} ${entry.version} (requires ${entry.required})`
+    );
+
+  const tools = [];
+  if (node) {
+    tools.push([
+      "Node.js",
+      node.installed ? `v${node.version}` : "not installed",
+    ]);
+    if (node.path) {
+      tools.push(["Node.js path", node.path]);
+    }
+    if (node.managers && node.managers.length > 0) {
+      tools.push([
+        "Node.js version managers",
+        node.managers.map((manager) => manager.name).join(", "),
+      ]);
+    }
+    for (const pin of node.pins || []) {
+      tools.push([
+        `Node.js pin (${pin.source})`,
+        pin.satisfied === false ? `${pin.version} (not satisfied)` : pin.version,
+      ]);
+    }
+  }
+  if (java) {
+    tools.push(["Java", java.installed ? java.version : "not installed"]);
+    if (java.path) {
+      tools.push(["Java path", java.path]);
+    }
+    if (java.source) {
+      tools.push(["Java source", describeJavaSource(java.source)]);
+    }
+    if (java.vendor) {
+      tools.push(["Java vendor", java.vendor]);
+    }
+    if (java.arch) {
+      tools.push([
+        "Java architecture",
+        `${java.arch} (${java.isJdk === false ? "JRE" : "JDK"})`,
+      ]);
+    }
+    for (const other of java.mismatches || []) {
+      tools.push([
+        `Java (${describeJavaSource(other.source)})`,
+        `${other.home}: ${other.version || other.error}`,
+      ]);
+    }
+  }
+  if (salesforceCLI) {
+    tools.push([
+      "Salesforce CLI",
+      salesforceCLI.installed ? `v${salesforceCLI.version}` : "not installed",
+    ]);
+    if (salesforceCLI.installMethod) {
+      tools.push([
+        "Salesforce CLI install",
+        [
+          describeInstallMethod(salesforceCLI.installMethod),
+          salesforceCLI.channel && `${salesforceCLI.channel} channel`,
+          salesforceCLI.updateAvailable &&
+            `v${salesforceCLI.latestVersion} available`,
+        ]
+          .filter(Boolean)
+          .join(", "),
+      ]);
+    }
+    if (salesforceCLI.legacySfdx) {
+      tools.push([
+        "Legacy sfdx-cli",
+        `v${salesforceCLI.legacySfdx.version} (${salesforceCLI.legacySfdx.path})`,
+      ]);
+    }
+  }
+  const codeAnalyzer = results.codeAnalyzer;
+  if (codeAnalyzer && !codeAnalyzer.error) {
+    tools.push([
+      "Code Analyzer",
+      [
+        codeAnalyzer.scanner && `v4 ${codeAnalyzer.scanner.version}`,
+        codeAnalyzer.codeAnalyzer && `v5 ${codeAnalyzer.codeAnalyzer.version}`,
+      ]
+        .filter(Boolean)
+        .join(", ") || "not installed",
+    ]);
+    for (const project of codeAnalyzer.projects) {
+      if (project.config) {
+        tools.push([
+          codeAnalyzer.projects.length > 1
+            ? `Code Analyzer config (${project.name})`
+            : "Code Analyzer config",
+          project.config,
+        ]);
+      }
+    }
+  }
+  sections.push({ title: "Tools", rows: tools });
+
+  for (const [title, status] of [
+    ["npm Packages", packages],
+    ["SF CLI Plugins", sfPlugins],
+  ]) {
+    if (status) {
+      sections.push({
+        title,
+        rows: [
+          ["Installed", describeInstalled(status).join(", ") || "-"],
+          ["Missing", status.missing.join(", ") || "-"],
+          ["Outdated", describeOutdated(status.outdated).join(", ") || "-"],
+          ...(status.linked && status.linked.length > 0
+            ? [["Linked", describeLinkedPlugins(status.linked).join(", ")]]
+            : []),
+        ],
+      });
+    }
+  }
+
+  const orgs = results.orgs;
+  if (orgs && !orgs.error) {
+    sections.push({
+      title: "Orgs",
+      rows: [
+        ...orgs.projects.flatMap((project) => {
+          const suffix = orgs.projects.length > 1 ? ` (${project.name})` : "";
+          return [
+            [
+              `Default org${suffix}`,
+              project.targetOrg
+                ? describeTarget(project.targetOrg)
+                : "(not set)",
+            ],
+            [
+              `Default Dev Hub${suffix}`,
+              project.targetDevHub
+                ? describeTarget(project.targetDevHub)
+                : "(not set)",
+            ],
+          ];
+        }),
+        ["Authorized orgs", String(orgs.orgs.length)],
+        ...orgs.expiringScratchOrgs.map((org) => [
+          "Expiring scratch org",
+          `${describeOrg(org)}${describeExpiry(org)}`,
+        ]),
+      ],
+    });
+  }
+
+  const apiVersions = results.apiVersions;
+  if (apiVersions && apiVersions.isSFDXProject) {
+    const listFiles = (files) =>
+      files.map((file) => `${file.relativePath} (${file.version})`).join(", ");
+    for (const project of apiVersions.projects) {
+      sections.push({
+        title:
+          apiVersions.projects.length > 1
+            ? `API Versions: ${project.name}`
+            : "API Versions",
+        rows: [
+          [
+            "sourceApiVersion",
+            project.sourceApiVersion?.version || "(not set)",
+          ],
+          ["Metadata", describeHistogram(project.histogram) || "(none)"],
+          ["Oldest allowed", project.floor || "(any)"],
+          ["org-api-version", project.orgApiVersion?.value || "(not set)"],
+          ["CLI (default org)", project.cliApiVersion || "(unknown)"],
+          ...(project.belowFloor.length > 0
+            ? [["Older than allowed", listFiles(project.belowFloor)]]
+            : []),
+          ...(project.aboveSource.length > 0
+            ? [["Newer than sourceApiVersion", listFiles(project.aboveSource)]]
+            : []),
+        ],
+      });
+    }
+  }
+
+  const pathAnalysis = results.pathAnalysis;
+  if (pathAnalysis && pathAnalysis.tools) {
+    sections.push({
+      title: "Binaries on PATH",
+      rows: [
+        ...Object.entries(pathAnalysis.tools).map(([name, tool]) => [
+          name,
+          describeCandidates(tool.candidates).join("; ") || "not found",
+        ]),
+        ...(pathAnalysis.missingDirs.length > 0
+          ? [["Missing directories", pathAnalysis.missingDirs.join(", ")]]
+          : []),
+      ],
+    });
+  }
+
+  const projectDependencies = results.projectDependencies;
+  if (projectDependencies && projectDependencies.hasPackageJson) {
+    const { projects } = projectDependencies;
+    for (const deps of projects) {
+      sections.push({
+        title:
+          projects.length > 1
+            ? `Project Dependencies: ${deps.name}`
+            : "Project Dependencies",
+        rows: [
+          ["Folder", deps.root],
+          ["Package manager", deps.packageManager],
+          ["Lockfile", deps.lockfile || "(none)"],
+          [
+            "node_modules",
+            !deps.nodeModulesInstalled
+              ? "missing"
+              : deps.outOfSync
+                ? "out of date"
+                : "installed",
+          ],
+          ["Missing", deps.missing.join(", ") || "-"],
+          ["Outdated", describeOutdated(deps.outdated).join(", ") || "-"],
+        ],
+      });
+    }
+  }
+
+  const projects = getResultProjects(results);
+  for (const project of projects) {
+    sections.push({
+      title: projects.length > 1 ? `Project: ${project.name}` : "Project",
+      rows: [
+        ["Name", project.name],
+        ["Namespace", project.namespace || "(none)"],
+        ["API Version", project.sourceApiVersion],
+        [
+          "Package Directories",
+          project.packageDirectories.map((dir) => dir.path).join(", "),
+        ],
+        ["Path", project.path],
+        ...(project.problems && project.problems.length > 0
+          ? [["Problems", describeProblems(project.problems).join("; ")]]
+          : []),
+      ],
+    });
+  }
+  if (projects.length === 0) {
+    sections.push({
+      title: "Project",
+      rows: [["Salesforce DX project", "not detected"]],
+    });
+  }
+
+  if (policy) {
+    sections.push({ title: "Policy", rows: [["Source", policy.source]] });
+  }
+
+  if (system) {
+    sections.push({
+      title: "System",
+      rows: [
+        ["OS", `${system.platform} ${system.release} (${system.arch})`],
+        ["Shell", system.shell || "unknown"],
+        ["Extension host Node.js", system.hostNode],
+        ["PATH entries", String(system.pathEntries.length)],
+      ],
+    });
+    sections.push({ title: "PATH", rows: [], list: system.pathEntries });
+  }
+
+  return sections;
+}
+
+/**
+ * Escape a string for use in XML text and attributes
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
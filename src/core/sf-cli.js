@@ -0,0 +1,294 @@
+import * as path from "path";
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import { meetsMinimum } from "./policy.js";
+import { findExecutable } from "./system.js";
+
+/**
+ * Salesforce CLI detection
+ * Besides the version, works out how `sf` was installed (npm and friends,
+ * Homebrew or the standalone installer) from where its binary lives, which
+ * release channel it follows, and whether the legacy sfdx-cli v7 is still
+ * installed next to it.
+ */
+
+/** npm dist-tag for each release channel */
+const CHANNEL_TAGS = {
+  stable: "latest",
+  "stable-rc": "latest-rc",
+  nightly: "nightly",
+};
+
+/**
+ * Install methods, in detection order. `pattern` matches the resolved `sf`
+ * binary; Homebrew comes first because its formula installs through npm.
+ */
+const INSTALL_METHODS = [
+  { id: "homebrew", pattern: /[\\/](?:Cellar|homebrew|linuxbrew)[\\/]/i },
+  { id: "volta", pattern: /[\\/]\.?volta[\\/]/i },
+  { id: "pnpm", pattern: /[\\/](?:\.pnpm|pnpm)[\\/]/i },
+  { id: "yarn", pattern: /[\\/]\.?yarn[\\/](?:global|berry)[\\/]/i },
+  {
+    id: "npm",
+    pattern: /[\\/]node_modules[\\/]@salesforce[\\/]cli[\\/]/i,
+  },
+  // Standalone installers (pkg, exe, tarball) and their auto-updated client
+  {
+    id: "installer",
+    pattern: /[\\/]sf[\\/](?:bin[\\/]sf(?:\.cmd)?$|client[\\/])/i,
+  },
+];
+
+/**
+ * Check Salesforce CLI installation and version
+ * @param {Object} policy - Preflight policy
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {boolean} [options.checkUpdates] - Ask the npm registry for the latest release (needs network, off by default)
+ * @returns {Promise<{installed: boolean, version?: string, minVersion?: string, valid?: boolean, output?: string, path?: string | null, installMethod?: string, channel?: string | null, latestVersion?: string | null, updateAvailable?: boolean, updatesChecked?: boolean, updateCommand?: string, legacySfdx?: {path: string, version: string} | null, error?: string, errorType?: string}>}
+ */
+export async function checkSalesforceCLI(policy, options = {}) {
+  const { checkUpdates = false, ...processOptions } = options;
+  const { minVersions } = policy;
+  const result = await shell.run("sf", ["--version"], processOptions);
+
+  if (!result.ok) {
+    return { installed: false, error: result.error, errorType: result.status };
+  }
+
+  const stdout = result.stdout;
+  const versionMatch = stdout.match(/@salesforce\/cli\/(\d+\.\d+\.\d+\S*)/);
+  const version = versionMatch ? versionMatch[1] : "unknown";
+
+  const [installation, legacySfdx] = await Promise.all([
+    detectInstallation(version, processOptions, checkUpdates),
+    findLegacySfdx(processOptions),
+  ]);
+
+  return {
+    installed: true,
+    version,
+    minVersion: minVersions.sfCli,
+    valid: versionMatch
+      ? meetsMinimum(version, minVersions.sfCli)
+      : !minVersions.sfCli,
+    output: stdout,
+    ...installation,
+    updateCommand: getUpdateCommand(
+      installation.installMethod,
+      installation.channel
+    ),
+    legacySfdx,
+  };
+}
+
+/**
+ * Work out how `sf` was installed and which release channel it follows
+ * @param {string} version - Installed version
+ * @param {Object} options - Process options (signal, timeout)
+ * @param {boolean} checkUpdates - Read the npm dist-tags for the latest release
+ * @returns {Promise<{path: string | null, installMethod: string, channel: string | null, latestVersion: string | null, updateAvailable: boolean, updatesChecked: boolean}>}
+ */
+async function detectInstallation(version, options, checkUpdates) {
+  const executable = await findExecutable("sf");
+  const resolved = executable ? await resolveBinary(executable) : null;
+  const installMethod = resolved
+    ? await getInstallMethod(resolved)
+    : "unknown";
+
+  // oclif derives the channel from the prerelease tag ("2.60.0-nightly")
+  const prerelease = version.match(/^\d+\.\d+\.\d+-([a-z-]+)/i);
+  const tags = checkUpdates ? await getDistTags(options) : null;
+  const channel = prerelease
+    ? prerelease[1]
+    : tags
+      ? getChannelFromTags(version, tags)
+      : null;
+  const latestVersion =
+    tags && channel ? tags[CHANNEL_TAGS[channel]] || null : null;
+
+  return {
+    path: resolved,
+    installMethod,
+    channel,
+    latestVersion,
+    updateAvailable: Boolean(
+      latestVersion &&
+        /^\d/.test(version) &&
+        !meetsMinimum(version, latestVersion)
+    ),
+    updatesChecked: checkUpdates,
+  };
+}
+
+/**
+ * Identify the install method from the resolved `sf` location
+ * @param {string} binary - Resolved `sf` path
+ * @returns {Promise<string>} - homebrew, volta, pnpm, yarn, npm, installer or unknown
+ */
+export async function getInstallMethod(binary) {
+  const method = INSTALL_METHODS.find(({ pattern }) => pattern.test(binary));
+  if (method) {
+    return method.id;
+  }
+
+  // npm's Windows .cmd shims are not symlinks; the package sits next to them
+  try {
+    await fs.access(
+      path.join(path.dirname(binary), "node_modules", "@salesforce", "cli")
+    );
+    return "npm";
+  } catch {
+    return "unknown";
+  }
+}
+
+/**
+ * Describe an install method for messages
+ * @param {string} installMethod
+ * @returns {string}
+ */
+export function describeInstallMethod(installMethod) {
+  return (
+    {
+      homebrew: "Homebrew",
+      installer: "the Salesforce CLI installer",
+      unknown: "an unknown method",
+    }[installMethod] || installMethod
+  );
+}
+
+/**
+ * Pick the release channel whose npm dist-tag matches the installed version
+ * @param {string} version
+ * @param {Object<string, string>} tags - npm dist-tags of @salesforce/cli
+ * @returns {string}
+ */
+function getChannelFromTags(version, tags) {
+  if (version === tags.latest) {
+    return "stable";
+  }
+  if (version === tags["latest-rc"]) {
+    return "stable-rc";
+  }
+  if (version === tags.nightly) {
+    return "nightly";
+  }
+  return "stable";
+}
+
+/**
+ * Read the npm dist-tags of @salesforce/cli (null when offline)
+ * @param {Object} options - Process options (signal, timeout)
+ * @returns {Promise<Object<string, string> | null>}
+ */
+async function getDistTags(options) {
+  const result = await shell.run(
+    "npm",
+    ["view", "@salesforce/cli", "dist-tags", "--json"],
+    { ...options, timeout: Math.min(options.timeout || 10000, 10000) }
+  );
+  if (!result.ok) {
+    return null;
+  }
+  try {
+    return JSON.parse(result.stdout);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the command that updates `sf` the way it was installed
+ * @param {string} installMethod
+ * @param {string | null} [channel] - stable, stable-rc or nightly
+ * @returns {string}
+ */
+export function getUpdateCommand(installMethod, channel) {
+  const selected = CHANNEL_TAGS[channel] ? channel : "stable";
+  const spec = `@salesforce/cli@${CHANNEL_TAGS[selected]}`;
+
+  switch (installMethod) {
+    case "installer":
+      return `sf update ${selected}`;
+    case "homebrew":
+      return "brew upgrade sf";
+    case "volta":
+      return `volta install ${spec}`;
+    case "pnpm":
+      return `pnpm add -g ${spec}`;
+    case "yarn":
+      return `yarn global add ${spec}`;
+    default:
+      return `npm install -g ${spec}`;
+  }
+}
+
+/**
+ * Find the legacy sfdx-cli (v7) on PATH. `sf` v2 ships its own `sfdx`
+ * alias, so only an `sfdx` that reports itself as sfdx-cli is legacy.
+ * @param {Object} options - Process options (signal, timeout)
+ * @returns {Promise<{path: string, version: string} | null>}
+ */
+async function findLegacySfdx(options) {
+  const executable = await findExecutable("sfdx");
+  if (!executable) {
+    return null;
+  }
+
+  const result = await shell.run(executable, ["--version"], options);
+  const match = shell.output(result).match(/sfdx-cli\/(\d+\.\d+\.\d+)/);
+  return match
+    ? { path: await resolveBinary(executable), version: match[1] }
+    : null;
+}
+
+/**
+ * Get the command that removes the legacy sfdx-cli
+ * @param {{path: string}} legacySfdx
+ * @returns {string | null} - null when it was not installed with npm
+ */
+export function getLegacySfdxRemovalCommand(legacySfdx) {
+  return /[\\/]node_modules[\\/]sfdx-cli[\\/]|[\\/]npm[\\/]/i.test(
+    legacySfdx.path
+  )
+    ? "npm uninstall -g sfdx-cli"
+    : null;
+}
+
+/**
+ * Run an sf command with --json and parse its output. sf prints a JSON error
+ * body on failure, which gives a better message than the exit code.
+ * @param {string[]} args
+ * @param {Object} options - Process options
+ * @returns {Promise<{json?: Object, error?: string, errorType?: string}>}
+ */
+export async function runSfJson(args, options) {
+  const result = await shell.run("sf", args, options);
+  let json = null;
+  try {
+    json = JSON.parse(result.stdout);
+  } catch {
+    // Not JSON: sf missing, crashed or printed a warning banner
+  }
+
+  if (result.ok && json) {
+    return { json };
+  }
+  return {
+    error: json?.message || result.error || "sf printed no JSON",
+    errorType: result.status,
+  };
+}
+
+/**
+ * Follow symlinks to the real binary
+ * @param {string} executable
+ * @returns {Promise<string>}
+ */
+async function resolveBinary(executable) {
+  try {
+    return await fs.realpath(executable);
+  } catch {
+    return executable;
+  }
+}
@@ -0,0 +1,411 @@
+import * as path from "path";
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import { evaluateRequirements } from "./policy.js";
+import { getSalesforceProjects } from "./project.js";
+
+/**
+ * Salesforce CLI plugin detection
+ * Reads `sf plugins --core --json`, so versions, core plugins and linked
+ * (`sf plugins link`) development plugins are all visible.
+ */
+
+/** Plugin types reported by oclif */
+export const PLUGIN_TYPES = {
+  CORE: "core",
+  USER: "user",
+  LINK: "link",
+  DEV: "dev",
+};
+
+/** A full version, optionally written "=1.2.3" or "v1.2.3" */
+const EXACT_VERSION_PATTERN =
+  /^[=v]*(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)(?:\+[0-9A-Za-z.-]+)?$/;
+
+/** An npm dist-tag ("latest", "beta"); "x" is a wildcard range */
+const DIST_TAG_PATTERN = /^(?![xX]$)[A-Za-z][\w.-]*$/;
+
+/**
+ * Check SF CLI plugins status against the preflight policy
+ * @param {Object} policy - Preflight policy
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {Promise<Object>} [options.pluginList] - Listing shared with the Code Analyzer check (listed again if omitted)
+ * @returns {Promise<{installed: string[], missing: string[], outdated: Object[], versions: Object, alternatives: Object, types: Object<string, string>, linked: {name: string, version: string, root: string}[], allInstalled: boolean, error?: string, errorType?: string}>}
+ */
+export async function checkPlugins(policy, options = {}) {
+  const { pluginList, ...processOptions } = options;
+  const requirements = policy.sfPlugins;
+  const { plugins, result } = await (pluginList || listPlugins(processOptions));
+
+  if (!plugins) {
+    return {
+      installed: [],
+      missing: requirements.map((plugin) => plugin.name),
+      outdated: [],
+      versions: {},
+      alternatives: {},
+      types: {},
+      linked: [],
+      allInstalled: false,
+      error: result.error || "Unrecognized `sf plugins --json` output",
+      errorType: result.ok ? "error" : result.status,
+    };
+  }
+
+  const installedVersions = new Map();
+  const types = {};
+  const names = requirements.flatMap(({ name, alternatives = [] }) => [
+    name,
+    ...alternatives,
+  ]);
+  for (const name of names) {
+    const plugin = plugins.find((candidate) => matchesPlugin(candidate, name));
+    if (plugin) {
+      installedVersions.set(name, plugin.version);
+      types[name] = plugin.type;
+    }
+  }
+
+  const status = evaluateRequirements(requirements, installedVersions);
+  const linked = plugins
+    .filter((plugin) => plugin.type === PLUGIN_TYPES.LINK)
+    .map(({ name, version, root }) => ({ name, version, root }));
+
+  return {
+    ...status,
+    types: Object.fromEntries(
+      [...status.installed, ...status.outdated.map((plugin) => plugin.name)].map(
+        (name) => [name, types[status.alternatives[name] || name]]
+      )
+    ),
+    linked,
+    allInstalled: status.missing.length === 0 && status.outdated.length === 0,
+  };
+}
+
+/**
+ * List installed plugins, including core ones. The health check lists once
+ * and hands the promise to both plugin checks as `pluginList`.
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @returns {Promise<{plugins: Object[] | null, result: import("../lib/shell.js").RunResult}>}
+ */
+export async function listPlugins(options = {}) {
+  const result = await shell.run("sf", ["plugins", "--core", "--json"], options);
+  return { plugins: result.ok ? parsePluginList(result.stdout) : null, result };
+}
+
+/**
+ * Parse `sf plugins --json` output.
+ * Older CLIs print the array directly, newer ones may wrap it in `result`.
+ * @param {string} stdout
+ * @returns {{name: string, alias: string | null, version: string | null, type: string, root: string | null}[] | null}
+ */
+export function parsePluginList(stdout) {
+  let data;
+  try {
+    data = JSON.parse(stdout);
+  } catch {
+    return null;
+  }
+
+  const list = Array.isArray(data) ? data : data && data.result;
+  if (!Array.isArray(list)) {
+    return null;
+  }
+
+  return list
+    .filter((plugin) => plugin && plugin.name)
+    .map((plugin) => ({
+      name: plugin.name,
+      alias: plugin.alias || null,
+      version: plugin.version || null,
+      type: plugin.type || PLUGIN_TYPES.USER,
+      root: plugin.root || null,
+    }));
+}
+
+/**
+ * Whether a listed plugin is the one a requirement names. The CLI accepts
+ * short names for Salesforce plugins ("code-analyzer" for
+ * "@salesforce/plugin-code-analyzer"), so policies may use either.
+ * @param {{name: string, alias: string | null}} plugin
+ * @param {string} name - Name from the policy
+ * @returns {boolean}
+ */
+function matchesPlugin(plugin, name) {
+  return (
+    plugin.name === name ||
+    plugin.alias === name ||
+    plugin.name === `@salesforce/plugin-${name}`
+  );
+}
+
+/**
+ * Describe linked plugins for messages ("my-plugin 1.0.0 → ~/dev/my-plugin")
+ * @param {{name: string, version: string, root: string}[]} linked
+ * @returns {string[]}
+ */
+export function describeLinkedPlugins(linked = []) {
+  return linked.map((plugin) =>
+    [plugin.name, plugin.version, plugin.root ? `→ ${plugin.root}` : null]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+/**
+ * Get the plugins that need installing or upgrading, as install specs.
+ * `sf plugins install` takes an exact version or a dist-tag but no range, so
+ * plugins required as a range are installed at `latest`.
+ * @param {Object} pluginStatus - Plugin check result
+ * @param {{name: string, version: string}[]} [requirements] - Policy plugins
+ * @returns {string[]}
+ */
+export function getPluginsToInstall(pluginStatus, requirements = []) {
+  return getRequiredVersions(pluginStatus, requirements).map(
+    ([name, required]) => {
+      const pinned = getPinnedVersion(required);
+      return pinned ? `${name}@${pinned}` : name;
+    }
+  );
+}
+
+/**
+ * Get the plugins to install whose requirement is a range, which `sf`
+ * cannot install; they get `latest`, which may fall outside the range
+ * @param {Object} pluginStatus - Plugin check result
+ * @param {{name: string, version: string}[]} [requirements] - Policy plugins
+ * @returns {string[]}
+ */
+export function getLatestInstalls(pluginStatus, requirements = []) {
+  return getRequiredVersions(pluginStatus, requirements)
+    .filter(
+      ([, required]) =>
+        required && required !== "*" && !getPinnedVersion(required)
+    )
+    .map(([name]) => name);
+}
+
+/**
+ * Pair the missing and outdated plugins with their required version
+ * @param {Object} pluginStatus - Plugin check result
+ * @param {{name: string, version: string}[]} requirements - Policy plugins
+ * @returns {[string, string | undefined][]}
+ */
+function getRequiredVersions(pluginStatus, requirements) {
+  const ranges = new Map(
+    requirements.map((plugin) => [plugin.name, plugin.version])
+  );
+  return [
+    ...pluginStatus.missing.map((name) => [name, ranges.get(name)]),
+    ...(pluginStatus.outdated || []).map((plugin) => [
+      plugin.name,
+      plugin.required,
+    ]),
+  ];
+}
+
+/**
+ * Get the version or dist-tag `sf plugins install name@version` can take
+ * from a requirement ("5.0.0", "=5.0.0", "beta")
+ * @param {string} [required]
+ * @returns {string | null} - null for ranges and "*"
+ */
+function getPinnedVersion(required) {
+  const value = String(required || "").trim();
+  const exact = value.match(EXACT_VERSION_PATTERN);
+  if (exact) {
+    return exact[1];
+  }
+  return DIST_TAG_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Describe missing and outdated plugins for messages
+ * @param {Object} pluginStatus - Plugin check result
+ * @returns {string}
+ */
+export function describePluginProblems(pluginStatus) {
+  return [
+    ...pluginStatus.missing,
+    ...(pluginStatus.outdated || []).map(
+      (plugin) => `${plugin.name} (${plugin.version}, requires ${plugin.required})`
+    ),
+  ].join(", ");
+}
+
+/** Code Analyzer v4 (`sf scanner`) and v5 (`sf code-analyzer`) plugins */
+export const CODE_ANALYZER_PLUGINS = {
+  V4: "@salesforce/sfdx-scanner",
+  V5: "code-analyzer",
+};
+
+/** Code Analyzer v5 configuration file names */
+const CODE_ANALYZER_CONFIG_FILES = ["code-analyzer.yml", "code-analyzer.yaml"];
+
+/**
+ * Project files that commonly run the scanner or point it at PMD rulesets.
+ * Directories are searched one level deep for YAML files.
+ */
+const LEGACY_REFERENCE_FILES = [
+  "package.json",
+  ".vscode/settings.json",
+  ".gitlab-ci.yml",
+  "bitbucket-pipelines.yml",
+  "azure-pipelines.yml",
+  "Jenkinsfile",
+];
+const LEGACY_REFERENCE_DIRS = [".github/workflows", ".circleci"];
+
+/**
+ * v4-only usages: the `scanner` commands, `--pmdconfig` rulesets and the v4
+ * VS Code extension's custom PMD ruleset setting
+ */
+const LEGACY_PATTERNS = [
+  /\b(?:sf|sfdx)\s+scanner(?::|\s+)\S+/,
+  /--pmdconfig(?:[=\s]+\S+)?/,
+  /codeAnalyzer\.pMD\.customConfigFile/i,
+];
+
+/**
+ * Detect which Code Analyzer generation is installed and what is left to
+ * migrate from v4 to v5
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string[]} [options.rootPaths] - Workspace folders
+ * @param {Promise<Object>} [options.pluginList] - Listing shared with the SF CLI plugins check (listed again if omitted)
+ * @returns {Promise<{generation: "v4" | "v5" | "both" | "none", scanner: {version: string | null} | null, codeAnalyzer: {version: string | null} | null, root: string | null, projects: {root: string, name: string | null, config: string | null}[], legacyReferences: {file: string, line: number, text: string}[], error?: string, errorType?: string}>}
+ */
+export async function checkCodeAnalyzer(options = {}) {
+  const { rootPaths = [], pluginList, ...processOptions } = options;
+  const projects = await getSalesforceProjects(rootPaths);
+  // Without a Salesforce DX project the first folder is checked
+  const configProjects =
+    projects.length > 0
+      ? projects
+      : rootPaths.slice(0, 1).map((root) => ({ root, name: null }));
+  // CI pipelines usually live at the repository root, above the projects
+  const referenceRoots = [
+    ...new Set([...rootPaths, ...projects.map((project) => project.root)]),
+  ];
+
+  const [{ plugins, result }, configs, references] = await Promise.all([
+    pluginList || listPlugins(processOptions),
+    Promise.all(
+      configProjects.map((project) => findCodeAnalyzerConfig(project.root))
+    ),
+    Promise.all(referenceRoots.map((root) => findLegacyReferences(root))),
+  ]);
+
+  const status = {
+    root: rootPaths[0] || null,
+    projects: configProjects.map((project, index) => ({
+      root: project.root,
+      name: project.name,
+      config: configs[index],
+    })),
+    legacyReferences: references.flat(),
+  };
+
+  if (!plugins) {
+    return {
+      ...status,
+      generation: "none",
+      scanner: null,
+      codeAnalyzer: null,
+      error: result.error || "Unrecognized `sf plugins --json` output",
+      errorType: result.ok ? "error" : result.status,
+    };
+  }
+
+  const find = (name) => {
+    const plugin = plugins.find((candidate) => matchesPlugin(candidate, name));
+    return plugin ? { version: plugin.version } : null;
+  };
+  const scanner = find(CODE_ANALYZER_PLUGINS.V4);
+  const codeAnalyzer = find(CODE_ANALYZER_PLUGINS.V5);
+
+  return {
+    ...status,
+    generation:
+      scanner && codeAnalyzer
+        ? "both"
+        : scanner
+          ? "v4"
+          : codeAnalyzer
+            ? "v5"
+            : "none",
+    scanner,
+    codeAnalyzer,
+  };
+}
+
+/**
+ * Find the Code Analyzer v5 config file in a project folder
+ * @param {string} root
+ * @returns {Promise<string | null>}
+ */
+async function findCodeAnalyzerConfig(root) {
+  for (const name of CODE_ANALYZER_CONFIG_FILES) {
+    const file = path.join(root, name);
+    try {
+      await fs.access(file);
+      return file;
+    } catch {
+      // Try the next name
+    }
+  }
+  return null;
+}
+
+/**
+ * Find v4-only usages in scripts, CI pipelines and VS Code settings
+ * @param {string} root
+ * @returns {Promise<{file: string, line: number, text: string}[]>}
+ */
+async function findLegacyReferences(root) {
+  const files = LEGACY_REFERENCE_FILES.map((file) => path.join(root, file));
+  for (const dir of LEGACY_REFERENCE_DIRS) {
+    try {
+      const entries = await fs.readdir(path.join(root, dir));
+      files.push(
+        ...entries
+          .filter((entry) => /\.ya?ml$/i.test(entry))
+          .map((entry) => path.join(root, dir, entry))
+      );
+    } catch {
+      // Directory does not exist
+    }
+  }
+
+  const references = [];
+  for (const file of files) {
+    let content;
+    try {
+      content = await fs.readFile(file, "utf8");
+    } catch {
+      continue;
+    }
+    content.split(/\r?\n/).forEach((text, index) => {
+      const match = LEGACY_PATTERNS.map((pattern) => text.match(pattern)).find(
+        Boolean
+      );
+      if (match) {
+        references.push({ file, line: index + 1, text: match[0] });
+      }
+    });
+  }
+  return references;
+}
+
+/**
+ * Describe legacy references for messages ("package.json:12 sf scanner:run")
+ * @param {{file: string, line: number, text: string}[]} references
+ * @param {string | null} root - Paths are shown relative to this folder
+ * @returns {string[]}
+ */
+export function describeLegacyReferences(references = [], root = null) {
+  return references.map(
+    (reference) =>
+      `${root ? path.relative(root, reference.file) : reference.file}:${reference.line} ${reference.text}`
+  );
+}
@@ -0,0 +1,212 @@
+import * as path from "path";
+import fs from "fs/promises";
+import * as shell from "../lib/shell.js";
+import { findTool, getToolNames } from "./path-analysis.js";
+import { findExecutable, getPathEntries } from "./system.js";
+
+/**
+ * Login shell environment
+ * VS Code started from a desktop launcher does not read `~/.bashrc`,
+ * `~/.zshrc` or `config.fish`, so tools installed through them (nvm, Volta,
+ * Homebrew on Apple Silicon...) work in the terminal but are invisible to
+ * the extension host. This reads the environment a login shell would have
+ * and compares it with the one VS Code got.
+ */
+
+/** Marks the environment dump in the shell output, which rc files may pollute */
+const ENV_MARKER = "__SF_PREFLIGHT_ENV__";
+
+/** Profile file where each shell kind sets PATH */
+const SHELL_CONFIG_FILES = {
+  zsh: "~/.zshrc",
+  bash: "~/.bashrc",
+  fish: "~/.config/fish/config.fish",
+  nushell: "~/.config/nushell/env.nu",
+  sh: "~/.profile",
+};
+
+/**
+ * Identify a shell from its path
+ * @param {string} [shellPath] - Defaults to $SHELL
+ * @returns {"zsh" | "bash" | "fish" | "nushell" | "sh"}
+ */
+export function getShellKind(shellPath = process.env.SHELL || "/bin/bash") {
+  const name = path.basename(shellPath).replace(/\.exe$/i, "");
+  if (name === "nu") {
+    return "nushell";
+  }
+  if (SHELL_CONFIG_FILES[name]) {
+    return name;
+  }
+  return name.endsWith("sh") ? "sh" : "bash";
+}
+
+/**
+ * Get the profile file in which a shell sets PATH
+ * @param {string} kind - Result of `getShellKind`
+ * @returns {string}
+ */
+export function getShellConfigFile(kind) {
+  return SHELL_CONFIG_FILES[kind] || SHELL_CONFIG_FILES.bash;
+}
+
+/**
+ * Read the environment of an interactive login shell ($SHELL)
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string} [options.shellPath] - Shell to run (defaults to $SHELL)
+ * @returns {Promise<{supported: boolean, shell?: string, kind?: string, env?: Object<string, string>, error?: string}>}
+ */
+export async function resolveLoginShellEnvironment(options = {}) {
+  // Windows GUI apps get the same environment as the terminal
+  if (process.platform === "win32") {
+    return { supported: false };
+  }
+
+  const { shellPath = process.env.SHELL || "/bin/sh", ...processOptions } =
+    options;
+  const kind = getShellKind(shellPath);
+
+  // Print the environment as JSON with the running Node.js (VS Code's own
+  // runtime inside the extension host), so no shell-specific parsing is needed
+  const script = `"${ENV_MARKER}" + JSON.stringify(process.env) + "${ENV_MARKER}"`;
+  const command = `${kind === "nushell" ? "^" : ""}'${process.execPath}' -p '${script}'`;
+
+  const result = await shell.run(shellPath, ["-l", "-i", "-c", command], {
+    ...processOptions,
+    env: { ELECTRON_RUN_AS_NODE: "1" },
+  });
+
+  const match = result.stdout.match(
+    new RegExp(`${ENV_MARKER}(.*)${ENV_MARKER}`, "s")
+  );
+  if (!match) {
+    return {
+      supported: true,
+      shell: shellPath,
+      kind,
+      error: result.error || "The shell did not print its environment",
+    };
+  }
+
+  try {
+    const env = JSON.parse(match[1]);
+    delete env.ELECTRON_RUN_AS_NODE;
+    return { supported: true, shell: shellPath, kind, env };
+  } catch (error) {
+    return { supported: true, shell: shellPath, kind, error: error.message };
+  }
+}
+
+/**
+ * Compare the login shell environment with VS Code's and find the tools
+ * only the shell can see
+ * @param {Object} [options] - Process options (signal, timeout)
+ * @param {string} [options.shellPath] - Shell to run (defaults to $SHELL)
+ * @returns {Promise<{supported: boolean, shell?: string, kind?: string, configFile?: string, shellPath?: string, onlyInShell?: string[], onlyInVsCode?: string[], tools?: Object<string, {vscode: Object | null, shell: Object | null}>, shellOnlyTools?: string[], differentTools?: string[], error?: string}>}
+ */
+export async function checkShellEnvironment(options = {}) {
+  const { shellPath, ...processOptions } = options;
+  const login = await resolveLoginShellEnvironment({
+    ...processOptions,
+    shellPath,
+  });
+  if (!login.supported || login.error) {
+    return login;
+  }
+
+  const vscodePath = shell.getSearchPath();
+  const loginPath = login.env.PATH || "";
+  const vscodeEntries = getPathEntries(vscodePath);
+  const shellEntries = getPathEntries(loginPath);
+
+  // Run each tool against both PATHs, the shell copy with the shell PATH so
+  // scripts such as `sf` find the right `node`. A tool both PATHs resolve to
+  // the same binary runs only once.
+  const names = getToolNames();
+  const found = await Promise.all(
+    names.map(async (name) => {
+      const vscode = await findTool(name, {
+        ...processOptions,
+        pathValue: vscodePath,
+      });
+      if (vscode && (await isSameBinary(name, vscode.path, loginPath))) {
+        return { vscode, shell: vscode };
+      }
+      return {
+        vscode,
+        shell: await findTool(name, {
+          ...processOptions,
+          pathValue: loginPath,
+          env: { PATH: loginPath },
+        }),
+      };
+    })
+  );
+  const tools = Object.fromEntries(
+    names.map((name, index) => [name, found[index]])
+  );
+
+  return {
+    supported: true,
+    shell: login.shell,
+    kind: login.kind,
+    configFile: getShellConfigFile(login.kind),
+    shellPath: loginPath,
+    onlyInShell: [...new Set(shellEntries)].filter(
+      (dir) => !vscodeEntries.includes(dir)
+    ),
+    onlyInVsCode: [...new Set(vscodeEntries)].filter(
+      (dir) => !shellEntries.includes(dir)
+    ),
+    tools,
+    shellOnlyTools: names.filter(
+      (name) => tools[name].shell && !tools[name].vscode
+    ),
+    // Both see the tool, but a different version of it
+    differentTools: names.filter(
+      (name) =>
+        tools[name].shell &&
+        tools[name].vscode &&
+        tools[name].shell.version !== tools[name].vscode.version
+    ),
+  };
+}
+
+/**
+ * Check whether a PATH resolves a tool to a binary already found
+ * @param {string} name - Tool name
+ * @param {string} binary - Binary found on the other PATH
+ * @param {string} pathValue - PATH to resolve the tool on
+ * @returns {Promise<boolean>}
+ */
+async function isSameBinary(name, binary, pathValue) {
+  const executable = await findExecutable(name, { pathValue });
+  if (!executable) {
+    return false;
+  }
+  const realPath = (file) => fs.realpath(file).catch(() => file);
+  return (await realPath(executable)) === (await realPath(binary));
+}
+
+/**
+ * Describe a tool the shell can see but VS Code cannot
+ * ("node 20.11.0 at /Users/me/.nvm/versions/node/v20.11.0/bin/node")
+ * @param {string} name
+ * @param {{path: string, version: string | null}} found
+ * @returns {string}
+ */
+export function describeShellOnlyTool(name, found) {
+  return `${name}${found.version ? ` ${found.version}` : ""} at ${found.path}`;
+}
+
+/**
+ * Explain how to make an app started from the desktop see the shell PATH
+ * @param {string} kind - Shell kind
+ * @returns {string}
+ */
+export function describeShellPathFix(kind) {
+  const configFile = getShellConfigFile(kind);
+  return process.platform === "darwin"
+    ? `Start the editor or tool from a terminal (\`code\` for VS Code), or move the PATH changes from ${configFile} to ~/.zprofile / ~/.bash_profile`
+    : `Start the editor or tool from a terminal (\`code\` for VS Code), or move the PATH changes from ${configFile} to ~/.profile (read at desktop login) and log in again`;
+}
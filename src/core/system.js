@@ -0,0 +1,97 @@
+import * as os from "os";
+import * as path from "path";
+import { constants } from "fs";
+import fs from "fs/promises";
+import { getSearchPath } from "../lib/shell.js";
+
+/**
+ * Host system information included in reports, and PATH lookups
+ */
+
+/**
+ * Collect operating system, shell and PATH details
+ * @returns {{platform: string, release: string, arch: string, shell: string | null, hostNode: string, pathEntries: string[]}}
+ */
+export function getSystemInfo() {
+  return {
+    platform: process.platform,
+    release: os.release(),
+    arch: process.arch,
+    shell: process.env.SHELL || process.env.ComSpec || null,
+    hostNode: process.version,
+    pathEntries: getPathEntries(),
+  };
+}
+
+/**
+ * Split a PATH value into its entries
+ * @param {string} [pathValue] - Defaults to the PATH executables are resolved on
+ * @returns {string[]}
+ */
+export function getPathEntries(pathValue = getSearchPath()) {
+  return pathValue.split(path.delimiter).filter(Boolean);
+}
+
+/**
+ * Resolve an executable the way the shell would: the first PATH entry
+ * containing it (trying PATHEXT extensions on Windows)
+ * @param {string} name - Executable name, e.g. "sf"
+ * @param {Object} [options]
+ * @param {string} [options.pathValue] - PATH to search (defaults to the search PATH)
+ * @returns {Promise<string | null>} - Absolute path, or null if not found
+ */
+export async function findExecutable(name, { pathValue } = {}) {
+  for (const dir of getPathEntries(pathValue)) {
+    const candidate = await findInDirectory(dir, name);
+    if (candidate) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find every copy of an executable on PATH, in PATH order. The first one is
+ * what the shell runs; the others are shadowed.
+ * @param {string} name - Executable name, e.g. "node"
+ * @param {Object} [options]
+ * @param {string} [options.pathValue] - PATH to search (defaults to the search PATH)
+ * @returns {Promise<string[]>} - Absolute paths (a directory listed twice is only reported once)
+ */
+export async function findExecutables(name, { pathValue } = {}) {
+  const found = [];
+  for (const dir of getPathEntries(pathValue)) {
+    const candidate = await findInDirectory(dir, name);
+    if (candidate && !found.includes(candidate)) {
+      found.push(candidate);
+    }
+  }
+  return found;
+}
+
+/**
+ * Find an executable in one directory (trying PATHEXT extensions on Windows)
+ * @param {string} dir
+ * @param {string} name
+ * @returns {Promise<string | null>}
+ */
+async function findInDirectory(dir, name) {
+  const extensions =
+    process.platform === "win32"
+      ? (process.env.PATHEXT || ".EXE;.CMD;.BAT;.COM").split(";")
+      : [""];
+
+  for (const extension of extensions) {
+    const candidate = path.join(dir, name + extension);
+    try {
+      const stat = await fs.stat(candidate);
+      if (stat.isFile()) {
+        await fs.access(candidate, constants.X_OK);
+        return candidate;
+      }
+    } catch {
+      // Not here, keep looking
+    }
+  }
+  return null;
+}
@@ -1,7 +1,20 @@
 import * as vscode from "vscode";
 import { EXTENSION_NAME, EXTENSION_ID } from "./lib/constants.js";
+import * as javaCore from "./core/java.js";
+import * as orgsCore from "./core/orgs.js";
 import * as environmentService from "./services/environment.js";
+import * as projectDiagnosticsService from "./services/project-diagnostics.js";
+import * as terminalEnvironmentService from "./services/terminal-environment.js";
 import * as environmentCommands from "./features/environment-commands.js";
+import * as reportCommands from "./features/report-commands.js";
+import {
+  EnvironmentTreeProvider,
+  ENVIRONMENT_VIEW_ID,
+} from "./features/environment-tree.js";
+import {
+  ProjectTreeProvider,
+  PROJECT_VIEW_ID,
+} from "./features/project-tree.js";
 import { ProvisioningManager } from "./provisioning/ProvisioningManager.js";
 import { SpellCheckerProvisioner } from "./provisioning/spellChecker/SpellCheckerProvisioner.js";
 import { GitIgnoreProvisioner } from "./provisioning/gitIgnore/GitIgnoreProvisioner.js";
@@ -21,6 +34,9 @@ class Extension {
     this.context = context;
     this.isSfdxProject = false;
     this.statusBarItem = null;
+    this.lastResults = null;
+    this.environmentTree = new EnvironmentTreeProvider();
+    this.projectTree = new ProjectTreeProvider();
     this.provisioningManager = new ProvisioningManager(context);
   }
 
@@ -38,8 +54,12 @@ class Extension {
       this.isSfdxProject
     );
 
-    // Register all commands
+    // Restore the Java/Node.js injected into the integrated terminals
+    terminalEnvironmentService.initialize(this.context);
+
+    // Register all commands and views
     this.registerCommands();
+    this.registerViews();
 
     // Create status bar item
     this.createStatusBar();
@@ -50,13 +70,19 @@ class Extension {
       await this.provisioningManager.runOnStartup();
     }
 
+    // Show sfdx-project.json problems in the Problems panel
+    this.context.subscriptions.push(
+      projectDiagnosticsService.getDiagnosticCollection()
+    );
+    await projectDiagnosticsService.validateWorkspace();
+
     // Run environment check on startup and update status bar
     const config = vscode.workspace.getConfiguration("sfPreflight");
     if (config.get("runHealthCheckOnStartup")) {
       const results = await environmentService.runStartupCheck(this.context);
-      // Use the results from startup check to update status bar
+      // Use the results from startup check to update status bar and views
       if (results) {
-        this.updateStatusBarWithResults(results);
+        this.showResults(results);
       }
     } else {
       // Just update status bar silently
@@ -110,25 +136,46 @@ class Extension {
     this.context.subscriptions.push(this.statusBarItem);
   }
 
+  /**
+   * Register tree views
+   */
+  registerViews() {
+    this.context.subscriptions.push(
+      vscode.window.registerTreeDataProvider(
+        ENVIRONMENT_VIEW_ID,
+        this.environmentTree
+      ),
+      vscode.window.registerTreeDataProvider(PROJECT_VIEW_ID, this.projectTree)
+    );
+  }
+
   /**
    * Update status bar with environment status
    * @param {Object} [results] - Optional pre-fetched results
    */
   async updateStatusBar(results = null) {
-    if (!this.statusBarItem) {
-      return;
-    }
-
     try {
       const checkResults =
         results || (await environmentService.runHealthCheck(true));
-      this.updateStatusBarWithResults(checkResults);
+      this.showResults(checkResults);
     } catch (error) {
-      this.statusBarItem.text = "$(error) SF Preflight";
-      this.statusBarItem.tooltip = `Error checking environment: ${error.message}`;
+      if (this.statusBarItem) {
+        this.statusBarItem.text = "$(error) SF Preflight";
+        this.statusBarItem.tooltip = `Error checking environment: ${error.message}`;
+      }
     }
   }
 
+  /**
+   * Show results in the status bar and the Environment Health view
+   * @param {Object} results
+   */
+  showResults(results) {
+    this.lastResults = results;
+    this.updateStatusBarWithResults(results);
+    this.environmentTree.refresh(results);
+  }
+
   /**
    * Update status bar UI with given results (no fetch)
    * @param {Object} results
@@ -138,25 +185,27 @@ class Extension {
       return;
     }
 
-    const hasIssues =
-      !results.node.installed ||
-      !results.salesforceCLI.installed ||
-      (results.packages && !results.packages.allInstalled) ||
-      (results.sfPlugins && !results.sfPlugins.allInstalled);
-
-    const hasWarnings =
-      !results.node.valid || !results.java.installed || !results.java.valid;
+    const { hasIssues, hasWarnings } =
+      environmentService.evaluateResults(results);
+    // Default org and Dev Hub, shown under the overall status
+    const orgStatus = orgsCore.describeDefaults(results.orgs);
+    const withOrgs = (tooltip) =>
+      orgStatus ? `${tooltip}\n${orgStatus}` : tooltip;
 
     if (hasIssues) {
       this.statusBarItem.text = "$(error) SF Preflight";
-      this.statusBarItem.tooltip = "Environment issues detected - Click for actions";
+      this.statusBarItem.tooltip = withOrgs(
+        "Environment issues detected - Click for actions"
+      );
       this.statusBarItem.backgroundColor = new vscode.ThemeColor(
         "statusBarItem.errorBackground"
       );
       this.statusBarItem.color = undefined;
     } else if (hasWarnings) {
       this.statusBarItem.text = "$(warning) SF Preflight";
-      this.statusBarItem.tooltip = "Environment warnings - Click for actions";
+      this.statusBarItem.tooltip = withOrgs(
+        "Environment warnings - Click for actions"
+      );
       this.statusBarItem.backgroundColor = new vscode.ThemeColor(
         "statusBarItem.warningBackground"
       );
@@ -164,14 +213,12 @@ class Extension {
     } else {
       this.statusBarItem.backgroundColor = undefined;
       this.statusBarItem.color = new vscode.ThemeColor("testing.iconPassed");
-      
-      if (results.cached) {
-        this.statusBarItem.tooltip = "Environment Ready - Click for actions";
-        this.statusBarItem.text = "$(pass-filled) SF Preflight";
-      } else {
-        this.statusBarItem.text = "$(pass-filled) SF Preflight";
-        this.statusBarItem.tooltip = "Environment OK - Click for actions";
-      }
+      this.statusBarItem.text = "$(pass-filled) SF Preflight";
+      this.statusBarItem.tooltip = withOrgs(
+        results.cached
+          ? `Environment OK (checked ${new Date(results.cachedAt).toLocaleString()}) - Click for actions`
+          : "Environment OK - Click for actions"
+      );
     }
   }
 
@@ -183,14 +230,28 @@ class Extension {
       "**/sfdx-project.json"
     );
 
-    watcher.onDidCreate(async () => {
+    watcher.onDidCreate(async (uri) => {
       console.log(`${EXTENSION_NAME}: sfdx-project.json created`);
+      await projectDiagnosticsService.validateFile(uri);
+      this.projectTree.refresh();
       await this.handleSfdxProjectChange(true);
     });
 
-    watcher.onDidDelete(async () => {
+    // Fires when the file is saved, in the editor or by another tool
+    watcher.onDidChange(async (uri) => {
+      await projectDiagnosticsService.validateFile(uri);
+      this.projectTree.refresh();
+    });
+
+    watcher.onDidDelete(async (uri) => {
       console.log(`${EXTENSION_NAME}: sfdx-project.json deleted`);
-      await this.handleSfdxProjectChange(false);
+      projectDiagnosticsService.clearFile(uri);
+      this.projectTree.refresh();
+      // Other projects of a multi-root workspace or monorepo may remain
+      const isSfdx = await environmentService.isSalesforceDXProject();
+      if (isSfdx !== this.isSfdxProject) {
+        await this.handleSfdxProjectChange(isSfdx);
+      }
     });
 
     this.context.subscriptions.push(watcher);
@@ -201,6 +262,7 @@ class Extension {
    */
   watchWorkspaceChanges() {
     vscode.workspace.onDidChangeWorkspaceFolders(async () => {
+      this.projectTree.refresh();
       const isSfdx = await environmentService.isSalesforceDXProject();
       if (isSfdx !== this.isSfdxProject) {
         await this.handleSfdxProjectChange(isSfdx);
@@ -213,6 +275,10 @@ class Extension {
    */
   watchConfigChanges() {
     vscode.workspace.onDidChangeConfiguration(async (e) => {
+      // The Java check reads this setting first; a cached result is stale
+      if (e.affectsConfiguration(javaCore.JAVA_HOME_SETTING)) {
+        await environmentService.clearHealthCheckCache(this.context);
+      }
       if (e.affectsConfiguration("sfPreflight.showStatusBar")) {
         const config = vscode.workspace.getConfiguration("sfPreflight");
         if (config.get("showStatusBar")) {
@@ -261,7 +327,27 @@ class Extension {
     const commands = [
       {
         command: `${EXTENSION_ID}.checkEnvironment`,
-        callback: () => environmentCommands.checkEnvironment(this.context),
+        callback: async () =>
+          this.showResults(
+            await environmentCommands.checkEnvironment(this.context)
+          ),
+      },
+      {
+        command: `${EXTENSION_ID}.refreshEnvironment`,
+        callback: () => this.updateStatusBar(),
+      },
+      {
+        command: `${EXTENSION_ID}.recheckItem`,
+        callback: (node) => this.recheckItem(node),
+      },
+      {
+        command: `${EXTENSION_ID}.fixItem`,
+        callback: (node) => this.fixItem(node),
+      },
+      {
+        command: `${EXTENSION_ID}.openItemDocs`,
+        callback: (node) =>
+          vscode.env.openExternal(vscode.Uri.parse(node.docsUrl)),
       },
       {
         command: `${EXTENSION_ID}.checkJava`,
@@ -275,10 +361,50 @@ class Extension {
         command: `${EXTENSION_ID}.checkNodeJS`,
         callback: () => environmentCommands.checkNodeJS(),
       },
+      {
+        command: `${EXTENSION_ID}.updateSfPlugins`,
+        callback: () => environmentCommands.updateSfPlugins(),
+      },
+      {
+        command: `${EXTENSION_ID}.migrateCodeAnalyzer`,
+        callback: () => environmentCommands.migrateCodeAnalyzer(),
+      },
+      {
+        command: `${EXTENSION_ID}.analyzePath`,
+        callback: () => environmentCommands.analyzePath(),
+      },
+      {
+        command: `${EXTENSION_ID}.refreshProjectInfo`,
+        callback: () => this.projectTree.refresh(),
+      },
+      {
+        command: `${EXTENSION_ID}.showApiVersions`,
+        callback: (rootPath) => environmentCommands.showApiVersions(rootPath),
+      },
+      {
+        command: `${EXTENSION_ID}.bumpApiVersions`,
+        callback: () => environmentCommands.bumpApiVersions(),
+      },
+      {
+        command: `${EXTENSION_ID}.showTerminalEnvironment`,
+        callback: () => environmentCommands.showTerminalEnvironment(),
+      },
+      {
+        command: `${EXTENSION_ID}.clearTerminalEnvironment`,
+        callback: () => environmentCommands.clearTerminalEnvironment(),
+      },
       {
         "command": `${EXTENSION_ID}.showProjectInfo`,
         "callback": () => environmentCommands.showProjectInfo(),
       },
+      {
+        command: `${EXTENSION_ID}.exportReport`,
+        callback: () => reportCommands.exportReport(),
+      },
+      {
+        command: `${EXTENSION_ID}.exportPackageGraph`,
+        callback: (node) => reportCommands.exportPackageGraph(node),
+      },
       {
         "command": `${EXTENSION_ID}.openMenu`,
         "callback": () => this.openActionMenu(),
@@ -307,6 +433,16 @@ class Extension {
         description: "Regenerate config files (warning: overwrites)",
         command: "sf-preflight.provisionForce",
       },
+      {
+        label: "$(extensions) Update SF Plugins",
+        description: "Run sf plugins update",
+        command: `${EXTENSION_ID}.updateSfPlugins`,
+      },
+      {
+        label: "$(export) Export Environment Report",
+        description: "Save results as Markdown, JSON or HTML",
+        command: `${EXTENSION_ID}.exportReport`,
+      },
       {
         label: "$(info) Show Project Info",
         description: "Display detected project details",
@@ -321,7 +457,9 @@ class Extension {
     if (selection) {
       if (selection.command === `${EXTENSION_ID}.checkEnvironment`) {
         // Pass context if needed, though checkEnvironment expects it
-        await environmentCommands.checkEnvironment(this.context);
+        this.showResults(
+          await environmentCommands.checkEnvironment(this.context)
+        );
       } else if (selection.command === "sf-preflight.provisionForce") {
         await this.provisioningManager.runForce();
       } else {
@@ -330,6 +468,35 @@ class Extension {
     }
   }
 
+  /**
+   * Re-run the check behind a tree node
+   * @param {Object} node - Environment Health tree node
+   */
+  async recheckItem(node) {
+    if (!this.lastResults || !node?.checkId) {
+      await this.updateStatusBar();
+      return;
+    }
+    this.showResults(
+      await environmentService.rerunCheck(node.checkId, this.lastResults)
+    );
+  }
+
+  /**
+   * Run the fix flow for a tree node, then re-check it
+   * @param {Object} node - Environment Health tree node
+   */
+  async fixItem(node) {
+    if (!this.lastResults || !node?.checkId) {
+      return;
+    }
+    const results = node.fixResult
+      ? { ...this.lastResults, [node.checkId]: node.fixResult }
+      : this.lastResults;
+    await environmentService.fixCheck(node.checkId, results);
+    await this.recheckItem(node);
+  }
+
   /**
    * Deactivate the extension
    */
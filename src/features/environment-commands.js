@@ -1,5 +1,9 @@
 import * as vscode from "vscode";
+import * as javaCore from "../core/java.js";
 import * as environmentService from "../services/environment.js";
+import * as sfPluginsService from "../services/sf-plugins.js";
+import * as terminalEnvironmentService from "../services/terminal-environment.js";
+import { PROJECT_VIEW_ID } from "./project-tree.js";
 import * as ui from "../lib/ui.js";
 
 /**
@@ -9,12 +13,14 @@ import * as ui from "../lib/ui.js";
 /**
  * Run full environment health check
  * @param {vscode.ExtensionContext} context
+ * @returns {Promise<Object>} Health check results
  */
 export async function checkEnvironment(context) {
   const results = await environmentService.runHealthCheck(false);
   if (context) {
     await environmentService.updateHealthCheckCache(context, results);
   }
+  return results;
 }
 
 /**
@@ -27,7 +33,7 @@ export async function checkJava() {
     await environmentService.promptJavaPathUpdate();
   } else if (!javaCheck.valid) {
     const upgrade = await vscode.window.showWarningMessage(
-      `Java ${javaCheck.version} is installed. Salesforce requires Java 11+.`,
+      `Java ${javaCheck.version} is installed. Salesforce requires Java ${javaCheck.minVersion}+.`,
       "Find Java Installations",
       "Download Java",
       "Dismiss"
@@ -42,9 +48,29 @@ export async function checkJava() {
         )
       );
     }
+  } else if (javaCheck.mismatches.length > 0) {
+    const locations = javaCheck.mismatches
+      .map(
+        (other) =>
+          `${javaCore.describeJavaSource(other.source)}: ${other.version || other.error}`
+      )
+      .join(", ");
+    const choice = await vscode.window.showWarningMessage(
+      `Java ${javaCheck.version} is used (from ${javaCore.describeJavaSource(javaCheck.source)}), but other Java locations disagree (${locations}).`,
+      "Choose Java",
+      "Dismiss"
+    );
+
+    if (choice === "Choose Java") {
+      await environmentService.promptJavaPathUpdate();
+    }
   } else {
+    const shadowed = (javaCheck.pathCandidates || []).slice(1);
     ui.showInfo(
-      `Java ${javaCheck.version} is properly configured ✅\nPath: ${javaCheck.path || "N/A"}`
+      `Java ${javaCheck.version} is properly configured ✅\nPath: ${javaCheck.path || "N/A"} (from ${javaCore.describeJavaSource(javaCheck.source)})` +
+        (shadowed.length > 0
+          ? `\nShadowed on PATH: ${shadowed.join(", ")}`
+          : "")
     );
   }
 }
@@ -53,10 +79,75 @@ export async function checkJava() {
  * Check and update Salesforce CLI
  */
 export async function checkSalesforceCLI() {
-  const cliCheck = await environmentService.checkSalesforceCLI();
+  const cliCheck = await environmentService.checkSalesforceCLI(undefined, true);
   await environmentService.promptSalesforceCLIUpdate(cliCheck);
 }
 
+/**
+ * Update user-installed SF CLI plugins
+ */
+export async function updateSfPlugins() {
+  await sfPluginsService.updatePlugins();
+}
+
+/**
+ * Migrate from Code Analyzer v4 (sfdx-scanner) to v5
+ */
+export async function migrateCodeAnalyzer() {
+  const status = await sfPluginsService.checkCodeAnalyzer();
+  if (
+    !status.error &&
+    status.generation === "v5" &&
+    status.legacyReferences.length === 0
+  ) {
+    ui.showInfo(
+      `Code Analyzer v5 ${status.codeAnalyzer.version || ""} is installed and no v4 usages were found ✅`
+    );
+    return;
+  }
+  await sfPluginsService.migrateCodeAnalyzer(status);
+}
+
+/**
+ * Show every sf, sfdx, node, npm, java and git binary on PATH
+ */
+export async function analyzePath() {
+  await environmentService.showPathAnalysis();
+}
+
+/**
+ * Show the API versions used by the project metadata
+ * @param {string} [rootPath] - Project folder (asks when the workspace has several)
+ */
+export async function showApiVersions(rootPath) {
+  await environmentService.showApiVersionReport(
+    typeof rootPath === "string"
+      ? await environmentService.checkProjectApiVersions(rootPath)
+      : undefined
+  );
+}
+
+/**
+ * Move project metadata to another API version
+ */
+export async function bumpApiVersions() {
+  await environmentService.bumpApiVersions();
+}
+
+/**
+ * Show the Java and Node.js injected into the workspace terminals
+ */
+export async function showTerminalEnvironment() {
+  await terminalEnvironmentService.showTerminalEnvironment();
+}
+
+/**
+ * Remove the Java and Node.js injected into the workspace terminals
+ */
+export async function clearTerminalEnvironment() {
+  await terminalEnvironmentService.clearTerminalEnvironment();
+}
+
 /**
  * Check Node.js installation
  */
@@ -65,7 +156,10 @@ export async function checkNodeJS() {
 
   if (!nodeCheck.installed) {
     await environmentService.promptNodeJSUpdate(nodeCheck);
-  } else if (!nodeCheck.valid) {
+  } else if (
+    !nodeCheck.valid ||
+    nodeCheck.pins.some((pin) => pin.satisfied === false)
+  ) {
     await environmentService.promptNodeJSUpdate(nodeCheck);
   } else {
     ui.showInfo(`Node.js v${nodeCheck.version} is properly configured ✅`);
@@ -73,39 +167,17 @@ export async function checkNodeJS() {
 }
 
 /**
- * Show Salesforce project information
+ * Show the Project Info view
  */
 export async function showProjectInfo() {
-  const isSFDXProject = await environmentService.isSalesforceDXProject();
+  const projects = await environmentService.getSalesforceProjects();
 
-  if (!isSFDXProject) {
+  if (projects.length === 0) {
     vscode.window.showInformationMessage(
       "This is not a Salesforce DX project. No sfdx-project.json found."
     );
     return;
   }
 
-  const projectInfo = await environmentService.getSalesforceProjectInfo();
-
-  if (!projectInfo) {
-    vscode.window.showErrorMessage("Unable to read sfdx-project.json file.");
-    return;
-  }
-
-  const packageDirs = projectInfo.packageDirectories
-    .map((dir) => `  • ${dir.path} ${dir.default ? "(default)" : ""}`)
-    .join("\n");
-
-  const message = `📦 Salesforce DX Project\n\nName: ${projectInfo.name}\nAPI Version: ${projectInfo.sourceApiVersion}\nNamespace: ${projectInfo.namespace || "(none)"}\n\nPackage Directories:\n${packageDirs}`;
-
-  const action = await vscode.window.showInformationMessage(
-    message,
-    "Open sfdx-project.json",
-    "OK"
-  );
-
-  if (action === "Open sfdx-project.json") {
-    const doc = await vscode.workspace.openTextDocument(projectInfo.path);
-    await vscode.window.showTextDocument(doc);
-  }
+  await vscode.commands.executeCommand(`${PROJECT_VIEW_ID}.focus`);
 }
@@ -0,0 +1,449 @@
+import * as vscode from "vscode";
+import { EXTENSION_ID, EXTERNAL_URLS } from "../lib/constants.js";
+import * as apiVersionsCore from "../core/api-versions.js";
+import * as healthCheckCore from "../core/health-check.js";
+import * as orgsCore from "../core/orgs.js";
+import * as projectValidationCore from "../core/project-validation.js";
+
+/**
+ * Environment Health tree view
+ * Lists each check with its status, version details and inline actions
+ */
+
+export const ENVIRONMENT_VIEW_ID = "sfPreflight.environment";
+
+const STATUS_ICONS = {
+  pass: new vscode.ThemeIcon(
+    "pass-filled",
+    new vscode.ThemeColor("testing.iconPassed")
+  ),
+  warn: new vscode.ThemeIcon(
+    "warning",
+    new vscode.ThemeColor("problemsWarningIcon.foreground")
+  ),
+  fail: new vscode.ThemeIcon(
+    "error",
+    new vscode.ThemeColor("problemsErrorIcon.foreground")
+  ),
+  info: new vscode.ThemeIcon("info"),
+};
+
+const DOCS_URLS = {
+  node: EXTERNAL_URLS.NODE_DOWNLOAD,
+  java: EXTERNAL_URLS.JAVA_SETUP,
+  salesforceCLI: EXTERNAL_URLS.SALESFORCE_CLI,
+  codeAnalyzer: EXTERNAL_URLS.CODE_ANALYZER_MIGRATION,
+  orgs: EXTERNAL_URLS.ORG_AUTHORIZATION,
+  apiVersions: EXTERNAL_URLS.SFDX_PROJECT_CONFIG,
+  project: EXTERNAL_URLS.SFDX_PROJECT_CONFIG,
+};
+
+/**
+ * Tree data provider for the Environment Health view
+ * @implements {vscode.TreeDataProvider<Object>}
+ */
+export class EnvironmentTreeProvider {
+  constructor() {
+    this.results = null;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  /**
+   * Show new health check results
+   * @param {Object} results
+   */
+  refresh(results) {
+    this.results = results;
+    this._onDidChangeTreeData.fire();
+  }
+
+  /**
+   * @param {Object} node
+   * @returns {vscode.TreeItem}
+   */
+  getTreeItem(node) {
+    const item = new vscode.TreeItem(
+      node.label,
+      node.children && node.children.length > 0
+        ? node.status === "pass"
+          ? vscode.TreeItemCollapsibleState.Collapsed
+          : vscode.TreeItemCollapsibleState.Expanded
+        : vscode.TreeItemCollapsibleState.None
+    );
+    item.id = node.id;
+    item.description = node.description;
+    item.tooltip = node.tooltip || node.description;
+    item.iconPath = node.icon || STATUS_ICONS[node.status];
+    item.contextValue = getContextValue(node);
+    item.command = node.command;
+    return item;
+  }
+
+  /**
+   * @param {Object} [node]
+   * @returns {Object[]}
+   */
+  getChildren(node) {
+    if (node) {
+      return node.children || [];
+    }
+
+    if (!this.results) {
+      return [
+        {
+          id: "placeholder",
+          label: "Run a health check",
+          status: "info",
+          icon: new vscode.ThemeIcon("play"),
+          command: {
+            command: `${EXTENSION_ID}.checkEnvironment`,
+            title: "Run System Health Check",
+          },
+        },
+      ];
+    }
+
+    return buildNodes(this.results);
+  }
+}
+
+/**
+ * Build the context value used by inline menu `when` clauses
+ * e.g. "check.java.fixable.docs"
+ * @param {Object} node
+ * @returns {string | undefined}
+ */
+function getContextValue(node) {
+  if (!node.checkId) {
+    return undefined;
+  }
+  const parts = ["check", node.checkId];
+  if (
+    node.status !== "pass" &&
+    node.checkId !== "project" &&
+    !node.incomplete
+  ) {
+    parts.push("fixable");
+  }
+  if (node.docsUrl) {
+    parts.push("docs");
+  }
+  return parts.join(".");
+}
+
+/**
+ * Convert health check results into tree nodes
+ * @param {Object} results
+ * @returns {Object[]}
+ */
+function buildNodes(results) {
+  const { checks } = healthCheckCore.summarizeResults(results);
+  const byId = Object.fromEntries(checks.map((check) => [check.id, check]));
+  const nodes = [];
+
+  if (byId.node) {
+    const node = results.node;
+    nodes.push(
+      checkNode(
+        byId.node,
+        node.installed ? `v${node.version}` : "not installed"
+      )
+    );
+  }
+
+  if (byId.java) {
+    const java = results.java;
+    nodes.push(
+      checkNode(byId.java, java.installed ? java.version : "not installed", {
+        tooltip: [byId.java.message, ...byId.java.details].join("\n"),
+      })
+    );
+  }
+
+  if (byId.salesforceCLI) {
+    const cli = results.salesforceCLI;
+    nodes.push(
+      checkNode(
+        byId.salesforceCLI,
+        cli.installed ? `v${cli.version}` : "not installed"
+      )
+    );
+  }
+
+  if (byId.packages) {
+    nodes.push(
+      requirementsNode(byId.packages, results.packages, (name) =>
+        `https://www.npmjs.com/package/${name}`
+      )
+    );
+  }
+
+  if (byId.sfPlugins) {
+    nodes.push(
+      requirementsNode(byId.sfPlugins, results.sfPlugins, (name) =>
+        `https://www.npmjs.com/search?q=${encodeURIComponent(name)}`
+      )
+    );
+  }
+
+  if (byId.codeAnalyzer) {
+    const codeAnalyzer = results.codeAnalyzer;
+    nodes.push(
+      checkNode(
+        byId.codeAnalyzer,
+        {
+          v4: "v4 (sfdx-scanner)",
+          v5: "v5",
+          both: "v4 and v5",
+          none: "not installed",
+        }[codeAnalyzer.generation],
+        {
+          tooltip: [
+            byId.codeAnalyzer.message,
+            ...byId.codeAnalyzer.details,
+          ].join("\n"),
+        }
+      )
+    );
+  }
+
+  if (byId.orgs) {
+    nodes.push(
+      checkNode(
+        byId.orgs,
+        orgsCore
+          .describeProjects(results.orgs, ({ targetOrg, targetDevHub }) => [
+            [targetOrg?.value, targetDevHub && `Dev Hub ${targetDevHub.value}`]
+              .filter(Boolean)
+              .join(", ") || "no default org",
+          ])
+          .join("; "),
+        {
+          tooltip: [byId.orgs.message, ...byId.orgs.details].join("\n"),
+        }
+      )
+    );
+  }
+
+  if (byId.apiVersions) {
+    const histogram = apiVersionsCore.buildHistogram(
+      results.apiVersions.projects.flatMap((project) => project.files)
+    );
+    nodes.push(
+      checkNode(
+        byId.apiVersions,
+        histogram.length > 1
+          ? `${histogram[histogram.length - 1].version} to ${histogram[0].version}`
+          : histogram[0]?.version || "no metadata",
+        {
+          tooltip: [byId.apiVersions.message, ...byId.apiVersions.details].join(
+            "\n"
+          ),
+        }
+      )
+    );
+  }
+
+  if (byId.pathAnalysis) {
+    const { conflicts, missingDirs } = results.pathAnalysis;
+    nodes.push(
+      checkNode(
+        byId.pathAnalysis,
+        conflicts.length > 0
+          ? `conflicting ${conflicts.join(", ")}`
+          : missingDirs.length > 0
+            ? `${missingDirs.length} missing directories`
+            : "no conflicts",
+        {
+          tooltip: [
+            byId.pathAnalysis.message,
+            ...byId.pathAnalysis.details,
+          ].join("\n"),
+        }
+      )
+    );
+  }
+
+  if (byId.shellEnvironment) {
+    const shellEnvironment = results.shellEnvironment;
+    nodes.push(
+      checkNode(
+        byId.shellEnvironment,
+        shellEnvironment.error
+          ? "could not read"
+          : shellEnvironment.shellOnlyTools.length > 0
+            ? `only in shell: ${shellEnvironment.shellOnlyTools.join(", ")}`
+            : shellEnvironment.kind,
+        {
+          tooltip: [
+            byId.shellEnvironment.message,
+            ...byId.shellEnvironment.details,
+          ].join("\n"),
+        }
+      )
+    );
+  }
+
+  if (byId.projectDependencies) {
+    const check = byId.projectDependencies;
+    const { projects } = results.projectDependencies;
+    const projectNode = (deps, extra) =>
+      requirementsNode(
+        check,
+        deps,
+        (name) => `https://www.npmjs.com/package/${name}`,
+        { perItemFix: false, ...extra }
+      );
+    const pending = projects.filter((deps) => !deps.allInstalled).length;
+    nodes.push(
+      projects.length === 1
+        ? projectNode(projects[0])
+        : checkNode(
+            check,
+            pending > 0
+              ? `${pending} of ${projects.length} projects need attention`
+              : `${projects.length} projects`,
+            {
+              children: projects.map((deps, index) =>
+                projectNode(deps, {
+                  id: `check.${check.id}.${index}`,
+                  label: deps.name,
+                  status: deps.allInstalled ? "pass" : check.status,
+                  tooltip: deps.root,
+                })
+              ),
+            }
+          )
+    );
+  }
+
+  const projects = healthCheckCore.getResultProjects(results);
+  projects.forEach((project, index) => {
+    const problems = project.problems || [];
+    nodes.push({
+      id: index === 0 ? "check.project" : `check.project.${index}`,
+      checkId: "project",
+      label: projects.length > 1 ? `Project ${project.name}` : "Project",
+      status: problems.length > 0 ? "warn" : "pass",
+      description: `${projects.length > 1 ? "" : `${project.name} `}(API ${project.sourceApiVersion})${problems.length > 0 ? ` · ${problems.length} problem(s)` : ""}`,
+      tooltip: [
+        project.path,
+        ...projectValidationCore.describeProblems(problems),
+      ].join("\n"),
+      docsUrl: DOCS_URLS.project,
+    });
+  });
+  if (projects.length === 0) {
+    nodes.push({
+      id: "check.project",
+      checkId: "project",
+      label: "Project",
+      status: "info",
+      description: "not a Salesforce DX project",
+      docsUrl: DOCS_URLS.project,
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Build the node for a single check
+ * @param {Object} check - Summary entry
+ * @param {string} description
+ * @param {Object} [extra] - Additional node properties
+ * @returns {Object}
+ */
+function checkNode(check, description, extra = {}) {
+  return {
+    id: `check.${check.id}`,
+    checkId: check.id,
+    label: check.name,
+    status: check.status,
+    description,
+    tooltip: check.message,
+    docsUrl: DOCS_URLS[check.id],
+    incomplete: check.incomplete,
+    ...extra,
+  };
+}
+
+/**
+ * Build the node for a requirement list check (npm packages, SF plugins)
+ * with one child per requirement
+ * @param {Object} check - Summary entry
+ * @param {Object} status - Package or plugin check result
+ * @param {function(string): string} docsUrlFor - Docs URL for a requirement name
+ * @param {Object} [options]
+ * @param {boolean} [options.perItemFix] - Fix children individually (false fixes the whole check)
+ * @param {string} [options.id] - Node id, when the check has one node per project
+ * @returns {Object}
+ */
+function requirementsNode(
+  check,
+  status,
+  docsUrlFor,
+  { perItemFix = true, ...extra } = {}
+) {
+  const id = extra.id || `check.${check.id}`;
+  const problemStatus = check.status === "pass" ? "warn" : check.status;
+  const children = [
+    ...status.installed.map((name) => {
+      const alternative = status.alternatives?.[name];
+      return {
+        status: "pass",
+        name,
+        description: [
+          status.versions?.[name] || "installed",
+          alternative ? `via ${alternative}` : null,
+          status.types?.[name] ? `(${status.types[name]})` : null,
+        ]
+          .filter(Boolean)
+          .join(" "),
+      };
+    }),
+    ...status.missing.map((name) => ({
+      status: problemStatus,
+      name,
+      description: "missing",
+      fix: { missing: [name], outdated: [] },
+    })),
+    ...(status.outdated || []).map((pkg) => ({
+      status: problemStatus,
+      name: pkg.name,
+      description: `${pkg.version} (requires ${pkg.required})`,
+      fix: { missing: [], outdated: [pkg] },
+    })),
+    // SF plugins linked from a local checkout
+    ...(status.linked || []).map((plugin) => ({
+      status: "warn",
+      name: plugin.name,
+      description: `linked ${plugin.version || ""}`.trim(),
+      tooltip: plugin.root,
+    })),
+  ].map((child) => ({
+    id: `${id}.${child.name}`,
+    checkId: check.id,
+    label: child.name,
+    status: child.status,
+    description: child.description,
+    tooltip: child.tooltip,
+    docsUrl: docsUrlFor(child.name),
+    fixResult:
+      child.fix && perItemFix
+        ? { ...child.fix, installed: [], allInstalled: false }
+        : undefined,
+  }));
+
+  const problems = status.missing.length + (status.outdated || []).length;
+  const required = children.length - (status.linked || []).length;
+
+  return checkNode(
+    check,
+    problems > 0
+      ? `${problems} of ${required} need attention`
+      : `${required} installed`,
+    { ...extra, children }
+  );
+}
@@ -1 +1,2 @@
 export * as environmentCommands from "./environment-commands.js";
+export * as reportCommands from "./report-commands.js";
@@ -0,0 +1,372 @@
+import * as vscode from "vscode";
+import * as path from "path";
+import { EXTENSION_ID } from "../lib/constants.js";
+import * as projectCore from "../core/project.js";
+import * as projectInventoryCore from "../core/project-inventory.js";
+import * as packageGraphCore from "../core/package-graph.js";
+import * as environmentService from "../services/environment.js";
+
+/**
+ * Project Info tree view
+ * Shows each Salesforce DX project of the workspace with its package
+ * directories, package aliases, dependency graph and a metadata inventory per
+ * directory. Folders reveal in the Explorer and files open on click.
+ */
+
+export const PROJECT_VIEW_ID = "sfPreflight.project";
+
+const TYPE_ICONS = {
+  apexClass: "symbol-class",
+  apexTest: "beaker",
+  apexTrigger: "zap",
+  lwc: "symbol-event",
+  aura: "symbol-color",
+  jestTest: "beaker",
+  object: "symbol-structure",
+  field: "symbol-field",
+  flow: "git-merge",
+  permissionSet: "shield",
+};
+
+const GRAPH_ICONS = {
+  directory: "folder",
+  package: "package",
+  version: "package",
+  missing: "question",
+};
+
+/**
+ * Tree data provider for the Project Info view
+ * @implements {vscode.TreeDataProvider<Object>}
+ */
+export class ProjectTreeProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  /**
+   * Read the projects again, e.g. after sfdx-project.json changed
+   */
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  /**
+   * @param {Object} node
+   * @returns {vscode.TreeItem}
+   */
+  getTreeItem(node) {
+    const item = new vscode.TreeItem(
+      node.label,
+      node.expanded
+        ? vscode.TreeItemCollapsibleState.Expanded
+        : node.children?.length > 0 || node.loadChildren
+          ? vscode.TreeItemCollapsibleState.Collapsed
+          : vscode.TreeItemCollapsibleState.None
+    );
+    item.id = node.id;
+    item.description = node.description;
+    item.tooltip = node.tooltip || node.description;
+    item.resourceUri = node.resourceUri;
+    item.iconPath = node.icon ? new vscode.ThemeIcon(node.icon) : undefined;
+    item.command = node.command;
+    item.contextValue = node.contextValue;
+    return item;
+  }
+
+  /**
+   * @param {Object} [node]
+   * @returns {Promise<Object[]>}
+   */
+  async getChildren(node) {
+    if (node) {
+      return node.loadChildren ? node.loadChildren() : node.children || [];
+    }
+
+    const projects = await environmentService.getSalesforceProjects();
+    if (projects.length === 0) {
+      return [
+        {
+          id: "placeholder",
+          label: "No sfdx-project.json found",
+          icon: "info",
+        },
+      ];
+    }
+
+    const rootPaths = environmentService.getWorkspaceRootPaths();
+    return projects.map((project) => ({
+      id: `project:${project.path}`,
+      label: project.name,
+      description: projectCore.describeProjectLocation(project, rootPaths),
+      tooltip: project.path,
+      icon: "package",
+      expanded: true,
+      children: buildProjectNodes(project),
+    }));
+  }
+}
+
+/**
+ * Build the nodes of a project
+ * @param {Object} project - Project information
+ * @returns {Object[]}
+ */
+function buildProjectNodes(project) {
+  const id = `project:${project.path}`;
+  const aliases = Object.entries(project.packageAliases);
+  const problems = project.problems.length;
+  const graph = packageGraphCore.buildPackageGraph(project);
+
+  return [
+    {
+      id: `${id}:file`,
+      label: "sfdx-project.json",
+      description: problems > 0 ? `${problems} problem(s)` : undefined,
+      icon: problems > 0 ? "warning" : "file",
+      command: openCommand(project.path),
+    },
+    {
+      id: `${id}:namespace`,
+      label: "Namespace",
+      description: project.namespace || "(none)",
+      icon: "symbol-namespace",
+    },
+    {
+      id: `${id}:apiVersion`,
+      label: "API Version",
+      description: project.sourceApiVersion,
+      icon: "versions",
+      command: {
+        command: `${EXTENSION_ID}.showApiVersions`,
+        title: "Show API Versions",
+        arguments: [project.root],
+      },
+    },
+    {
+      id: `${id}:directories`,
+      label: "Package Directories",
+      description: String(project.packageDirectories.length),
+      icon: "folder-library",
+      expanded: true,
+      children: project.packageDirectories
+        .filter((dir) => typeof dir.path === "string")
+        .map((dir) => directoryNode(project, dir)),
+    },
+    {
+      id: `${id}:aliases`,
+      label: "Package Aliases",
+      description: String(aliases.length),
+      icon: "tag",
+      children: aliases.map(([alias, packageId]) => ({
+        id: `${id}:alias:${alias}`,
+        label: alias,
+        description: String(packageId),
+        icon: String(packageId).startsWith("04t") ? "package" : "symbol-key",
+      })),
+    },
+    {
+      id: `${id}:graph`,
+      label: "Dependency Graph",
+      description:
+        graph.problems.length > 0
+          ? `${graph.problems.length} problem(s)`
+          : packageGraphCore.describePackageGraph(graph),
+      tooltip: packageGraphCore.describePackageGraph(graph),
+      icon: graph.problems.length > 0 ? "warning" : "type-hierarchy",
+      contextValue: "packageGraph",
+      root: project.root,
+      children: graphNodes(`${id}:graph`, project, graph),
+    },
+  ];
+}
+
+/**
+ * Build the dependency graph: its problems, then every package directory
+ * with the packages it depends on
+ * @param {string} id - Graph node id
+ * @param {Object} project - Project information
+ * @param {Object} graph - Package graph
+ * @returns {Object[]}
+ */
+function graphNodes(id, project, graph) {
+  return [
+    ...graph.problems.map((problem, index) => ({
+      id: `${id}:problem:${index}`,
+      label: problem.message,
+      icon: problem.severity === "error" ? "error" : "warning",
+    })),
+    ...graph.nodes
+      .filter((node) => node.kind === "directory")
+      .map((node) => graphNode(`${id}:${node.id}`, project, graph, node, [])),
+  ];
+}
+
+/**
+ * Build a package of the dependency graph; its dependencies load when it is
+ * expanded and stop where a cycle closes
+ * @param {string} id - Node id
+ * @param {Object} project - Project information
+ * @param {Object} graph - Package graph
+ * @param {Object} node - Graph node
+ * @param {string[]} ancestors - Graph node ids above this one
+ * @param {string} [versionNumber] - Version required by the dependent package
+ * @returns {Object}
+ */
+function graphNode(id, project, graph, node, ancestors, versionNumber) {
+  const dependencies = packageGraphCore.getDependencies(graph, node.id);
+  const isCycle = ancestors.includes(node.id);
+  const description = isCycle
+    ? "(cycle)"
+    : node.kind === "missing"
+      ? "no alias"
+      : versionNumber || node.versionNumber;
+
+  return {
+    id,
+    label: node.name,
+    description,
+    tooltip:
+      [node.path, node.packageId].filter(Boolean).join(" · ") || node.name,
+    icon: isCycle ? "sync" : GRAPH_ICONS[node.kind],
+    command: node.path
+      ? {
+          command: "revealInExplorer",
+          title: "Reveal in Explorer",
+          arguments: [vscode.Uri.file(path.resolve(project.root, node.path))],
+        }
+      : undefined,
+    loadChildren:
+      !isCycle && dependencies.length > 0
+        ? async () =>
+            dependencies.map((edge, index) =>
+              graphNode(
+                `${id}:${index}`,
+                project,
+                graph,
+                graph.nodes.find((candidate) => candidate.id === edge.to),
+                [...ancestors, node.id],
+                edge.versionNumber
+              )
+            )
+        : undefined,
+  };
+}
+
+/**
+ * Build the node of a package directory; its details and inventory load
+ * when it is expanded
+ * @param {Object} project - Project information
+ * @param {Object} dir - `packageDirectories` entry
+ * @returns {Object}
+ */
+function directoryNode(project, dir) {
+  const id = `project:${project.path}:dir:${dir.path}`;
+  const dirPath = path.resolve(project.root, dir.path);
+  const description = [
+    dir.package,
+    dir.versionNumber,
+    dir.default ? "(default)" : null,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  return {
+    id,
+    label: dir.path,
+    description,
+    tooltip: dirPath,
+    icon: dir.default ? "root-folder" : "folder",
+    command: {
+      command: "revealInExplorer",
+      title: "Reveal in Explorer",
+      arguments: [vscode.Uri.file(dirPath)],
+    },
+    loadChildren: async () => [
+      ...packageNodes(id, dir),
+      ...inventoryNodes(
+        id,
+        await projectInventoryCore.getMetadataInventory(dirPath)
+      ),
+    ],
+  };
+}
+
+/**
+ * Build the package details of a package directory
+ * @param {string} id - Directory node id
+ * @param {Object} dir - `packageDirectories` entry
+ * @returns {Object[]}
+ */
+function packageNodes(id, dir) {
+  const dependencies = Array.isArray(dir.dependencies) ? dir.dependencies : [];
+  const details = [
+    ["Package", dir.package, "package"],
+    ["Version", dir.versionNumber, "versions"],
+    ["Version Name", dir.versionName, "tag"],
+    ["Ancestor", dir.ancestorVersion || dir.ancestorId, "history"],
+  ].filter(([, value]) => value);
+
+  return [
+    ...details.map(([label, value, icon]) => ({
+      id: `${id}:${label}`,
+      label,
+      description: String(value),
+      icon,
+    })),
+    ...(dependencies.length > 0
+      ? [
+          {
+            id: `${id}:dependencies`,
+            label: "Dependencies",
+            description: String(dependencies.length),
+            icon: "references",
+            children: dependencies.map((dependency, index) => ({
+              id: `${id}:dependency:${index}`,
+              label: String(dependency.package),
+              description: dependency.versionNumber,
+              icon: "package",
+            })),
+          },
+        ]
+      : []),
+  ];
+}
+
+/**
+ * Build one node per metadata type, listing its files
+ * @param {string} id - Directory node id
+ * @param {{id: string, name: string, files: string[]}[]} inventory
+ * @returns {Object[]}
+ */
+function inventoryNodes(id, inventory) {
+  return inventory
+    .filter((type) => type.files.length > 0)
+    .map((type) => ({
+      id: `${id}:type:${type.id}`,
+      label: type.name,
+      description: String(type.files.length),
+      icon: TYPE_ICONS[type.id],
+      children: type.files.map((filePath) => ({
+        id: `${id}:file:${filePath}`,
+        label: path.basename(filePath),
+        tooltip: filePath,
+        resourceUri: vscode.Uri.file(filePath),
+        command: openCommand(filePath),
+      })),
+    }));
+}
+
+/**
+ * Command that opens a file in the editor
+ * @param {string} filePath
+ * @returns {vscode.Command}
+ */
+function openCommand(filePath) {
+  return {
+    command: "vscode.open",
+    title: "Open File",
+    arguments: [vscode.Uri.file(filePath)],
+  };
+}
@@ -0,0 +1,163 @@
+import * as vscode from "vscode";
+import * as os from "os";
+import * as environmentService from "../services/environment.js";
+import * as reporters from "../core/reporters.js";
+import * as packageGraphCore from "../core/package-graph.js";
+import * as ui from "../lib/ui.js";
+
+/**
+ * Environment report and package graph export command handlers
+ */
+
+const REPORT_FORMATS = [
+  {
+    label: "Markdown",
+    description: ".md - paste into issues and chat",
+    extension: "md",
+    render: reporters.formatMarkdown,
+  },
+  {
+    label: "JSON",
+    description: ".json - full results for tooling",
+    extension: "json",
+    render: reporters.formatJson,
+  },
+  {
+    label: "HTML",
+    description: ".html - standalone page",
+    extension: "html",
+    render: reporters.formatHtml,
+  },
+];
+
+const GRAPH_FORMATS = [
+  {
+    label: "Mermaid",
+    description: ".mmd - paste into Markdown design docs",
+    extension: "mmd",
+    render: packageGraphCore.toMermaid,
+  },
+  {
+    label: "DOT",
+    description: ".dot - render with Graphviz",
+    extension: "dot",
+    render: packageGraphCore.toDot,
+  },
+];
+
+/**
+ * Run a health check and export the full results as a report file
+ */
+export async function exportReport() {
+  const format = await ui.showQuickPick(REPORT_FORMATS, {
+    placeHolder: "Select report format",
+  });
+
+  if (!format) {
+    return;
+  }
+
+  const results = await environmentService.runHealthCheck(true);
+  const content = format.render(results);
+
+  const folder =
+    vscode.workspace.workspaceFolders?.[0]?.uri ?? vscode.Uri.file(os.homedir());
+  const fileName = `sf-preflight-report-${results.timestamp.slice(0, 10)}.${format.extension}`;
+
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.joinPath(folder, fileName),
+    filters: { [format.label]: [format.extension] },
+    saveLabel: "Export Report",
+  });
+
+  if (!uri) {
+    return;
+  }
+
+  await vscode.workspace.fs.writeFile(uri, Buffer.from(content, "utf8"));
+
+  const action = await ui.showInfo(
+    `Environment report saved to ${uri.fsPath}`,
+    "Open",
+    "Copy to Clipboard"
+  );
+
+  if (action === "Open") {
+    if (format.extension === "html") {
+      vscode.env.openExternal(uri);
+    } else {
+      const doc = await vscode.workspace.openTextDocument(uri);
+      await vscode.window.showTextDocument(doc);
+    }
+  } else if (action === "Copy to Clipboard") {
+    await vscode.env.clipboard.writeText(content);
+    ui.showInfo("Report copied to clipboard!");
+  }
+}
+
+/**
+ * Export the package dependency graph of a project as Mermaid or DOT
+ * @param {{root: string}} [node] - Project Info node of the graph (asks for the project when omitted)
+ */
+export async function exportPackageGraph(node) {
+  const projects = await environmentService.getSalesforceProjects();
+  if (projects.length === 0) {
+    ui.showInfo(
+      "This is not a Salesforce DX project. No sfdx-project.json found."
+    );
+    return;
+  }
+
+  const project = node?.root
+    ? projects.find((candidate) => candidate.root === node.root)
+    : await environmentService.pickSalesforceProject(
+        projects,
+        "Select the project to export"
+      );
+  if (!project) {
+    return;
+  }
+
+  const format = await ui.showQuickPick(GRAPH_FORMATS, {
+    placeHolder: "Select graph format",
+  });
+  if (!format) {
+    return;
+  }
+
+  const graph = packageGraphCore.buildPackageGraph(project);
+  const content = format.render(graph);
+
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.joinPath(
+      vscode.Uri.file(project.root),
+      `package-graph.${format.extension}`
+    ),
+    filters: { [format.label]: [format.extension] },
+    saveLabel: "Export Graph",
+  });
+
+  if (!uri) {
+    return;
+  }
+
+  await vscode.workspace.fs.writeFile(uri, Buffer.from(content, "utf8"));
+
+  const problems =
+    graph.problems.length > 0
+      ? ` It has ${graph.problems.length} problem(s), listed in the Project Info view.`
+      : "";
+  const action = await ui.showInfo(
+    `Package graph saved to ${uri.fsPath}.${problems}`,
+    "Open",
+    "Copy to Clipboard"
+  );
+
+  if (action === "Open") {
+    const doc = await vscode.workspace.openTextDocument(uri);
+    await vscode.window.showTextDocument(doc);
+  } else if (action === "Copy to Clipboard") {
+    await vscode.env.clipboard.writeText(content);
+    ui.showInfo("Package graph copied to clipboard!");
+  }
+}
@@ -16,12 +16,19 @@ export const REQUIRED_PACKAGES = [
 ];
 
 /**
- * Required SF CLI plugins
+ * Packages or plugins accepted in place of a requirement (e.g. forks).
+ * Teams can override these per requirement with `alternatives` in the policy.
  */
-export const REQUIRED_SF_PLUGINS = [
-  "@salesforce/sfdx-scanner",
-  "code-analyzer",
-];
+export const ACCEPTED_ALTERNATIVES = {
+  "prettier-plugin-apex": ["@ilyamatsuev/prettier-plugin-apex"],
+};
+
+/**
+ * Required SF CLI plugins.
+ * Code Analyzer v5 replaces @salesforce/sfdx-scanner (v4); the codeAnalyzer
+ * check reports scanner installs that still need migrating.
+ */
+export const REQUIRED_SF_PLUGINS = ["code-analyzer"];
 
 /**
  * Global state keys used by the extension
@@ -32,13 +39,17 @@ export const STATE_KEYS = {
   ENV_CHECK_TIMESTAMP: `${EXTENSION_ID}.env-check-timestamp`,
   PACKAGES_CHECKED: `${EXTENSION_ID}.packages-checked`,
   SF_PLUGINS_CHECKED: `${EXTENSION_ID}.sf-plugins-checked`,
+  HEALTH_CHECK_CACHE: `${EXTENSION_ID}.health-check-cache`,
+  TERMINAL_ENVIRONMENT: `${EXTENSION_ID}.terminal-environment`,
 };
 
 /**
  * Time intervals (in milliseconds)
  */
 export const TIME_INTERVALS = {
-  RECHECK_AFTER_SUCCESS: 24 * 60 * 60 * 1000, // 24 hours
+  CACHE_VALIDITY: 24 * 60 * 60 * 1000, // default for sfPreflight.healthCheck.cacheHours
+  CHECK_TIMEOUT: 30 * 1000, // 30 seconds per health check
+  INSTALL_TIMEOUT: 10 * 60 * 1000, // 10 minutes per install command
 };
 
 /**
@@ -47,6 +58,47 @@ export const TIME_INTERVALS = {
 export const MIN_VERSIONS = {
   NODE: 18,
   JAVA: 11,
+  // API versions 21.0 to 30.0 were retired in Summer '25
+  API_VERSION: 31,
+};
+
+/**
+ * Java major versions supported by the Apex Language Server (LTS releases)
+ */
+export const SUPPORTED_JAVA_VERSIONS = [11, 17, 21];
+
+/**
+ * Team policy file looked up in each workspace folder root
+ */
+export const POLICY_FILE_NAME = ".sf-preflight.json";
+
+/**
+ * Policy levels for individual checks
+ * - mandatory: a failing check is reported as an issue
+ * - advisory: a failing check is reported as a warning
+ * - off: the check is skipped
+ */
+export const CHECK_LEVELS = {
+  MANDATORY: "mandatory",
+  ADVISORY: "advisory",
+  OFF: "off",
+};
+
+/**
+ * Default level for each check when the policy does not declare one
+ */
+export const DEFAULT_CHECK_LEVELS = {
+  node: CHECK_LEVELS.MANDATORY,
+  java: CHECK_LEVELS.ADVISORY,
+  salesforceCLI: CHECK_LEVELS.MANDATORY,
+  packages: CHECK_LEVELS.MANDATORY,
+  sfPlugins: CHECK_LEVELS.MANDATORY,
+  projectDependencies: CHECK_LEVELS.ADVISORY,
+  codeAnalyzer: CHECK_LEVELS.ADVISORY,
+  pathAnalysis: CHECK_LEVELS.ADVISORY,
+  shellEnvironment: CHECK_LEVELS.ADVISORY,
+  orgs: CHECK_LEVELS.ADVISORY,
+  apiVersions: CHECK_LEVELS.ADVISORY,
 };
 
 /**
@@ -58,4 +110,12 @@ export const EXTERNAL_URLS = {
   JAVA_DOWNLOAD: "https://www.oracle.com/java/technologies/downloads/",
   NODE_DOWNLOAD: "https://nodejs.org/",
   SALESFORCE_CLI: "https://developer.salesforce.com/tools/salesforcecli",
+  SALESFORCE_CLI_MOVE_FROM_SFDX:
+    "https://developer.salesforce.com/docs/atlas.en-us.sfdx_setup.meta/sfdx_setup/sfdx_setup_move_to_sf_v2.htm",
+  CODE_ANALYZER_MIGRATION:
+    "https://developer.salesforce.com/docs/platform/salesforce-code-analyzer/guide/migrate.html",
+  ORG_AUTHORIZATION:
+    "https://developer.salesforce.com/docs/atlas.en-us.sfdx_dev.meta/sfdx_dev/sfdx_dev_auth.htm",
+  SFDX_PROJECT_CONFIG:
+    "https://developer.salesforce.com/docs/atlas.en-us.sfdx_dev.meta/sfdx_dev/sfdx_dev_ws_config.htm",
 };
@@ -0,0 +1,305 @@
+/**
+ * Minimal JSON parser that keeps source offsets
+ * Builds a syntax tree where every node knows where it starts and ends, so
+ * problems in a JSON file can point at the exact key or value.
+ */
+
+/**
+ * @typedef {Object} JsonNode
+ * @property {'object' | 'array' | 'string' | 'number' | 'boolean' | 'null'} type
+ * @property {number} offset - Start offset in the text
+ * @property {number} length - Length in the text
+ * @property {*} [value] - Value of primitive nodes
+ * @property {{key: JsonNode, value: JsonNode}[]} [properties] - Object members
+ * @property {JsonNode[]} [items] - Array items
+ */
+
+/**
+ * Parse JSON text into a syntax tree
+ * @param {string} text
+ * @returns {{root: JsonNode | null, error?: {message: string, offset: number}}}
+ */
+export function parseTree(text) {
+  const parser = { text, pos: 0 };
+  try {
+    skipWhitespace(parser);
+    const root = parseValue(parser);
+    skipWhitespace(parser);
+    if (parser.pos < text.length) {
+      fail(parser, "Unexpected content after the end of the JSON value");
+    }
+    return { root };
+  } catch (error) {
+    if (error.offset === undefined) {
+      throw error;
+    }
+    return {
+      root: null,
+      error: { message: error.message, offset: error.offset },
+    };
+  }
+}
+
+/**
+ * Find an object property by name
+ * @param {JsonNode | null} node - Object node
+ * @param {string} name
+ * @returns {{key: JsonNode, value: JsonNode} | null}
+ */
+export function findProperty(node, name) {
+  if (!node || node.type !== "object") {
+    return null;
+  }
+  return (
+    node.properties.find((property) => property.key.value === name) || null
+  );
+}
+
+/**
+ * Convert a node into the plain JavaScript value it represents
+ * @param {JsonNode} node
+ * @returns {*}
+ */
+export function getNodeValue(node) {
+  switch (node.type) {
+    case "object":
+      return Object.fromEntries(
+        node.properties.map((property) => [
+          property.key.value,
+          getNodeValue(property.value),
+        ])
+      );
+    case "array":
+      return node.items.map(getNodeValue);
+    default:
+      return node.value;
+  }
+}
+
+/**
+ * Convert an offset into a zero-based line and character
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, character: number}}
+ */
+export function getPosition(text, offset) {
+  const before = text.slice(0, offset).split(/\r?\n/);
+  return {
+    line: before.length - 1,
+    character: before[before.length - 1].length,
+  };
+}
+
+/**
+ * Get the zero-based range covered by a node
+ * @param {string} text
+ * @param {JsonNode} node
+ * @returns {{start: {line: number, character: number}, end: {line: number, character: number}}}
+ */
+export function getRange(text, node) {
+  return {
+    start: getPosition(text, node.offset),
+    end: getPosition(text, node.offset + node.length),
+  };
+}
+
+/**
+ * Parse the value at the current position
+ * @param {Object} parser
+ * @returns {JsonNode}
+ */
+function parseValue(parser) {
+  const char = parser.text[parser.pos];
+  if (char === "{") {
+    return parseObject(parser);
+  }
+  if (char === "[") {
+    return parseArray(parser);
+  }
+  if (char === '"') {
+    return parseString(parser);
+  }
+  if (char === "-" || (char >= "0" && char <= "9")) {
+    return parseNumber(parser);
+  }
+  for (const [word, value] of [
+    ["true", true],
+    ["false", false],
+    ["null", null],
+  ]) {
+    if (parser.text.startsWith(word, parser.pos)) {
+      const offset = parser.pos;
+      parser.pos += word.length;
+      return {
+        type: value === null ? "null" : "boolean",
+        offset,
+        length: word.length,
+        value,
+      };
+    }
+  }
+  return fail(
+    parser,
+    char === undefined ? "Unexpected end of file" : `Unexpected "${char}"`
+  );
+}
+
+/**
+ * @param {Object} parser
+ * @returns {JsonNode}
+ */
+function parseObject(parser) {
+  const offset = parser.pos;
+  const properties = [];
+  parser.pos += 1;
+  skipWhitespace(parser);
+
+  if (parser.text[parser.pos] === "}") {
+    parser.pos += 1;
+    return { type: "object", offset, length: parser.pos - offset, properties };
+  }
+
+  for (;;) {
+    if (parser.text[parser.pos] !== '"') {
+      fail(parser, "Expected a property name in double quotes");
+    }
+    const key = parseString(parser);
+    skipWhitespace(parser);
+    expect(parser, ":");
+    skipWhitespace(parser);
+    properties.push({ key, value: parseValue(parser) });
+    skipWhitespace(parser);
+
+    if (parser.text[parser.pos] === ",") {
+      parser.pos += 1;
+      skipWhitespace(parser);
+      if (parser.text[parser.pos] === "}") {
+        fail(parser, "Trailing comma");
+      }
+      continue;
+    }
+    expect(parser, "}");
+    return { type: "object", offset, length: parser.pos - offset, properties };
+  }
+}
+
+/**
+ * @param {Object} parser
+ * @returns {JsonNode}
+ */
+function parseArray(parser) {
+  const offset = parser.pos;
+  const items = [];
+  parser.pos += 1;
+  skipWhitespace(parser);
+
+  if (parser.text[parser.pos] === "]") {
+    parser.pos += 1;
+    return { type: "array", offset, length: parser.pos - offset, items };
+  }
+
+  for (;;) {
+    items.push(parseValue(parser));
+    skipWhitespace(parser);
+
+    if (parser.text[parser.pos] === ",") {
+      parser.pos += 1;
+      skipWhitespace(parser);
+      if (parser.text[parser.pos] === "]") {
+        fail(parser, "Trailing comma");
+      }
+      continue;
+    }
+    expect(parser, "]");
+    return { type: "array", offset, length: parser.pos - offset, items };
+  }
+}
+
+/**
+ * @param {Object} parser
+ * @returns {JsonNode}
+ */
+function parseString(parser) {
+  const offset = parser.pos;
+  const match = matchAt(parser, /"(?:[^"\\\n]|\\.)*"/y);
+  if (!match) {
+    fail(parser, "Unterminated string");
+  }
+  // JSON.parse rejects bad escapes and control characters
+  let value;
+  try {
+    value = JSON.parse(match[0]);
+  } catch {
+    fail(parser, "Invalid string");
+  }
+  parser.pos += match[0].length;
+  return { type: "string", offset, length: match[0].length, value };
+}
+
+/**
+ * @param {Object} parser
+ * @returns {JsonNode}
+ */
+function parseNumber(parser) {
+  const offset = parser.pos;
+  const match = matchAt(parser, /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y);
+  if (!match) {
+    fail(parser, "Invalid number");
+  }
+  parser.pos += match[0].length;
+  return {
+    type: "number",
+    offset,
+    length: match[0].length,
+    value: Number(match[0]),
+  };
+}
+
+/**
+ * Match a sticky pattern at the current position
+ * @param {Object} parser
+ * @param {RegExp} pattern - Pattern with the `y` flag
+ * @returns {RegExpExecArray | null}
+ */
+function matchAt(parser, pattern) {
+  pattern.lastIndex = parser.pos;
+  return pattern.exec(parser.text);
+}
+
+/**
+ * Skip whitespace between tokens
+ * @param {Object} parser
+ */
+function skipWhitespace(parser) {
+  while (/[ \t\r\n]/.test(parser.text[parser.pos] || "")) {
+    parser.pos += 1;
+  }
+}
+
+/**
+ * Consume an expected character
+ * @param {Object} parser
+ * @param {string} char
+ */
+function expect(parser, char) {
+  if (parser.text[parser.pos] !== char) {
+    fail(
+      parser,
+      parser.pos >= parser.text.length
+        ? `Expected "${char}" but reached the end of file`
+        : `Expected "${char}"`
+    );
+  }
+  parser.pos += 1;
+}
+
+/**
+ * Stop parsing with an error at the current position
+ * @param {Object} parser
+ * @param {string} message
+ */
+function fail(parser, message) {
+  const error = new Error(message);
+  error.offset = parser.pos;
+  throw error;
+}
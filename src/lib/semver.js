@@ -0,0 +1,273 @@
+/**
+ * Minimal semantic version helpers
+ * Supports the range syntax used in policy files: exact versions, comparators
+ * (>=, >, <=, <, =), caret, tilde, x-ranges, hyphen ranges and `||` unions.
+ */
+
+/** major[.minor[.patch]][-prerelease], anything after is ignored */
+const VERSION_PATTERN =
+  /^[v=\s]*(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?/;
+
+/**
+ * Parse a version string leniently ("v18.2.0", "21", "1.8.0_292", "17.0.9+9").
+ * Only a `-` suffix is a prerelease tag; Java update numbers and build
+ * metadata are ignored.
+ * @param {string} version
+ * @returns {{major: number, minor: number, patch: number, prerelease: string} | null}
+ */
+export function parse(version) {
+  if (version === undefined || version === null) {
+    return null;
+  }
+  const match = String(version).trim().match(VERSION_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2] || "0", 10),
+    patch: parseInt(match[3] || "0", 10),
+    prerelease: match[4] || "",
+  };
+}
+
+/**
+ * Normalize a version to "major.minor.patch"
+ * @param {string} version
+ * @returns {string | null}
+ */
+export function coerce(version) {
+  const parsed = parse(version);
+  return parsed ? `${parsed.major}.${parsed.minor}.${parsed.patch}` : null;
+}
+
+/**
+ * Compare two versions; a prerelease sorts below its release
+ * ("5.0.0-beta.1" < "5.0.0")
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compare(a, b) {
+  const left = parse(a);
+  const right = parse(b);
+  if (!left || !right) {
+    return 0;
+  }
+  return (
+    left.major - right.major ||
+    left.minor - right.minor ||
+    left.patch - right.patch ||
+    comparePrerelease(left.prerelease, right.prerelease)
+  );
+}
+
+/**
+ * Compare prerelease tags the semver way: no tag is higher than any tag,
+ * numeric identifiers compare as numbers and sort below alphanumeric ones
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function comparePrerelease(a, b) {
+  if (!a || !b) {
+    return (a ? -1 : 0) + (b ? 1 : 0);
+  }
+  const left = a.split(".");
+  const right = b.split(".");
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const leftNumeric = /^\d+$/.test(left[i]);
+    const rightNumeric = /^\d+$/.test(right[i]);
+    if (leftNumeric && rightNumeric) {
+      const diff = parseInt(left[i], 10) - parseInt(right[i], 10);
+      if (diff !== 0) {
+        return diff;
+      }
+    } else if (leftNumeric !== rightNumeric) {
+      return leftNumeric ? -1 : 1;
+    } else if (left[i] !== right[i]) {
+      return left[i] < right[i] ? -1 : 1;
+    }
+  }
+  return left.length - right.length;
+}
+
+/**
+ * Check whether version a is greater than or equal to version b
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function gte(a, b) {
+  return compare(a, b) >= 0;
+}
+
+/**
+ * Check whether a version satisfies a range
+ * @param {string} version
+ * @param {string} [range] - Defaults to "*" (any version)
+ * @returns {boolean}
+ */
+export function satisfies(version, range = "*") {
+  if (!parse(version)) {
+    return false;
+  }
+  return String(range)
+    .split("||")
+    .some((set) => toComparators(set).every((cmp) => test(version, cmp)));
+}
+
+/**
+ * Expand a single range set (no `||`) into primitive comparators
+ * @param {string} set
+ * @returns {{op: string, version: string}[]}
+ */
+function toComparators(set) {
+  const trimmed = set.trim();
+  const hyphen = trimmed.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    return [
+      { op: ">=", version: fill(hyphen[1]) },
+      ...upperBound(hyphen[2], "<="),
+    ];
+  }
+
+  return trimmed
+    .replace(/(>=|<=|>|<|=|\^|~)\s+/g, "$1")
+    .split(/\s+/)
+    .filter(Boolean)
+    .flatMap(expand);
+}
+
+/**
+ * Expand one range token into primitive comparators
+ * @param {string} token
+ * @returns {{op: string, version: string}[]}
+ */
+function expand(token) {
+  const match = token.match(/^(>=|<=|>|<|=|\^|~)?v?(.*)$/);
+  const op = match[1] || "";
+  const body = match[2];
+
+  if (body === "" || body === "*" || /^[xX*]/.test(body)) {
+    return [];
+  }
+
+  const parts = body.split(/[.+-]/);
+  const isWild = (part) => part === undefined || /^[xX*]$/.test(part);
+  const major = parseInt(parts[0], 10);
+  const minor = isWild(parts[1]) ? null : parseInt(parts[1], 10);
+  const patch = isWild(parts[2]) ? null : parseInt(parts[2], 10);
+  const prerelease = patch === null ? "" : parse(body)?.prerelease;
+  const suffix = prerelease ? `-${prerelease}` : "";
+  const lower = `${major}.${minor ?? 0}.${patch ?? 0}${suffix}`;
+
+  if (op === "^") {
+    if (major > 0 || minor === null) {
+      return [
+        { op: ">=", version: lower },
+        { op: "<", version: `${major + 1}.0.0` },
+      ];
+    }
+    if (minor > 0 || patch === null) {
+      return [
+        { op: ">=", version: lower },
+        { op: "<", version: `0.${minor + 1}.0` },
+      ];
+    }
+    return [{ op: "=", version: lower }];
+  }
+
+  if (op === "~") {
+    return [
+      { op: ">=", version: lower },
+      minor === null
+        ? { op: "<", version: `${major + 1}.0.0` }
+        : { op: "<", version: `${major}.${minor + 1}.0` },
+    ];
+  }
+
+  if (op === "" || op === "=") {
+    if (minor === null) {
+      return [
+        { op: ">=", version: lower },
+        { op: "<", version: `${major + 1}.0.0` },
+      ];
+    }
+    if (patch === null) {
+      return [
+        { op: ">=", version: lower },
+        { op: "<", version: `${major}.${minor + 1}.0` },
+      ];
+    }
+    return [{ op: "=", version: lower }];
+  }
+
+  if ((op === "<=" || op === ">") && (minor === null || patch === null)) {
+    return op === "<="
+      ? upperBound(body, "<=")
+      : [{ op: ">=", version: bump(major, minor) }];
+  }
+
+  return [{ op, version: lower }];
+}
+
+/**
+ * Upper bound for a possibly partial version ("2" -> "<3.0.0")
+ * @param {string} version
+ * @param {string} op - Operator to use when the version is complete
+ * @returns {{op: string, version: string}[]}
+ */
+function upperBound(version, op) {
+  const parts = version.replace(/^v/, "").split(".");
+  const major = parseInt(parts[0], 10);
+  const minor =
+    parts[1] === undefined || /^[xX*]$/.test(parts[1])
+      ? null
+      : parseInt(parts[1], 10);
+  if (minor === null || parts[2] === undefined || /^[xX*]$/.test(parts[2])) {
+    return [{ op: "<", version: bump(major, minor) }];
+  }
+  return [{ op, version: fill(version) }];
+}
+
+/**
+ * Next version after a partial version ("1" -> "2.0.0", "1.2" -> "1.3.0")
+ * @param {number} major
+ * @param {number | null} minor
+ * @returns {string}
+ */
+function bump(major, minor) {
+  return minor === null ? `${major + 1}.0.0` : `${major}.${minor + 1}.0`;
+}
+
+/**
+ * Fill missing version parts with zeros
+ * @param {string} version
+ * @returns {string}
+ */
+function fill(version) {
+  return coerce(version.replace(/[xX*]/g, "0")) || "0.0.0";
+}
+
+/**
+ * Test a version against a primitive comparator
+ * @param {string} version
+ * @param {{op: string, version: string}} comparator
+ * @returns {boolean}
+ */
+function test(version, { op, version: target }) {
+  const result = compare(version, target);
+  switch (op) {
+    case ">=":
+      return result >= 0;
+    case ">":
+      return result > 0;
+    case "<=":
+      return result <= 0;
+    case "<":
+      return result < 0;
+    default:
+      return result === 0;
+  }
+}
@@ -1,44 +1,213 @@
-import { exec } from "child_process";
-import { promisify } from "util";
+import { execFile } from "child_process";
 
-const execAsync = promisify(exec);
+/**
+ * Process execution utilities
+ * Runs executables with argument arrays (no shell interpolation), timeouts,
+ * cancellation and environment control, and returns a structured result
+ * instead of throwing so callers can tell "not installed" from "broken".
+ */
+
+const DEFAULT_MAX_BUFFER = 16 * 1024 * 1024;
+const isWindows = process.platform === "win32";
+
+/** PATH executables are resolved on instead of the process PATH, if set */
+let searchPath = null;
+
+/**
+ * @typedef {'ok' | 'not-found' | 'exit' | 'timeout' | 'aborted' | 'error'} RunStatus
+ */
 
 /**
- * Shell command utilities
+ * @typedef {Object} RunResult
+ * @property {boolean} ok - True when the process exited with code 0
+ * @property {RunStatus} status - Outcome classification
+ * @property {number | null} exitCode - Process exit code (null if it never exited normally)
+ * @property {string} stdout - Trimmed standard output
+ * @property {string} stderr - Trimmed standard error
+ * @property {number} durationMs - Wall clock time
+ * @property {string} command - Command line, for messages and logs
+ * @property {string} [error] - Error description when not ok
  */
 
 /**
- * Execute a shell command and return stdout
- * @param {string} command - Command to execute
- * @returns {Promise<string>} - Command output (stdout)
- * @throws {Error} - If command fails
+ * Run an executable with an argument array
+ * @param {string} file - Executable name or path
+ * @param {string[]} [args] - Arguments, passed through without shell interpretation
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object<string, string>} [options.env] - Variables merged over process.env (and the search PATH)
+ * @param {boolean} [options.replaceEnv] - Use `env` as the complete environment
+ * @param {number} [options.timeout] - Kill the process after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Kill the process when aborted
+ * @param {number} [options.maxBuffer] - Maximum bytes of stdout/stderr
+ * @returns {Promise<RunResult>}
  */
-export async function execCommand(command) {
-  try {
-    const { stdout } = await execAsync(command);
-    return stdout.trim();
-  } catch (error) {
-    // Include stdout in error for npm list parsing
-    if (error.stdout) {
-      error.message = error.stdout;
-    }
-    throw error;
+export function run(file, args = [], options = {}) {
+  const {
+    cwd,
+    env,
+    replaceEnv = false,
+    timeout = 0,
+    signal,
+    maxBuffer = DEFAULT_MAX_BUFFER,
+  } = options;
+  const command = [file, ...args].join(" ");
+  const start = Date.now();
+
+  const execOptions = {
+    cwd,
+    env: replaceEnv ? env : { ...withSearchPath(process.env), ...env },
+    timeout,
+    signal,
+    maxBuffer,
+    windowsHide: true,
+  };
+
+  // npm, sf and friends are .cmd shims on Windows, which can only be started
+  // through cmd.exe; quote every argument so they are still passed verbatim.
+  const [spawnFile, spawnArgs] = isWindows
+    ? [quoteWindowsArg(file), args.map(quoteWindowsArg)]
+    : [file, args];
+  if (isWindows) {
+    execOptions.shell = true;
   }
+
+  return new Promise((resolve) => {
+    execFile(spawnFile, spawnArgs, execOptions, (error, stdout, stderr) => {
+      const result = {
+        ok: !error,
+        status: "ok",
+        exitCode: 0,
+        stdout: String(stdout || "").trim(),
+        stderr: String(stderr || "").trim(),
+        durationMs: Date.now() - start,
+        command,
+      };
+
+      if (error) {
+        Object.assign(result, classifyError(error, result, { timeout }));
+      }
+
+      resolve(result);
+    });
+  });
 }
 
 /**
- * Execute a shell command and return both stdout and stderr
- * @param {string} command - Command to execute
- * @returns {Promise<{stdout: string, stderr: string}>}
+ * Resolve and run executables on another PATH for the rest of the session.
+ * The process PATH stays as it is: the extension host shares it with other
+ * extensions.
+ * @param {string | null} pathValue - null goes back to the process PATH
  */
-export async function execCommandFull(command) {
-  try {
-    const { stdout, stderr } = await execAsync(command);
-    return { stdout: stdout.trim(), stderr: stderr.trim() };
-  } catch (error) {
+export function setSearchPath(pathValue) {
+  searchPath = pathValue;
+}
+
+/**
+ * Get the PATH executables are resolved on
+ * @returns {string}
+ */
+export function getSearchPath() {
+  return searchPath ?? (process.env.PATH || "");
+}
+
+/**
+ * Copy an environment with the search PATH, if one is set
+ * @param {Object<string, string>} env
+ * @returns {Object<string, string>}
+ */
+function withSearchPath(env) {
+  if (searchPath === null) {
+    return env;
+  }
+  // Windows environments name it "Path"; replace it rather than add a second
+  const key =
+    Object.keys(env).find((name) => name.toUpperCase() === "PATH") || "PATH";
+  return { ...env, [key]: searchPath };
+}
+
+/**
+ * Classify a child_process error
+ * @param {Error} error
+ * @param {RunResult} result - Partial result with stdout/stderr
+ * @param {Object} options
+ * @param {number} options.timeout
+ * @returns {{status: RunStatus, exitCode: number | null, error: string}}
+ */
+function classifyError(error, result, { timeout }) {
+  if (error.code === "ENOENT" || isWindowsNotFound(error, result)) {
     return {
-      stdout: error.stdout?.trim() || "",
-      stderr: error.stderr?.trim() || error.message,
+      status: "not-found",
+      exitCode: null,
+      error: `${result.command.split(" ")[0]} was not found on PATH`,
     };
   }
+
+  if (error.name === "AbortError" || error.code === "ABORT_ERR") {
+    return { status: "aborted", exitCode: null, error: "Cancelled" };
+  }
+
+  if (error.killed && timeout > 0 && result.durationMs >= timeout) {
+    return {
+      status: "timeout",
+      exitCode: null,
+      error: `${result.command} timed out after ${timeout / 1000}s`,
+    };
+  }
+
+  if (typeof error.code === "number") {
+    const detail = firstLine(result.stderr) || firstLine(result.stdout);
+    return {
+      status: "exit",
+      exitCode: error.code,
+      error: `${result.command} exited with code ${error.code}${detail ? `: ${detail}` : ""}`,
+    };
+  }
+
+  return { status: "error", exitCode: null, error: error.message };
+}
+
+/**
+ * cmd.exe reports a missing command as exit code 1 with a localized message;
+ * the English one is the only one we can reliably detect.
+ * @param {Error} error
+ * @param {RunResult} result
+ * @returns {boolean}
+ */
+function isWindowsNotFound(error, result) {
+  return (
+    isWindows &&
+    error.code === 1 &&
+    /is not recognized as an internal or external command/i.test(result.stderr)
+  );
+}
+
+/**
+ * Quote an argument for cmd.exe
+ * @param {string} arg
+ * @returns {string}
+ */
+function quoteWindowsArg(arg) {
+  if (/^[\w\-.:\\/@=]+$/.test(arg)) {
+    return arg;
+  }
+  return `"${String(arg).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Get the first non-empty line of a string
+ * @param {string} text
+ * @returns {string}
+ */
+function firstLine(text) {
+  return (text || "").split(/\r?\n/).find((line) => line.trim()) || "";
+}
+
+/**
+ * Combined stdout and stderr, for tools that write to either (e.g. `java -version`)
+ * @param {RunResult} result
+ * @returns {string}
+ */
+export function output(result) {
+  return [result.stdout, result.stderr].filter(Boolean).join("\n");
 }
@@ -58,10 +58,11 @@ export class Provisioner {
 
   /**
    * Execute the provisioning logic
+   * @param {vscode.Uri} rootUri - Salesforce DX project folder to provision
    * @param {boolean} force - If true, overwrite existing files
-   * @returns {Promise<string[]>} - List of created/updated files
+   * @returns {Promise<string[]>} - List of created/updated files, relative to the workspace
    */
-  async execute(_force = false) {
+  async execute(_rootUri, _force = false) {
     throw new Error("Method 'execute()' must be implemented.");
   }
 }
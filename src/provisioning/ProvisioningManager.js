@@ -1,6 +1,7 @@
 
 
 import * as vscode from "vscode";
+import * as projectCore from "../core/project.js";
 
 /**
  * Manages the lifecycle and execution of all provisioners
@@ -29,8 +30,11 @@ export class ProvisioningManager {
    * Run all enabled provisioners with force flag
    */
   async runForce() {
+    const roots = await this.getProjectRoots();
+    const scope =
+      roots.length > 1 ? ` in all ${roots.length} Salesforce DX projects` : "";
     const answer = await vscode.window.showWarningMessage(
-      "Are you sure you want to force re-provisioning? This will overwrite your configuration files (.prettierrc, .editorconfig, etc.) with the standard templates. Any custom changes in these files will be lost.",
+      `Are you sure you want to force re-provisioning? This will overwrite your configuration files (.prettierrc, .editorconfig, etc.)${scope} with the standard templates. Any custom changes in these files will be lost.`,
       "Yes, Overwrite",
       "Cancel"
     );
@@ -48,31 +52,50 @@ export class ProvisioningManager {
     await this.runProvisioning({ force: false });
   }
 
+  /**
+   * Find the folders to provision: every Salesforce DX project of the
+   * workspace, including nested ones (e.g. `packages/*` in a monorepo)
+   * @returns {Promise<vscode.Uri[]>}
+   */
+  async getProjectRoots() {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const roots = await projectCore.findSalesforceProjectRoots(
+      folders.map((folder) => folder.uri.fsPath)
+    );
+    return roots.map((root) => vscode.Uri.file(root));
+  }
+
   /**
    * Internal execution logic
    * @param {Object} options
    * @param {boolean} options.force
    */
   async runProvisioning({ force }) {
-    const allCreatedFiles = [];
+    const roots = await this.getProjectRoots();
+    // Projects nested in one workspace folder share its .vscode/settings.json
+    const createdFiles = new Set();
 
     for (const provisioner of this.provisioners) {
-      try {
-        if (provisioner.isEnabled()) {
-          console.log(`SF Preflight: Running ${provisioner.getName()} (Force: ${force})...`);
-          const created = await provisioner.execute(force);
+      if (!provisioner.isEnabled()) {
+        continue;
+      }
+      for (const rootUri of roots) {
+        try {
+          console.log(`SF Preflight: Running ${provisioner.getName()} in ${rootUri.fsPath} (Force: ${force})...`);
+          const created = await provisioner.execute(rootUri, force);
           if (created && Array.isArray(created)) {
-            allCreatedFiles.push(...created);
+            created.forEach((file) => createdFiles.add(file));
           }
+        } catch (error) {
+          console.error(
+            `SF Preflight: Error running ${provisioner.getName()} in ${rootUri.fsPath}:`,
+            error
+          );
         }
-      } catch (error) {
-        console.error(
-          `SF Preflight: Error running ${provisioner.getName()}:`,
-          error
-        );
       }
     }
 
+    const allCreatedFiles = [...createdFiles];
     if (allCreatedFiles.length > 0) {
       const action = force ? "Re-provisioned" : "Provisioned";
       const message = `SF Preflight: ${action} ${allCreatedFiles.length} files (${allCreatedFiles.join(
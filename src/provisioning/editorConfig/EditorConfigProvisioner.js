@@ -11,11 +11,7 @@ export class EditorConfigProvisioner extends Provisioner {
     return "provisioning.editorConfig";
   }
 
-  async execute(force = false) {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders) return [];
-    const rootUri = workspaceFolders[0].uri;
-
+  async execute(rootUri, force = false) {
     const uri = vscode.Uri.joinPath(rootUri, ".editorconfig");
 
     let create = force;
@@ -36,7 +32,7 @@ export class EditorConfigProvisioner extends Provisioner {
 
       const writeData = Buffer.from(template.trim(), "utf8");
       await vscode.workspace.fs.writeFile(uri, writeData);
-      return [".editorconfig"];
+      return [vscode.workspace.asRelativePath(uri)];
     }
     return [];
   }
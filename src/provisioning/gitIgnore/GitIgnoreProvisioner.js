@@ -14,24 +14,14 @@ export class GitIgnoreProvisioner extends Provisioner {
     return "provisioning.gitIgnore"; // Maps to sfPreflight.provisioning.gitIgnore
   }
 
-  async execute(force = false) {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders || workspaceFolders.length === 0) {
-      // If no workspace folders are open, or if the array is empty, we can't determine a root.
-      // This scenario should ideally be handled by the calling context or be impossible
-      // given how VS Code extensions typically operate within a workspace.
-      console.log("SF Preflight: No workspace folders found. Skipping .gitignore provisioning.");
-      return [];
-    }
-
-    const rootUri = workspaceFolders[0].uri;
+  async execute(rootUri, force = false) {
     const gitIgnoreUri = vscode.Uri.joinPath(rootUri, ".gitignore");
 
     let create = force;
     if (!create) {
       try {
         await vscode.workspace.fs.stat(gitIgnoreUri);
-        console.log("SF Preflight: .gitignore already exists. Skipping.");
+        console.log(`SF Preflight: ${gitIgnoreUri.fsPath} already exists. Skipping.`);
         return [];
       } catch {
         create = true;
@@ -41,7 +31,7 @@ export class GitIgnoreProvisioner extends Provisioner {
     if (create) {
       const writeData = Buffer.from(STANDARD_GITIGNORE_CONTENT.trim(), "utf8");
       await vscode.workspace.fs.writeFile(gitIgnoreUri, writeData);
-      return [".gitignore"];
+      return [vscode.workspace.asRelativePath(gitIgnoreUri)];
     }
     return [];
   }
@@ -14,8 +14,7 @@ export class PrettierProvisioner extends Provisioner {
     return "provisioning.prettier";
   }
 
-  async execute(force = false) {
-    const rootUri = vscode.workspace.workspaceFolders[0].uri;
+  async execute(rootUri, force = false) {
     const createdFiles = [];
 
     // 1. .prettierrc
@@ -42,7 +41,7 @@ export class PrettierProvisioner extends Provisioner {
         "utf8"
       );
       await vscode.workspace.fs.writeFile(rcUri, writeData);
-      createdFiles.push(".prettierrc");
+      createdFiles.push(vscode.workspace.asRelativePath(rcUri));
     }
 
     // 2. .prettierignore
@@ -65,7 +64,7 @@ export class PrettierProvisioner extends Provisioner {
 
       const writeData = Buffer.from(template.trim(), "utf8");
       await vscode.workspace.fs.writeFile(ignoreUri, writeData);
-      createdFiles.push(".prettierignore");
+      createdFiles.push(vscode.workspace.asRelativePath(ignoreUri));
     }
     
     return createdFiles;
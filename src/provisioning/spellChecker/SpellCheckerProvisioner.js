@@ -14,13 +14,7 @@ export class SpellCheckerProvisioner extends Provisioner {
     return "provisioning.spellChecker"; // Maps to sfPreflight.provisioning.spellChecker
   }
 
-  async execute(force = false) {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders) {
-      return [];
-    }
-
-    const rootUri = workspaceFolders[0].uri;
+  async execute(rootUri, force = false) {
     const createdFiles = [];
 
     // 1. Define paths
@@ -78,7 +72,7 @@ export class SpellCheckerProvisioner extends Provisioner {
         "utf8"
       );
       await vscode.workspace.fs.writeFile(configUri, writeData);
-      createdFiles.push("cspell.json");
+      createdFiles.push(vscode.workspace.asRelativePath(configUri));
     }
 
     // 3. Check and Create Dictionary
@@ -105,5 +99,7 @@ export class SpellCheckerProvisioner extends Provisioner {
         "SF Preflight: Created Salesforce specific dictionary."
       );
     }
+
+    return createdFiles;
   }
 }
@@ -11,12 +11,13 @@ export class VsCodeSettingsProvisioner extends Provisioner {
     return "provisioning.vscodeSettings";
   }
 
-  async execute() {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders) return;
-    const rootUri = workspaceFolders[0].uri;
+  async execute(rootUri, force = false) {
+    // VS Code only reads settings.json at the root of a workspace folder, so
+    // nested projects share the settings of their folder
+    const folder = vscode.workspace.getWorkspaceFolder(rootUri);
+    const settingsRootUri = folder ? folder.uri : rootUri;
 
-    const vscodeDir = vscode.Uri.joinPath(rootUri, ".vscode");
+    const vscodeDir = vscode.Uri.joinPath(settingsRootUri, ".vscode");
 
     try {
       // Ensure .vscode directory exists
@@ -26,7 +27,7 @@ export class VsCodeSettingsProvisioner extends Provisioner {
          // ignore
       }
 
-      const settingsUri = vscode.Uri.joinPath(rootUri, ".vscode", "settings.json");
+      const settingsUri = vscode.Uri.joinPath(settingsRootUri, ".vscode", "settings.json");
       
       let create = force;
       if (!create) {
@@ -52,7 +53,7 @@ export class VsCodeSettingsProvisioner extends Provisioner {
           "utf8"
         );
         await vscode.workspace.fs.writeFile(settingsUri, writeData);
-        return [".vscode/settings.json"];
+        return [vscode.workspace.asRelativePath(settingsUri)];
       }
     } catch (error) {
       console.error("Error creating VS Code settings:", error);
@@ -1,16 +1,29 @@
 import * as vscode from "vscode";
 import * as path from "path";
-import fs from "fs/promises";
 import {
   EXTENSION_NAME,
-  MIN_VERSIONS,
   EXTERNAL_URLS,
   STATE_KEYS,
+  TIME_INTERVALS,
 } from "../lib/constants.js";
+import * as logger from "../lib/logger.js";
 import * as shell from "../lib/shell.js";
 import * as ui from "../lib/ui.js";
+import * as apiVersionsCore from "../core/api-versions.js";
+import * as cacheCore from "../core/cache.js";
+import * as healthCheckCore from "../core/health-check.js";
+import * as javaCore from "../core/java.js";
+import * as nodeCore from "../core/node.js";
+import * as nodeVersionsCore from "../core/node-versions.js";
+import * as orgsCore from "../core/orgs.js";
+import * as pathAnalysisCore from "../core/path-analysis.js";
+import * as policyCore from "../core/policy.js";
+import * as projectCore from "../core/project.js";
+import * as sfCliCore from "../core/sf-cli.js";
+import * as shellEnvCore from "../core/shell-env.js";
 import * as packagesService from "./packages.js";
 import * as sfPluginsService from "./sf-plugins.js";
+import * as terminalEnvironmentService from "./terminal-environment.js";
 
 /**
  * Environment checking service
@@ -18,137 +31,77 @@ import * as sfPluginsService from "./sf-plugins.js";
  */
 
 // ============================================================================
-// Java Checks
+// Policy
 // ============================================================================
 
 /**
- * Check if Java is installed and get version
- * @returns {Promise<{installed: boolean, version?: string, majorVersion?: number, valid: boolean, path?: string, error?: string}>}
+ * Load the preflight policy for the open workspace folders
+ * @returns {Promise<Object>}
  */
-export async function checkJava() {
-  try {
-    const { stdout } = await shell.execCommandFull("java -version 2>&1");
-    const versionMatch = stdout.match(/version "(.+?)"/);
-    if (versionMatch) {
-      const version = versionMatch[1];
-      const majorVersion = parseInt(version.split(".")[0]);
-      return {
-        installed: true,
-        version,
-        majorVersion,
-        valid: majorVersion >= MIN_VERSIONS.JAVA,
-        path: await getJavaPath(),
-      };
-    }
-    return { installed: false, valid: false };
-  } catch (error) {
-    return { installed: false, valid: false, error: error.message };
+export async function getWorkspacePolicy() {
+  const policy = await policyCore.loadPolicy(getWorkspaceRootPaths());
+
+  if (policy.error) {
+    logger.warn(`Invalid preflight policy, using defaults. ${policy.error}`);
   }
+  for (const warning of policy.warnings || []) {
+    logger.warn(`Preflight policy: ${warning}`);
+  }
+
+  return policy;
 }
 
+// ============================================================================
+// Java Checks
+// ============================================================================
+
 /**
- * Get Java installation path
- * @returns {Promise<string | null>}
+ * Check if Java is installed and get version
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @returns {Promise<Object>}
  */
-async function getJavaPath() {
-  try {
-    const isWindows = process.platform === "win32";
-    const command = isWindows ? "where java" : "which java";
-    const stdout = await shell.execCommand(command);
-    return stdout.split("\n")[0];
-  } catch {
-    return null;
-  }
+export async function checkJava(policy) {
+  return javaCore.checkJava(policy || (await getWorkspacePolicy()), {
+    javaHome: getJavaHomeSetting(),
+  });
 }
 
 /**
- * Find Java installations on the system
- * @returns {Promise<string[]>}
+ * Get the Java home configured for the Salesforce extensions
+ * @returns {string | undefined}
  */
-export async function findJavaInstallations() {
-  const installations = [];
-  const platform = process.platform;
-
-  try {
-    if (platform === "darwin") {
-      // macOS - check common locations
-      const { stdout } = await shell.execCommandFull(
-        "/usr/libexec/java_home -V 2>&1 || true"
-      );
-      const matches = stdout.matchAll(/^\s+(.+?)\s*$/gm);
-      for (const match of matches) {
-        if (match[1].includes("Java") || match[1].includes("jdk")) {
-          installations.push(match[1].trim());
-        }
-      }
-
-      try {
-        const javaHome = await shell.execCommand("/usr/libexec/java_home");
-        if (javaHome) {
-          installations.push(javaHome);
-        }
-      } catch {
-        // Ignore if not found
-      }
-    } else if (platform === "win32") {
-      // Windows - check Program Files
-      const programFiles = [
-        process.env["ProgramFiles"],
-        process.env["ProgramFiles(x86)"],
-      ];
-
-      for (const pf of programFiles) {
-        if (!pf) continue;
-        try {
-          const javaDir = path.join(pf, "Java");
-          const dirs = await fs.readdir(javaDir);
-          for (const dir of dirs) {
-            if (
-              dir.toLowerCase().includes("jdk") ||
-              dir.toLowerCase().includes("jre")
-            ) {
-              installations.push(path.join(javaDir, dir));
-            }
-          }
-        } catch {
-          // Directory doesn't exist
-        }
-      }
-    } else {
-      // Linux - check common locations
-      const commonPaths = [
-        "/usr/lib/jvm",
-        "/usr/java",
-        "/opt/jdk",
-        "/opt/java",
-      ];
-
-      for (const javaPath of commonPaths) {
-        try {
-          const dirs = await fs.readdir(javaPath);
-          for (const dir of dirs) {
-            installations.push(path.join(javaPath, dir));
-          }
-        } catch {
-          // Directory doesn't exist
-        }
-      }
-    }
-  } catch (error) {
-    console.error("Error finding Java installations:", error);
-  }
+export function getJavaHomeSetting() {
+  return (
+    vscode.workspace.getConfiguration().get(javaCore.JAVA_HOME_SETTING) ||
+    undefined
+  );
+}
 
-  return [...new Set(installations)]; // Remove duplicates
+/**
+ * Find and inspect Java installations on the system
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @returns {Promise<Object[]>}
+ */
+export async function findJavaInstallations(policy) {
+  return javaCore.findJavaInstallations(
+    policy || (await getWorkspacePolicy())
+  );
 }
 
 /**
- * Prompt user to update Java PATH
+ * Prompt user to pick a Java installation, then point the Salesforce
+ * extensions at it (`salesforcedx-vscode-apex.java.home`), inject it into the
+ * workspace terminals or show PATH instructions
  * @returns {Promise<boolean>}
  */
 export async function promptJavaPathUpdate() {
   const javaCheck = await checkJava();
 
-  if (javaCheck.installed && javaCheck.valid) {
+  if (
+    javaCheck.installed &&
+    javaCheck.valid &&
+    javaCheck.mismatches.length === 0
+  ) {
     return true;
   }
 
@@ -156,7 +109,7 @@ export async function promptJavaPathUpdate() {
 
   if (installations.length === 0) {
     const install = await vscode.window.showWarningMessage(
-      `${EXTENSION_NAME}: Java 11+ is not installed. Salesforce Apex Language Server requires Java 11 or higher.`,
+      `${EXTENSION_NAME}: Java ${javaCheck.minVersion}+ is not installed. Salesforce Apex Language Server requires Java ${javaCheck.minVersion} or higher.`,
       "Install Java",
       "Remind Me Later"
     );
@@ -167,23 +120,83 @@ export async function promptJavaPathUpdate() {
     return false;
   }
 
-  const options = installations.map((install) => ({
-    label: path.basename(install),
-    detail: install,
+  const options = installations.map((java) => ({
+    label: `${java.valid ? "$(pass)" : "$(warning)"} Java ${java.version}`,
+    description: [
+      java.vendor,
+      java.arch,
+      java.isJdk ? "JDK" : "JRE only",
+      java.valid ? null : "unsupported version",
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    detail: java.home,
+    version: java.version,
   }));
 
   const selected = await vscode.window.showQuickPick(options, {
-    placeHolder: "Select Java installation to add to your PATH",
+    placeHolder: "Select the Java installation to use for Salesforce development",
     ignoreFocusOut: true,
   });
 
-  if (selected) {
+  if (!selected) {
+    return false;
+  }
+
+  const action = await vscode.window.showInformationMessage(
+    `Use ${selected.detail} for the Apex Language Server?`,
+    "Set java.home",
+    "Use in Terminals",
+    "Show PATH Instructions"
+  );
+
+  if (action === "Set java.home") {
+    return setJavaHome(selected.detail);
+  }
+  if (action === "Use in Terminals") {
+    return terminalEnvironmentService.injectJava(
+      selected.detail,
+      selected.version
+    );
+  }
+  if (action === "Show PATH Instructions") {
     await showPathUpdateInstructions(selected.detail);
   }
 
   return false;
 }
 
+/**
+ * Write `salesforcedx-vscode-apex.java.home` in the user settings
+ * @param {string} javaHome - JDK home directory
+ * @returns {Promise<boolean>}
+ */
+async function setJavaHome(javaHome) {
+  try {
+    await vscode.workspace
+      .getConfiguration()
+      .update(
+        javaCore.JAVA_HOME_SETTING,
+        javaHome,
+        vscode.ConfigurationTarget.Global
+      );
+  } catch (error) {
+    ui.showError(
+      `Failed to update ${javaCore.JAVA_HOME_SETTING}: ${error.message}`
+    );
+    return false;
+  }
+
+  const action = await vscode.window.showInformationMessage(
+    `${javaCore.JAVA_HOME_SETTING} set to ${javaHome}. Reload the window so the Apex Language Server picks it up.`,
+    "Reload Window"
+  );
+  if (action === "Reload Window") {
+    await vscode.commands.executeCommand("workbench.action.reloadWindow");
+  }
+  return true;
+}
+
 /**
  * Show instructions to update PATH for Java
  * @param {string} javaPath
@@ -195,16 +208,10 @@ async function showPathUpdateInstructions(javaPath) {
   let instructions = "";
 
   if (platform === "darwin" || platform === "linux") {
-    const shell = process.env.SHELL || "/bin/bash";
-    const configFile = shell.includes("zsh")
-      ? "~/.zshrc"
-      : shell.includes("fish")
-        ? "~/.config/fish/config.fish"
-        : shell.includes("nu")
-          ? "~/.config/nushell/env.nu"
-          : "~/.bashrc";
-
-    if (shell.includes("nu")) {
+    const kind = shellEnvCore.getShellKind();
+    const configFile = shellEnvCore.getShellConfigFile(kind);
+
+    if (kind === "nushell") {
       instructions = `Add this to your ${configFile}:\n\n$env.JAVA_HOME = "${javaPath}"\n$env.PATH = ($env.PATH | prepend "${binPath}")\n\nThen restart your terminal or run: source ${configFile}`;
     } else {
       instructions = `Add this to your ${configFile}:\n\nexport JAVA_HOME="${javaPath}"\nexport PATH="$JAVA_HOME/bin:$PATH"\n\nThen restart your terminal or run: source ${configFile}`;
@@ -233,25 +240,14 @@ async function showPathUpdateInstructions(javaPath) {
 
 /**
  * Check Salesforce CLI installation and version
- * @returns {Promise<{installed: boolean, version?: string, output?: string, error?: string}>}
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @param {boolean} [checkUpdates] - Look up the latest release on the npm registry
+ * @returns {Promise<Object>}
  */
-export async function checkSalesforceCLI() {
-  try {
-    const stdout = await shell.execCommand("sf --version");
-    const versionMatch = stdout.match(/@salesforce\/cli\/(\d+\.\d+\.\d+)/);
-
-    if (versionMatch) {
-      return {
-        installed: true,
-        version: versionMatch[1],
-        output: stdout,
-      };
-    }
-
-    return { installed: true, version: "unknown", output: stdout };
-  } catch (error) {
-    return { installed: false, error: error.message };
-  }
+export async function checkSalesforceCLI(policy, checkUpdates = false) {
+  return sfCliCore.checkSalesforceCLI(policy || (await getWorkspacePolicy()), {
+    checkUpdates,
+  });
 }
 
 /**
@@ -278,8 +274,34 @@ export async function promptSalesforceCLIUpdate(cliCheck) {
     return false;
   }
 
+  if (cliCheck.legacySfdx) {
+    await promptLegacySfdxRemoval(cliCheck.legacySfdx);
+  }
+
+  // Health checks stay offline; look for a newer release only here
+  if (!cliCheck.updatesChecked) {
+    cliCheck = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Checking for Salesforce CLI updates...",
+      },
+      () => checkSalesforceCLI(undefined, true)
+    );
+    if (!cliCheck.installed) {
+      return false;
+    }
+  }
+
+  const updateCommand =
+    cliCheck.updateCommand ||
+    sfCliCore.getUpdateCommand(cliCheck.installMethod, cliCheck.channel);
+  const installedWith = `installed with ${sfCliCore.describeInstallMethod(cliCheck.installMethod || "unknown")}${cliCheck.channel ? `, ${cliCheck.channel} channel` : ""}`;
   const update = await vscode.window.showInformationMessage(
-    `${EXTENSION_NAME}: Salesforce CLI v${cliCheck.version} is installed. Check for updates?`,
+    cliCheck.valid === false
+      ? `${EXTENSION_NAME}: Salesforce CLI v${cliCheck.version} is installed (${installedWith}). Your team requires v${cliCheck.minVersion} or higher.`
+      : cliCheck.updateAvailable
+        ? `${EXTENSION_NAME}: Salesforce CLI v${cliCheck.latestVersion} is available (v${cliCheck.version} ${installedWith}). Update with \`${updateCommand}\`?`
+        : `${EXTENSION_NAME}: Salesforce CLI v${cliCheck.version} is installed (${installedWith}). Check for updates with \`${updateCommand}\`?`,
     "Update Now",
     "Check Version",
     "Later"
@@ -288,7 +310,7 @@ export async function promptSalesforceCLIUpdate(cliCheck) {
   if (update === "Update Now") {
     const terminal = vscode.window.createTerminal("SF CLI Update");
     terminal.show();
-    terminal.sendText("npm update -g @salesforce/cli");
+    terminal.sendText(updateCommand);
     return true;
   } else if (update === "Check Version") {
     const terminal = vscode.window.createTerminal("SF CLI Version");
@@ -300,29 +322,43 @@ export async function promptSalesforceCLIUpdate(cliCheck) {
   return true;
 }
 
+/**
+ * Warn that the legacy sfdx-cli v7 is installed next to `sf` and offer to
+ * remove it
+ * @param {{path: string, version: string}} legacySfdx
+ */
+async function promptLegacySfdxRemoval(legacySfdx) {
+  const removalCommand = sfCliCore.getLegacySfdxRemovalCommand(legacySfdx);
+  const choice = await vscode.window.showWarningMessage(
+    `${EXTENSION_NAME}: The legacy sfdx-cli v${legacySfdx.version} (${legacySfdx.path}) is installed alongside sf. It shadows the \`sfdx\` commands of sf v2 and should be uninstalled.`,
+    ...(removalCommand ? ["Uninstall sfdx-cli"] : ["Open Uninstall Guide"]),
+    "Later"
+  );
+
+  if (choice === "Uninstall sfdx-cli") {
+    const terminal = vscode.window.createTerminal("sfdx-cli Removal");
+    terminal.show();
+    terminal.sendText(removalCommand);
+  } else if (choice === "Open Uninstall Guide") {
+    vscode.env.openExternal(
+      vscode.Uri.parse(EXTERNAL_URLS.SALESFORCE_CLI_MOVE_FROM_SFDX)
+    );
+  }
+}
+
 // ============================================================================
 // Node.js Checks
 // ============================================================================
 
 /**
  * Check Node.js version
- * @returns {Promise<{installed: boolean, version?: string, majorVersion?: number, valid: boolean, error?: string}>}
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @returns {Promise<Object>}
  */
-export async function checkNodeJS() {
-  try {
-    const stdout = await shell.execCommand("node --version");
-    const version = stdout.replace("v", "");
-    const majorVersion = parseInt(version.split(".")[0]);
-
-    return {
-      installed: true,
-      version,
-      majorVersion,
-      valid: majorVersion >= MIN_VERSIONS.NODE,
-    };
-  } catch (error) {
-    return { installed: false, valid: false, error: error.message };
-  }
+export async function checkNodeJS(policy) {
+  return nodeCore.checkNodeJS(policy || (await getWorkspacePolicy()), {
+    rootPaths: getWorkspaceRootPaths(),
+  });
 }
 
 /**
@@ -344,14 +380,49 @@ export async function promptNodeJSUpdate(nodeCheck) {
     return false;
   }
 
-  if (!nodeCheck.valid) {
-    const upgrade = await vscode.window.showWarningMessage(
-      `${EXTENSION_NAME}: Node.js v${nodeCheck.version} is installed. Salesforce recommends Node.js v18 or higher.`,
-      "Download Latest",
-      "Continue Anyway"
+  const pin = (nodeCheck.pins || []).find(
+    (entry) => entry.satisfied === false
+  );
+  const manager = nodeCheck.manager || (nodeCheck.managers || [])[0]?.id;
+  const usePinned =
+    pin && manager
+      ? `Use Pinned Version (${nodeVersionsCore.getManagerName(manager)})`
+      : null;
+  // A version satisfying the pin may already be installed
+  const installed = pin
+    ? await nodeVersionsCore.findInstalledNodeForPin(pin.version)
+    : null;
+  const useInTerminals = installed
+    ? `Use ${installed.version} in Terminals`
+    : null;
+
+  if (!nodeCheck.valid || pin) {
+    const message = !nodeCheck.valid
+      ? `${EXTENSION_NAME}: Node.js v${nodeCheck.version} is installed. Salesforce recommends Node.js v${nodeCheck.minVersion} or higher.`
+      : `${EXTENSION_NAME}: Node.js v${nodeCheck.version} does not match ${pin.source} (${pin.version}).`;
+    const choice = await vscode.window.showWarningMessage(
+      message,
+      ...[
+        useInTerminals,
+        usePinned,
+        "Download Latest",
+        "Continue Anyway",
+      ].filter(Boolean)
     );
 
-    if (upgrade === "Download Latest") {
+    if (choice === useInTerminals) {
+      await terminalEnvironmentService.injectNode(
+        installed.bin,
+        installed.version,
+        nodeVersionsCore.getManagerName(installed.manager)
+      );
+      return false;
+    }
+    if (choice === usePinned) {
+      usePinnedNodeVersion(manager, pin);
+      return false;
+    }
+    if (choice === "Download Latest") {
       vscode.env.openExternal(vscode.Uri.parse(EXTERNAL_URLS.NODE_DOWNLOAD));
       return false;
     }
@@ -360,185 +431,902 @@ export async function promptNodeJSUpdate(nodeCheck) {
   return true;
 }
 
+/**
+ * Switch to the pinned Node.js version through a version manager, in a
+ * terminal opened in the folder that pins it
+ * @param {string} manager - Version manager id
+ * @param {{source: string, file: string, version: string}} pin
+ */
+function usePinnedNodeVersion(manager, pin) {
+  const version = nodeVersionsCore.getInstallableVersion(pin.version);
+  const terminal = vscode.window.createTerminal({
+    name: "Node.js Version",
+    cwd: path.dirname(pin.file),
+  });
+  terminal.show();
+  terminal.sendText(nodeVersionsCore.getUseCommand(manager, version));
+  ui.showInfo(
+    `Activating Node.js ${version} in the terminal. Restart VS Code afterwards so the extension uses it too.`
+  );
+}
+
 // ============================================================================
-// Project Checks
+// PATH Analysis
 // ============================================================================
 
 /**
- * Check if current workspace is a Salesforce DX project
- * @returns {Promise<boolean>}
+ * List every sf, sfdx, node, npm, java and git binary on PATH
+ * @returns {Promise<Object>} - See `analyzePath` in core/path-analysis.js
  */
-export async function isSalesforceDXProject() {
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) {
-    return false;
-  }
+export async function analyzePath() {
+  return pathAnalysisCore.analyzePath({
+    timeout: TIME_INTERVALS.CHECK_TIMEOUT,
+  });
+}
 
-  for (const folder of workspaceFolders) {
-    const sfdxProjectPath = path.join(folder.uri.fsPath, "sfdx-project.json");
-    try {
-      await fs.access(sfdxProjectPath);
-      return true;
-    } catch {
-      // File doesn't exist, continue checking
-    }
+/**
+ * Open the PATH analysis as a Markdown document
+ * @param {Object} [analysis] - PATH analysis (analyzed again if omitted)
+ */
+export async function showPathAnalysis(analysis) {
+  const current = analysis || (await analyzePath());
+  const lines = [
+    "# PATH Analysis",
+    "",
+    pathAnalysisCore.describePathPrecedence(),
+  ];
+
+  for (const [name, tool] of Object.entries(current.tools)) {
+    lines.push("", `## ${name}`, "");
+    const candidates = pathAnalysisCore.describeCandidates(tool.candidates);
+    lines.push(
+      ...(candidates.length > 0
+        ? candidates.map((line) => `- ${line}`)
+        : ["- not found"])
+    );
   }
 
-  return false;
+  lines.push("", "## PATH directories", "");
+  lines.push(
+    ...current.entries.map(
+      (entry) => `- \`${entry.dir}\`${entry.exists ? "" : " (does not exist)"}`
+    )
+  );
+
+  const document = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: lines.join("\n") + "\n",
+  });
+  await vscode.window.showTextDocument(document);
 }
 
+// ============================================================================
+// Shell Environment
+// ============================================================================
+
 /**
- * Get Salesforce project information
- * @returns {Promise<Object | null>}
+ * Compare the login shell environment with the one VS Code was started with
+ * @returns {Promise<Object>} - See `checkShellEnvironment` in core/shell-env.js
  */
-export async function getSalesforceProjectInfo() {
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) {
-    return null;
+export async function checkShellEnvironment() {
+  return shellEnvCore.checkShellEnvironment({
+    timeout: TIME_INTERVALS.CHECK_TIMEOUT,
+  });
+}
+
+/**
+ * Whether a tool is only visible to the login shell
+ * @param {Object} results - Health check results
+ * @param {string} tool - Tool name on PATH (node, sf, java...)
+ * @returns {boolean}
+ */
+function isShellOnlyTool(results, tool) {
+  return Boolean(results.shellEnvironment?.shellOnlyTools?.includes(tool));
+}
+
+/**
+ * Explain that tools are installed in the shell but not visible to VS Code,
+ * and offer to use the shell PATH for this session or copy the lasting fix
+ * @param {Object} shellEnvironment - Shell environment check result
+ * @returns {Promise<boolean>} - Whether the PATH was changed
+ */
+export async function promptShellEnvironmentFix(shellEnvironment) {
+  const current = shellEnvironment || (await checkShellEnvironment());
+  if (!current.supported || current.error || !current.shellPath) {
+    ui.showWarning(
+      current.error
+        ? `Could not read your login shell environment: ${current.error}`
+        : "VS Code sees the same environment as your shell."
+    );
+    return false;
   }
 
-  for (const folder of workspaceFolders) {
-    const sfdxProjectPath = path.join(folder.uri.fsPath, "sfdx-project.json");
-    try {
-      const content = await fs.readFile(sfdxProjectPath, "utf8");
-      const projectData = JSON.parse(content);
-      return {
-        path: sfdxProjectPath,
-        name: projectData.name || "Unnamed Project",
-        namespace: projectData.namespace || "",
-        sourceApiVersion: projectData.sourceApiVersion || "unknown",
-        packageDirectories: projectData.packageDirectories || [],
-      };
-    } catch {
-      // File doesn't exist or is invalid, continue checking
-    }
+  const fix = shellEnvCore.describeShellPathFix(current.kind);
+  const tools = current.shellOnlyTools.length
+    ? current.shellOnlyTools.join(", ")
+    : `${current.onlyInShell.length} PATH entries`;
+  const choice = await vscode.window.showWarningMessage(
+    `${EXTENSION_NAME}: ${tools} installed in your shell (${current.shell}) but not visible to VS Code. ${fix}.`,
+    "Use Shell PATH Now",
+    "Copy Fix",
+    "Dismiss"
+  );
+
+  if (choice === "Use Shell PATH Now") {
+    useShellPath(current);
+    ui.showInfo(
+      `${EXTENSION_NAME} now runs tools on your shell PATH until VS Code restarts. Other extensions and terminals still use the old PATH until you apply the fix.`
+    );
+    return true;
   }
+  if (choice === "Copy Fix") {
+    await vscode.env.clipboard.writeText(fix);
+    ui.showInfo("Copied to clipboard!");
+  }
+  return false;
+}
 
-  return null;
+/**
+ * Put the shell PATH in front of the PATH this extension runs tools on for
+ * this session, keeping the entries only VS Code had
+ * @param {Object} shellEnvironment - Shell environment check result
+ */
+function useShellPath(shellEnvironment) {
+  const entries = new Set(
+    [
+      ...shellEnvironment.shellPath.split(path.delimiter),
+      ...shellEnvironment.onlyInVsCode,
+    ].filter(Boolean)
+  );
+  shell.setSearchPath([...entries].join(path.delimiter));
+  logger.info(
+    `Running tools on the login shell PATH (${entries.size} entries)`
+  );
 }
 
 // ============================================================================
-// Health Check
+// Org Authorization
 // ============================================================================
 
 /**
- * Run comprehensive environment health check
- * @param {boolean} silent - If true, don't show UI
- * @returns {Promise<Object>}
+ * Check the authorized orgs and the default org / Dev Hub of the workspace
+ * @returns {Promise<Object>} - See `checkOrgs` in core/orgs.js
  */
-export async function runHealthCheck(silent = false) {
-  const results = {
-    java: null,
-    node: null,
-    salesforceCLI: null,
-    packages: null,
-    sfPlugins: null,
-    isSFDXProject: false,
-    projectInfo: null,
-  };
+export async function checkOrgs() {
+  return orgsCore.checkOrgs({
+    rootPaths: getWorkspaceRootPaths(),
+    timeout: TIME_INTERVALS.CHECK_TIMEOUT,
+  });
+}
 
-  await vscode.window.withProgress(
-    {
-      location: vscode.ProgressLocation.Notification,
-      title: "Checking development environment...",
-      cancellable: false,
-    },
-    async (progress) => {
-      progress.report({ message: "Checking Node.js..." });
-      results.node = await checkNodeJS();
+/**
+ * Offer to authorize the default org or Dev Hub, replace an expired default
+ * scratch org or pick a default among the authorized orgs
+ * @param {Object} [orgs] - Org authorization check result (checked again if omitted)
+ * @returns {Promise<boolean>} - Whether an action was started
+ */
+export async function promptOrgFix(orgs) {
+  const current = orgs || (await checkOrgs());
+  if (current.error) {
+    ui.showError(`Could not list orgs: ${current.error}`);
+    return false;
+  }
+
+  const projects = current.projects.map((project) => {
+    const problem = orgsCore.getProjectDefaultProblems(project);
+    const expiring = current.expiringScratchOrgs.find(
+      (org) => project.targetOrg?.org?.username === org.username
+    );
+    return {
+      ...project,
+      problem,
+      expiring,
+      problems: [
+        problem.targetOrg
+          ? orgsCore.describeDefault("Default org", project.targetOrg)
+          : null,
+        problem.devHub
+          ? orgsCore.describeDefault("Dev Hub", project.targetDevHub, {
+              devHub: true,
+            })
+          : null,
+        expiring
+          ? `Default scratch org ${orgsCore.describeOrg(expiring)}${orgsCore.describeExpiry(expiring)}`
+          : null,
+      ].filter(Boolean),
+    };
+  });
 
-      progress.report({ message: "Checking Java..." });
-      results.java = await checkJava();
+  const withProblems = projects.filter(
+    (project) => project.problems.length > 0
+  );
+  if (withProblems.length === 0) {
+    ui.showInfo(
+      `${orgsCore
+        .describeProjects(current, ({ targetOrg, targetDevHub }) => [
+          `${orgsCore.describeDefault("Default org", targetOrg)}, ${orgsCore.describeDefault("Dev Hub", targetDevHub, { devHub: true })}`,
+        ])
+        .join("; ")} ✅`
+    );
+    return false;
+  }
 
-      progress.report({ message: "Checking Salesforce CLI..." });
-      results.salesforceCLI = await checkSalesforceCLI();
+  const project = await pickOrgProject(
+    withProblems,
+    "Select the project whose default orgs to fix"
+  );
+  if (!project) {
+    return false;
+  }
 
-      progress.report({ message: "Checking npm packages..." });
-      results.packages = await packagesService.checkPackages();
+  const { targetOrg, targetDevHub, expiring, problems } = project;
+  const { targetOrg: targetOrgProblem, devHub: devHubProblem } =
+    project.problem;
+  const rootPath = project.root || undefined;
+  const scratchDefinition = await orgsCore.findScratchDefinition(rootPath);
+  const selectable = current.orgs.filter(
+    (org) => !org.expired && !org.tokenExpired
+  );
 
-      progress.report({ message: "Checking SF CLI plugins..." });
-      results.sfPlugins = await sfPluginsService.checkPlugins();
+  const replaceScratch =
+    (targetOrgProblem === "expired" || expiring) && scratchDefinition
+      ? "Create Scratch Org"
+      : null;
+  const choice = await vscode.window.showWarningMessage(
+    `${EXTENSION_NAME}: ${projects.length > 1 ? `${project.name}: ` : ""}${problems.join(". ")}.`,
+    ...[
+      devHubProblem ? "Authorize Dev Hub" : null,
+      replaceScratch,
+      targetOrgProblem && targetOrgProblem !== "expired"
+        ? "Authorize Default Org"
+        : null,
+      targetOrgProblem && selectable.length > 0 ? "Choose Default Org" : null,
+    ].filter(Boolean)
+  );
 
-      progress.report({ message: "Checking project type..." });
-      results.isSFDXProject = await isSalesforceDXProject();
+  switch (choice) {
+    case "Authorize Dev Hub":
+      runOrgCommand(
+        orgsCore.getLoginCommand({
+          devHub: true,
+          alias: targetDevHub
+            ? orgsCore.getTargetAlias(targetDevHub)
+            : "DevHub",
+          instanceUrl: targetDevHub?.org?.instanceUrl,
+        }),
+        rootPath
+      );
+      return true;
+    case "Create Scratch Org":
+      runOrgCommand(
+        orgsCore.getScratchOrgCreateCommand(
+          orgsCore.getTargetAlias(targetOrg),
+          scratchDefinition
+        ),
+        rootPath
+      );
+      return true;
+    case "Authorize Default Org":
+      runOrgCommand(
+        orgsCore.getLoginCommand({
+          alias: orgsCore.getTargetAlias(targetOrg),
+          instanceUrl: targetOrg?.org?.isScratch
+            ? undefined
+            : targetOrg?.org?.instanceUrl,
+        }),
+        rootPath
+      );
+      return true;
+    case "Choose Default Org":
+      return chooseDefaultOrg(selectable, rootPath);
+    default:
+      return false;
+  }
+}
 
-      if (results.isSFDXProject) {
-        results.projectInfo = await getSalesforceProjectInfo();
-      }
+/**
+ * Let the user pick one project of an org authorization check
+ * @param {Object[]} projects - Projects of the check result, with their `problems`
+ * @param {string} placeHolder
+ * @returns {Promise<Object | null>} - null when the pick was cancelled
+ */
+async function pickOrgProject(projects, placeHolder) {
+  if (projects.length <= 1) {
+    return projects[0] || null;
+  }
+
+  const selected = await ui.showQuickPick(
+    projects.map((project) => ({
+      label: project.name,
+      detail: project.problems.join(" · "),
+      project,
+    })),
+    { placeHolder }
+  );
+  return selected ? selected.project : null;
+}
+
+/**
+ * Run an org command in a terminal opened in the project folder
+ * @param {string} command
+ * @param {string} [cwd]
+ */
+function runOrgCommand(command, cwd) {
+  const terminal = vscode.window.createTerminal({
+    name: "Salesforce Org",
+    cwd,
+  });
+  terminal.show();
+  terminal.sendText(command);
+}
+
+/**
+ * Pick an authorized org and make it the project's default org
+ * @param {Object[]} orgs - Orgs that can be used
+ * @param {string} [cwd] - Project folder (the default is set in its local config)
+ * @returns {Promise<boolean>}
+ */
+async function chooseDefaultOrg(orgs, cwd) {
+  const selected = await ui.showQuickPick(
+    orgs.map((org) => ({
+      label: org.alias || org.username,
+      description: [
+        org.alias ? org.username : null,
+        org.isDevHub ? "Dev Hub" : null,
+        org.isScratch ? `scratch${orgsCore.describeExpiry(org)}` : null,
+        org.isSandbox ? "sandbox" : null,
+      ]
+        .filter(Boolean)
+        .join(" · "),
+      value: org.alias || org.username,
+    })),
+    { placeHolder: "Select the default org for this project" }
+  );
+  if (!selected) {
+    return false;
+  }
+
+  const result = await shell.run(
+    "sf",
+    ["config", "set", `target-org=${selected.value}`],
+    { cwd, timeout: TIME_INTERVALS.CHECK_TIMEOUT }
+  );
+  if (!result.ok) {
+    ui.showError(`Failed to set the default org: ${result.error}`);
+    return false;
+  }
+  ui.showInfo(`Default org set to ${selected.value}`);
+  return true;
+}
+
+// ============================================================================
+// API Versions
+// ============================================================================
+
+/**
+ * Check the API versions of the metadata of every workspace project
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @returns {Promise<Object>} - See `checkApiVersions` in core/api-versions.js
+ */
+export async function checkApiVersions(policy) {
+  return apiVersionsCore.checkApiVersions(
+    policy || (await getWorkspacePolicy()),
+    {
+      rootPaths: getWorkspaceRootPaths(),
+      timeout: TIME_INTERVALS.CHECK_TIMEOUT,
     }
   );
+}
 
-  if (!silent) {
-    await displayHealthCheckResults(results);
+/**
+ * Check the API versions of the metadata of one project
+ * @param {string} rootPath - Project folder
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @returns {Promise<Object>} - See `checkProjectApiVersions` in core/api-versions.js, or `{isSFDXProject: false}`
+ */
+export async function checkProjectApiVersions(rootPath, policy) {
+  const project = await projectCore.getSalesforceProjectInfo([rootPath]);
+  if (!project) {
+    return { isSFDXProject: false };
   }
+  return apiVersionsCore.checkProjectApiVersions(
+    policy || (await getWorkspacePolicy()),
+    project,
+    { timeout: TIME_INTERVALS.CHECK_TIMEOUT }
+  );
+}
 
-  return results;
+/**
+ * Check the API versions of a project the user picks
+ * @param {string} placeHolder
+ * @returns {Promise<Object | null>} - null when the pick was cancelled
+ */
+async function checkPickedApiVersions(placeHolder) {
+  const projects = await getSalesforceProjects();
+  if (projects.length === 0) {
+    return { isSFDXProject: false };
+  }
+  const project = await pickSalesforceProject(projects, placeHolder);
+  return project ? checkProjectApiVersions(project.root) : null;
 }
 
 /**
- * Display health check results
- * @param {Object} results
+ * Let the user pick one project of a workspace API version check
+ * @param {{projects: Object[]}} apiVersions - Workspace API version check result
+ * @param {string} placeHolder
+ * @returns {Promise<Object | null>} - null when the pick was cancelled
  */
-async function displayHealthCheckResults(results) {
-  const issues = [];
-  const warnings = [];
-  const info = [];
-
-  // Node.js check
-  if (!results.node.installed) {
-    issues.push("❌ Node.js is not installed");
-  } else if (!results.node.valid) {
-    warnings.push(`⚠️  Node.js v${results.node.version} (recommend v18+)`);
-  } else {
-    info.push(`✅ Node.js v${results.node.version}`);
+async function pickApiVersionProject(apiVersions, placeHolder) {
+  if (apiVersions.projects.length <= 1) {
+    return apiVersions.projects[0] || null;
   }
 
-  // Java check
-  if (!results.java.installed) {
-    warnings.push("⚠️  Java is not in PATH (needed for Apex features)");
-  } else if (!results.java.valid) {
-    warnings.push(`⚠️  Java ${results.java.version} (recommend 11+)`);
-  } else {
-    info.push(`✅ Java ${results.java.version}`);
+  const selected = await ui.showQuickPick(
+    apiVersions.projects.map((project) => ({
+      label: project.name,
+      description: projectCore.describeProjectLocation(
+        { root: project.rootPath },
+        getWorkspaceRootPaths()
+      ),
+      detail:
+        apiVersionsCore.describeApiVersionProblems(project)[0] ||
+        `${project.files.length} metadata file(s)`,
+      project,
+    })),
+    { placeHolder }
+  );
+  return selected ? selected.project : null;
+}
+
+/**
+ * Open the API version analysis as a Markdown document
+ * @param {Object} [apiVersions] - API version check result of one project (checked again if omitted)
+ */
+export async function showApiVersionReport(apiVersions) {
+  const current =
+    apiVersions ||
+    (await checkPickedApiVersions("Select the project to analyze"));
+  if (!current) {
+    return;
+  }
+  if (!current.isSFDXProject) {
+    ui.showInfo(
+      "This is not a Salesforce DX project. No sfdx-project.json found."
+    );
+    return;
   }
 
-  // Salesforce CLI check
-  if (!results.salesforceCLI.installed) {
-    issues.push("❌ Salesforce CLI is not installed");
-  } else {
-    info.push(`✅ Salesforce CLI v${results.salesforceCLI.version}`);
+  const lines = [
+    "# API Versions",
+    "",
+    `Project: \`${current.rootPath}\``,
+    "",
+    ...apiVersionsCore
+      .describeApiVersionSources(current)
+      .map((line) => `- ${line}`),
+    "",
+    "## Metadata files per API version",
+    "",
+    "| API version | Files |",
+    "| :--- | ---: |",
+    ...current.histogram.map(
+      ({ version, count }) => `| ${version} | ${count} |`
+    ),
+  ];
+
+  const problems = apiVersionsCore.describeApiVersionProblems(current);
+  if (problems.length > 0) {
+    lines.push("", "## Problems", "", ...problems.map((line) => `- ${line}`));
   }
 
-  // npm packages check (includes Prettier and plugins)
-  if (results.packages) {
-    if (!results.packages.allInstalled) {
-      warnings.push(
-        `⚠️  Missing npm packages: ${results.packages.missing.join(", ")}`
+  for (const [title, files] of [
+    [`Older than ${current.floor}`, current.belowFloor],
+    ["Newer than sourceApiVersion", current.aboveSource],
+  ]) {
+    if (files.length > 0) {
+      lines.push(
+        "",
+        `## ${title}`,
+        "",
+        ...files.map((file) => `- \`${file.relativePath}\` (${file.version})`)
       );
-    } else {
-      info.push(`✅ All required npm packages installed`);
     }
   }
 
-  // SF CLI plugins check
-  if (results.sfPlugins) {
-    if (!results.sfPlugins.allInstalled) {
-      warnings.push(
-        `⚠️  Missing SF plugins: ${results.sfPlugins.missing.join(", ")}`
-      );
-    } else {
-      info.push(`✅ All required SF CLI plugins installed`);
+  const document = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: lines.join("\n") + "\n",
+  });
+  await vscode.window.showTextDocument(document);
+}
+
+/**
+ * Report API version drift with actions to bump the files or open the report
+ * @param {Object} [apiVersions] - Workspace API version check result (checked again if omitted or incomplete)
+ * @returns {Promise<boolean>} - Whether files were changed
+ */
+export async function promptApiVersionFix(apiVersions) {
+  // A check that timed out or failed is run again
+  const current =
+    apiVersions && !apiVersions.error ? apiVersions : await checkApiVersions();
+  if (!current.isSFDXProject) {
+    await showApiVersionReport(current);
+    return false;
+  }
+
+  const drifting = {
+    projects: current.projects.filter(
+      (project) =>
+        apiVersionsCore.describeApiVersionProblems(project).length > 0
+    ),
+  };
+  if (drifting.projects.length === 0) {
+    const project = await pickApiVersionProject(
+      current,
+      "Select the project to analyze"
+    );
+    if (project) {
+      await showApiVersionReport(project);
     }
+    return false;
   }
 
-  // Project info
-  if (results.isSFDXProject && results.projectInfo) {
-    info.push(`\n📦 SFDX Project: ${results.projectInfo.name}`);
-    info.push(`   API Version: ${results.projectInfo.sourceApiVersion}`);
-  } else {
-    info.push("\nℹ️  Not in a Salesforce DX project");
+  const problems = apiVersionsCore.describeProjects(
+    current,
+    apiVersionsCore.describeApiVersionProblems
+  );
+  const choice = await vscode.window.showWarningMessage(
+    `${EXTENSION_NAME}: ${problems.join(". ")}.`,
+    "Bump API Versions",
+    "Show Report"
+  );
+  if (choice === "Bump API Versions") {
+    const project = await pickApiVersionProject(
+      drifting,
+      "Select the project to update"
+    );
+    return project ? bumpApiVersions(project) : false;
+  }
+  if (choice === "Show Report") {
+    const project = await pickApiVersionProject(
+      drifting,
+      "Select the project to analyze"
+    );
+    if (project) {
+      await showApiVersionReport(project);
+    }
+  }
+  return false;
+}
+
+/**
+ * Move metadata files (and sourceApiVersion) to another API version.
+ * The changes open in the Refactor Preview, where single files can still be
+ * left out, and the files that were not already modified are saved.
+ * @param {Object} [apiVersions] - API version check result of one project (checked again if omitted)
+ * @returns {Promise<boolean>} - Whether files were changed
+ */
+export async function bumpApiVersions(apiVersions) {
+  const current =
+    apiVersions ||
+    (await checkPickedApiVersions("Select the project to update"));
+  if (!current) {
+    return false;
+  }
+  if (!current.isSFDXProject) {
+    ui.showInfo(
+      "This is not a Salesforce DX project. No sfdx-project.json found."
+    );
+    return false;
+  }
+
+  const target = await pickTargetApiVersion(current);
+  if (!target) {
+    return false;
+  }
+
+  const source = current.sourceApiVersion;
+  const candidates = [
+    ...(source && source.version !== target
+      ? [{ ...source, relativePath: "sfdx-project.json (sourceApiVersion)" }]
+      : []),
+    ...current.files.filter((file) => file.version !== target),
+  ];
+  if (candidates.length === 0) {
+    ui.showInfo(`Every metadata file already uses API ${target}.`);
+    return false;
+  }
+
+  const selected = await ui.showQuickPick(
+    candidates.map((file) => ({
+      label: file.relativePath,
+      description: `${file.version} → ${target}`,
+      // Files already newer than the target are only changed on request
+      picked: apiVersionsCore.compareApiVersions(file.version, target) < 0,
+      file,
+    })),
+    {
+      canPickMany: true,
+      placeHolder: `Select the files to move to API ${target}`,
+    }
+  );
+  if (!selected || selected.length === 0) {
+    return false;
+  }
+
+  // Locate the version in the current text: an open document may have
+  // unsaved changes that moved it since the scan. Files that are not open
+  // are read from disk rather than opened, so a large selection does not
+  // load every file into the editor.
+  const edit = new vscode.WorkspaceEdit();
+  const edited = [];
+  for (const { file } of selected) {
+    const document = findOpenDocument(file.path);
+    const text = document ? document.getText() : null;
+    const found = document
+      ? apiVersionsCore.findApiVersion(text, file.path)
+      : await apiVersionsCore.readApiVersion(file.path);
+    if (!found || found.version === target) {
+      continue;
+    }
+    const uri = document ? document.uri : vscode.Uri.file(file.path);
+    const { start, end } = found.range;
+    edit.replace(
+      uri,
+      new vscode.Range(start.line, start.character, end.line, end.character),
+      target,
+      { label: `API ${found.version} → ${target}`, needsConfirmation: true }
+    );
+    edited.push({
+      path: file.path,
+      text: text ?? found.text,
+      wasDirty: Boolean(document && document.isDirty),
+    });
+  }
+  if (edited.length === 0) {
+    ui.showInfo(`The selected files already use API ${target}.`);
+    return false;
+  }
+
+  if (!(await vscode.workspace.applyEdit(edit))) {
+    return false;
+  }
+
+  // The preview lets the user leave files out; only those that changed
+  // count. Applying the edit loads the files that were not open, unless
+  // VS Code already saved them (files.refactoring.autoSave).
+  let changed = 0;
+  for (const { path: filePath, text, wasDirty } of edited) {
+    const document = findOpenDocument(filePath);
+    const current = document
+      ? document.getText()
+      : (await apiVersionsCore.readApiVersion(filePath))?.text;
+    if (current === text) {
+      continue;
+    }
+    changed++;
+    if (document && document.isDirty && !wasDirty) {
+      await document.save();
+    }
+  }
+  if (changed === 0) {
+    return false;
+  }
+  ui.showInfo(`Moved ${changed} file(s) to API ${target}.`);
+  return true;
+}
+
+/**
+ * Find the open document of a file, if the editor has it loaded
+ * @param {string} filePath
+ * @returns {vscode.TextDocument | undefined}
+ */
+function findOpenDocument(filePath) {
+  const uri = vscode.Uri.file(filePath).toString();
+  return vscode.workspace.textDocuments.find(
+    (document) => document.uri.toString() === uri
+  );
+}
+
+/**
+ * Pick the API version to move files to, suggesting sourceApiVersion, the
+ * version the CLI uses with the default org and the versions in use
+ * @param {Object} apiVersions - API version check result
+ * @returns {Promise<string | null>}
+ */
+async function pickTargetApiVersion(apiVersions) {
+  const suggestions = new Map();
+  const suggest = (version, description) => {
+    if (
+      version &&
+      apiVersionsCore.isApiVersion(version) &&
+      !suggestions.has(version)
+    ) {
+      suggestions.set(version, description);
+    }
+  };
+  suggest(apiVersions.sourceApiVersion?.version, "sourceApiVersion");
+  suggest(apiVersions.cliApiVersion, "used by the CLI with the default org");
+  for (const { version, count } of apiVersions.histogram) {
+    suggest(version, `${count} file(s)`);
+  }
+
+  const items = [...suggestions]
+    .sort(([a], [b]) => apiVersionsCore.compareApiVersions(b, a))
+    .map(([version, description]) => ({
+      label: version,
+      description,
+      version,
+    }));
+  items.push({ label: "$(edit) Other Version...", version: null });
+
+  const selected = await ui.showQuickPick(items, {
+    placeHolder: "Select the API version to move the files to",
+  });
+  if (!selected) {
+    return null;
+  }
+  if (selected.version) {
+    return selected.version;
+  }
+
+  const entered = await vscode.window.showInputBox({
+    prompt: "API version to move the files to",
+    placeHolder: "62.0",
+    ignoreFocusOut: true,
+    validateInput: (value) =>
+      apiVersionsCore.isApiVersion(value.trim())
+        ? null
+        : 'Enter a version like "62.0"',
+  });
+  return entered ? entered.trim() : null;
+}
+
+// ============================================================================
+// Project Checks
+// ============================================================================
+
+/**
+ * Get the file system paths of the open workspace folders
+ * @returns {string[]}
+ */
+export function getWorkspaceRootPaths() {
+  const workspaceFolders = vscode.workspace.workspaceFolders || [];
+  return workspaceFolders.map((folder) => folder.uri.fsPath);
+}
+
+/**
+ * Check if current workspace is a Salesforce DX project
+ * @returns {Promise<boolean>}
+ */
+export async function isSalesforceDXProject() {
+  return projectCore.isSalesforceDXProject(getWorkspaceRootPaths());
+}
+
+/**
+ * Get Salesforce project information of the first project
+ * @returns {Promise<Object | null>}
+ */
+export async function getSalesforceProjectInfo() {
+  return projectCore.getSalesforceProjectInfo(getWorkspaceRootPaths());
+}
+
+/**
+ * Get every Salesforce DX project of the workspace, including nested ones
+ * @returns {Promise<Object[]>}
+ */
+export async function getSalesforceProjects() {
+  return projectCore.getSalesforceProjects(getWorkspaceRootPaths());
+}
+
+/**
+ * Let the user pick a project when the workspace has several
+ * @param {Object[]} projects - Project information
+ * @param {string} placeHolder
+ * @returns {Promise<Object | null>} - null when there is none or the pick was cancelled
+ */
+export async function pickSalesforceProject(projects, placeHolder) {
+  if (projects.length <= 1) {
+    return projects[0] || null;
+  }
+
+  const rootPaths = getWorkspaceRootPaths();
+  const selected = await ui.showQuickPick(
+    projects.map((project) => ({
+      label: project.name,
+      description: projectCore.describeProjectLocation(project, rootPaths),
+      detail: `API ${project.sourceApiVersion}${project.problems.length > 0 ? ` · ${project.problems.length} problem(s)` : ""}`,
+      project,
+    })),
+    { placeHolder }
+  );
+  return selected ? selected.project : null;
+}
+
+// ============================================================================
+// Health Check
+// ============================================================================
+
+/**
+ * Run comprehensive environment health check.
+ * Checks run concurrently; the progress notification can be cancelled and
+ * each check is bounded by `sfPreflight.healthCheck.timeoutSeconds`.
+ * @param {boolean} silent - If true, don't show UI
+ * @param {string[]} [checkIds] - Run only these checks
+ * @returns {Promise<Object>}
+ */
+export async function runHealthCheck(silent = false, checkIds) {
+  const config = vscode.workspace.getConfiguration("sfPreflight");
+  const timeoutMs = config.get("healthCheck.timeoutSeconds", 30) * 1000;
+
+  const results = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Checking development environment...",
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const controller = new AbortController();
+      const subscription = token.onCancellationRequested(() =>
+        controller.abort()
+      );
+      try {
+        return await healthCheckCore.runChecks({
+          rootPaths: getWorkspaceRootPaths(),
+          policy: await getWorkspacePolicy(),
+          timeoutMs,
+          signal: controller.signal,
+          javaHome: getJavaHomeSetting(),
+          packageManager: packagesService.getGlobalPackageManagerSetting(),
+          checkIds,
+          onProgress: (message, increment) =>
+            progress.report({ message, increment }),
+        });
+      } finally {
+        subscription.dispose();
+      }
+    }
+  );
+
+  logger.info(
+    `Health check${results.cancelled ? " (cancelled)" : ""} durations: ${healthCheckCore.formatDurations(results.durations)}`
+  );
+
+  if (!silent && !results.cancelled) {
+    await displayHealthCheckResults(results);
   }
 
+  return results;
+}
+
+/**
+ * Classify health check results according to the policy check levels.
+ * A failing mandatory check is an issue, a failing advisory check a warning.
+ * @param {Object} results
+ * @returns {{hasIssues: boolean, hasWarnings: boolean, failing: string[]}}
+ */
+export function evaluateResults(results) {
+  return healthCheckCore.evaluateResults(results);
+}
+
+/**
+ * Display health check results
+ * @param {Object} results
+ */
+async function displayHealthCheckResults(results) {
+  const { checks } = healthCheckCore.summarizeResults(results);
+  const issues = checks
+    .filter((check) => check.status === "fail")
+    .map((check) => `❌ ${check.message}`);
+  const warnings = checks
+    .filter((check) => check.status === "warn")
+    .map((check) => `⚠️  ${check.message}`);
+  const info = checks
+    .filter((check) => check.status === "pass")
+    .map((check) => `✅ ${check.message}`);
+
+  info.push("", ...healthCheckCore.describeContext(results));
+
   const message = [...issues, ...warnings, ...info].join("\n");
 
   if (issues.length > 0 || warnings.length > 0) {
@@ -569,92 +1357,183 @@ async function displayHealthCheckResults(results) {
  * @param {Object} results
  */
 async function fixEnvironmentIssues(results) {
-  if (!results.node.installed || !results.node.valid) {
-    await promptNodeJSUpdate(results.node);
-  }
+  const { failing } = evaluateResults(results);
 
-  if (!results.java.installed || !results.java.valid) {
-    await promptJavaPathUpdate();
+  for (const check of failing) {
+    await fixCheck(check, results);
   }
+}
 
-  if (!results.salesforceCLI.installed) {
-    await promptSalesforceCLIUpdate(results.salesforceCLI);
+/**
+ * Re-run a single check and return updated results
+ * @param {string} check - Check id (node, java, salesforceCLI, packages, sfPlugins, codeAnalyzer, orgs, apiVersions, pathAnalysis, shellEnvironment, projectDependencies, project)
+ * @param {Object} results - Previous health check results
+ * @returns {Promise<Object>}
+ */
+export async function rerunCheck(check, results) {
+  const policy = await getWorkspacePolicy();
+  const updated = { ...results, policy };
+
+  switch (check) {
+    case "node":
+      updated.node = await checkNodeJS(policy);
+      break;
+    case "java":
+      updated.java = await checkJava(policy);
+      break;
+    case "salesforceCLI":
+      updated.salesforceCLI = await checkSalesforceCLI(policy);
+      break;
+    case "packages":
+      updated.packages = await packagesService.checkPackages(policy);
+      break;
+    case "sfPlugins":
+      updated.sfPlugins = await sfPluginsService.checkPlugins(policy);
+      break;
+    case "codeAnalyzer":
+      updated.codeAnalyzer = await sfPluginsService.checkCodeAnalyzer();
+      break;
+    case "pathAnalysis":
+      updated.pathAnalysis = await analyzePath();
+      break;
+    case "shellEnvironment":
+      updated.shellEnvironment = await checkShellEnvironment();
+      break;
+    case "orgs":
+      updated.orgs = await checkOrgs();
+      break;
+    case "apiVersions":
+      updated.apiVersions = await checkApiVersions(policy);
+      break;
+    case "projectDependencies":
+      updated.projectDependencies =
+        await packagesService.checkProjectDependencies();
+      break;
+    case "project":
+      updated.projects = await getSalesforceProjects();
+      updated.isSFDXProject = updated.projects.length > 0;
+      updated.projectInfo = updated.projects[0] || null;
+      break;
   }
 
-  if (results.packages && !results.packages.allInstalled) {
-    await packagesService.promptPackageInstall(results.packages);
-  }
+  return updated;
+}
 
-  if (results.sfPlugins && !results.sfPlugins.allInstalled) {
-    await sfPluginsService.promptPluginInstall(results.sfPlugins);
+/**
+ * Run the fix flow for a single check
+ * @param {string} check - Check id (node, java, salesforceCLI, packages, sfPlugins, codeAnalyzer, orgs, apiVersions, pathAnalysis, shellEnvironment, projectDependencies)
+ * @param {Object} results - Health check results containing the check result
+ */
+export async function fixCheck(check, results) {
+  switch (check) {
+    case "node":
+      if (isShellOnlyTool(results, "node")) {
+        await promptShellEnvironmentFix(results.shellEnvironment);
+      } else {
+        await promptNodeJSUpdate(results.node);
+      }
+      break;
+    case "java":
+      if (isShellOnlyTool(results, "java")) {
+        await promptShellEnvironmentFix(results.shellEnvironment);
+      } else {
+        await promptJavaPathUpdate();
+      }
+      break;
+    case "salesforceCLI":
+      if (isShellOnlyTool(results, "sf")) {
+        await promptShellEnvironmentFix(results.shellEnvironment);
+      } else {
+        await promptSalesforceCLIUpdate(results.salesforceCLI);
+      }
+      break;
+    case "packages":
+      await packagesService.promptPackageInstall(results.packages);
+      break;
+    case "sfPlugins":
+      await sfPluginsService.promptPluginInstall(results.sfPlugins);
+      break;
+    case "codeAnalyzer":
+      await sfPluginsService.migrateCodeAnalyzer(results.codeAnalyzer);
+      break;
+    case "pathAnalysis":
+      await showPathAnalysis(results.pathAnalysis);
+      break;
+    case "shellEnvironment":
+      await promptShellEnvironmentFix(results.shellEnvironment);
+      break;
+    case "orgs":
+      await promptOrgFix(results.orgs);
+      break;
+    case "apiVersions":
+      await promptApiVersionFix(results.apiVersions);
+      break;
+    case "projectDependencies":
+      await packagesService.promptProjectInstall(results.projectDependencies);
+      break;
   }
 }
 
 /**
- * Run environment check on startup (non-intrusive)
+ * Run environment check on startup (non-intrusive).
+ * Reuses the last clean results of the environment checks while they are
+ * younger than `sfPreflight.healthCheck.cacheHours` and the environment
+ * fingerprint (PATH, tool binaries, npm prefix, policy, Java configuration) is
+ * unchanged. The project checks run again either way: project files, installs
+ * and org logins leave the fingerprint unchanged.
  * @param {vscode.ExtensionContext} context
  * @returns {Promise<Object|null>} Health check results or null if skipped
  */
 export async function runStartupCheck(context) {
-  const CACHE_KEY = "sfPreflight.lastCheckSuccess";
-  const CACHE_VALIDITY_MS = 24 * 60 * 60 * 1000; // 24 hours
-
-  // Check cache first
-  const lastSuccess = context.workspaceState.get(CACHE_KEY);
-  if (lastSuccess) {
-    const age = Date.now() - lastSuccess;
-    if (age < CACHE_VALIDITY_MS) {
-      console.log(`${EXTENSION_NAME}: Startup check skipped (Cached Success)`);
-      return {
-        cached: true,
-        isValid: true,
-        // Mimic structure needed for status bar
-        node: { installed: true, valid: true },
-        java: { installed: true, valid: true },
-        salesforceCLI: { installed: true },
-        packages: { allInstalled: true },
-        sfPlugins: { allInstalled: true },
-      };
+  const fingerprint = await getEnvironmentFingerprint();
+  const entry = context.workspaceState.get(STATE_KEYS.HEALTH_CHECK_CACHE);
+  const { valid, reason } = cacheCore.validateCacheEntry(
+    entry,
+    fingerprint,
+    getCacheValidityMs()
+  );
+
+  let results;
+  if (valid) {
+    logger.info(`Startup check reuses the environment checks (${reason})`);
+    const { PROJECT_CHECKS } = healthCheckCore;
+    results = {
+      ...healthCheckCore.mergeResults(
+        entry.results,
+        await runHealthCheck(true, PROJECT_CHECKS),
+        PROJECT_CHECKS
+      ),
+      cached: true,
+      cachedAt: entry.cachedAt,
+    };
+    // Keep the cache age unless the project checks found something
+    const { hasIssues, hasWarnings } = evaluateResults(results);
+    if (hasIssues || hasWarnings) {
+      await clearHealthCheckCache(context);
     }
+  } else {
+    logger.info(`Running startup check (${reason})`);
+    results = await runHealthCheck(true);
+    await updateHealthCheckCache(context, results, fingerprint);
   }
 
-  // Run silent check
-  const results = await runHealthCheck(true);
-
-  const hasIssues =
-    !results.salesforceCLI.installed ||
-    !results.node.installed ||
-    (results.packages && !results.packages.allInstalled) ||
-    (results.sfPlugins && !results.sfPlugins.allInstalled);
-
-  const hasWarnings =
-    !results.node.valid || !results.java.installed || !results.java.valid;
+  const { hasIssues } = evaluateResults(results);
+  if (!hasIssues) {
+    return results;
+  }
 
-  if (!hasIssues && !hasWarnings) {
-    // All good - cache success
-    await context.workspaceState.update(CACHE_KEY, Date.now());
+  const hasRunBefore = context.globalState.get(STATE_KEYS.ENV_CHECK_COMPLETED);
+  if (!hasRunBefore) {
+    await runHealthCheck(false);
+    context.globalState.update(STATE_KEYS.ENV_CHECK_COMPLETED, true);
   } else {
-    // Issues found - clear cache
-    await context.workspaceState.update(CACHE_KEY, undefined);
-
-    // ... existing issue handling logic ...
-    const hasRunBefore = context.globalState.get(
-      STATE_KEYS.ENV_CHECK_COMPLETED
+    const action = await vscode.window.showWarningMessage(
+      `${EXTENSION_NAME}: Missing critical dependencies. Run environment check?`,
+      "Check Now",
+      "Dismiss"
     );
-
-    if (!hasRunBefore && hasIssues) {
-       await runHealthCheck(false);
-       context.globalState.update(STATE_KEYS.ENV_CHECK_COMPLETED, true);
-    } else if (hasIssues) {
-      // Prompt logic ...
-       const action = await vscode.window.showWarningMessage(
-        `${EXTENSION_NAME}: Missing critical dependencies. Run environment check?`,
-        "Check Now",
-        "Dismiss"
-      );
-      if (action === "Check Now") {
-        await runHealthCheck(false);
-      }
+    if (action === "Check Now") {
+      await runHealthCheck(false);
     }
   }
 
@@ -662,23 +1541,56 @@ export async function runStartupCheck(context) {
 }
 
 /**
- * Update the health check cache manually (e.g. after manual run)
+ * Store health check results for reuse at the next startup.
+ * Only complete results without issues or warnings are cached; anything else
+ * clears the cache so the next startup checks again.
  * @param {vscode.ExtensionContext} context
  * @param {Object} results
+ * @param {Object} [fingerprint] - Environment fingerprint (computed if omitted)
  */
-export async function updateHealthCheckCache(context, results) {
-  const CACHE_KEY = "sfPreflight.lastCheckSuccess";
-  const hasIssues =
-    !results.salesforceCLI.installed ||
-    !results.node.installed ||
-    (results.packages && !results.packages.allInstalled) ||
-    (results.sfPlugins && !results.sfPlugins.allInstalled);
-  const hasWarnings =
-    !results.node.valid || !results.java.installed || !results.java.valid;
-
-  if (!hasIssues && !hasWarnings) {
-    await context.workspaceState.update(CACHE_KEY, Date.now());
-  } else {
-    await context.workspaceState.update(CACHE_KEY, undefined);
+export async function updateHealthCheckCache(context, results, fingerprint) {
+  const { hasIssues, hasWarnings } = evaluateResults(results);
+
+  if (hasIssues || hasWarnings || results.cancelled) {
+    await clearHealthCheckCache(context);
+    return;
   }
+
+  await context.workspaceState.update(
+    STATE_KEYS.HEALTH_CHECK_CACHE,
+    cacheCore.createCacheEntry(
+      results,
+      fingerprint || (await getEnvironmentFingerprint())
+    )
+  );
+}
+
+/**
+ * Forget the cached results so the next startup checks again
+ * @param {vscode.ExtensionContext} context
+ */
+export async function clearHealthCheckCache(context) {
+  await context.workspaceState.update(STATE_KEYS.HEALTH_CHECK_CACHE, undefined);
+}
+
+/**
+ * Compute the environment fingerprint for the current workspace policy
+ * @returns {Promise<Object>}
+ */
+async function getEnvironmentFingerprint() {
+  return cacheCore.getEnvironmentFingerprint({
+    policy: await getWorkspacePolicy(),
+    javaHome: getJavaHomeSetting(),
+  });
+}
+
+/**
+ * Get the result cache validity window from `sfPreflight.healthCheck.cacheHours`
+ * @returns {number} Milliseconds (0 disables caching)
+ */
+function getCacheValidityMs() {
+  const hours = vscode.workspace
+    .getConfiguration("sfPreflight")
+    .get("healthCheck.cacheHours", TIME_INTERVALS.CACHE_VALIDITY / 3600000);
+  return Math.max(0, hours) * 60 * 60 * 1000;
 }
@@ -1,3 +1,5 @@
 export * as environment from "./environment.js";
 export * as packages from "./packages.js";
+export * as projectDiagnostics from "./project-diagnostics.js";
 export * as sfPlugins from "./sf-plugins.js";
+export * as terminalEnvironment from "./terminal-environment.js";
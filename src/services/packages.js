@@ -1,11 +1,14 @@
 import * as vscode from "vscode";
 import {
   EXTENSION_NAME,
-  REQUIRED_PACKAGES,
   STATE_KEYS,
+  TIME_INTERVALS,
 } from "../lib/constants.js";
-import * as shell from "../lib/shell.js";
+import * as logger from "../lib/logger.js";
 import * as ui from "../lib/ui.js";
+import * as globalPackagesCore from "../core/global-packages.js";
+import * as packagesCore from "../core/packages.js";
+import * as projectDependenciesCore from "../core/project-dependencies.js";
 import * as environmentService from "./environment.js";
 import * as pluginService from "./sf-plugins.js";
 
@@ -15,52 +18,84 @@ import * as pluginService from "./sf-plugins.js";
  */
 
 /**
- * Check required packages status
- * @returns {Promise<{installed: string[], missing: string[], allInstalled: boolean}>}
+ * Check required packages status against the preflight policy
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @returns {Promise<{installed: string[], missing: string[], outdated: Object[], allInstalled: boolean}>}
  */
-export async function checkPackages() {
-  try {
-    const stdout = await shell.execCommand(
-      `npm list -g ${REQUIRED_PACKAGES.join(" ")} 2>&1`
-    );
-    return parsePackageOutput(stdout);
-  } catch (error) {
-    const output = error.message || "";
-    return parsePackageOutput(output);
-  }
+export async function checkPackages(policy) {
+  return packagesCore.checkPackages(
+    policy || (await environmentService.getWorkspacePolicy()),
+    {
+      rootPaths: environmentService.getWorkspaceRootPaths(),
+      packageManager: getGlobalPackageManagerSetting(),
+    }
+  );
 }
 
 /**
- * Parse npm list output to determine package status
- * @param {string} stdout
- * @returns {{installed: string[], missing: string[], allInstalled: boolean}}
+ * Get the `sfPreflight.packages.globalManager` setting
+ * @returns {string} - "auto", "npm", "pnpm" or "yarn"
  */
-function parsePackageOutput(stdout) {
-  const installed = [];
-  const missing = [];
+export function getGlobalPackageManagerSetting() {
+  return vscode.workspace
+    .getConfiguration("sfPreflight")
+    .get("packages.globalManager", "auto");
+}
 
-  for (const pkg of REQUIRED_PACKAGES) {
-    if (stdout.includes(pkg)) {
-      installed.push(pkg);
-    } else {
-      missing.push(pkg);
-    }
+/**
+ * Check the project's own dependencies (package.json vs node_modules)
+ * @returns {Promise<Object>}
+ */
+export async function checkProjectDependencies() {
+  return projectDependenciesCore.checkProjectDependencies(
+    environmentService.getWorkspaceRootPaths()
+  );
+}
+
+/**
+ * Offer to install the project dependencies with the detected package manager
+ * @param {Object} status - Project dependency check result
+ * @returns {Promise<boolean>}
+ */
+export async function promptProjectInstall(status) {
+  const pending = (status?.projects || []).filter((deps) => !deps.allInstalled);
+  if (pending.length === 0) {
+    return true;
   }
 
-  // Special handling for prettier-plugin-apex (check for alternative package)
-  const prettierApexIndex = missing.indexOf("prettier-plugin-apex");
-  if (prettierApexIndex !== -1) {
-    if (stdout.includes("@ilyamatsuev/prettier-plugin-apex")) {
-      missing.splice(prettierApexIndex, 1);
-      installed.push("prettier-plugin-apex (alternative)");
+  // Projects of one workspace share the install at its root
+  const installs = [
+    ...new Map(
+      pending.map((deps) => [deps.installRoot || deps.root, deps])
+    ).entries(),
+  ];
+  const install =
+    installs.length === 1
+      ? `Run ${projectDependenciesCore.getInstallCommand(installs[0][1].packageManager)}`
+      : "Install All";
+  const action = await vscode.window.showWarningMessage(
+    `${EXTENSION_NAME}: Project dependencies in ${pending.map((deps) => deps.root).join(", ")} are missing or out of date.`,
+    install,
+    "Later"
+  );
+
+  if (action === install) {
+    for (const [cwd, deps] of installs) {
+      const terminal = vscode.window.createTerminal({
+        name:
+          installs.length === 1
+            ? "Project Dependencies"
+            : `Project Dependencies (${deps.name})`,
+        cwd,
+      });
+      terminal.show();
+      terminal.sendText(
+        projectDependenciesCore.getInstallCommand(deps.packageManager)
+      );
     }
   }
 
-  return {
-    installed,
-    missing,
-    allInstalled: missing.length === 0,
-  };
+  return false;
 }
 
 /**
@@ -72,13 +107,21 @@ export async function managePackages(context) {
     await checkNodeInstallation();
     const packageStatus = await checkPackages();
 
-    if (packageStatus.missing.length > 0) {
+    if (!packageStatus.allInstalled) {
       const userConfirmed = await ui.confirm(
-        `The following node packages will be installed globally: ${packageStatus.missing.join(", ")}. Do you want to proceed?`
+        `The following node packages will be installed globally: ${packagesCore.describePackageProblems(packageStatus)}. Do you want to proceed?`
       );
 
       if (userConfirmed) {
-        await installMissingPackages(packageStatus.missing);
+        const installed = await installMissingPackages(
+          packagesCore.getPackagesToInstall(
+            packageStatus,
+            (await environmentService.getWorkspacePolicy()).packages
+          )
+        );
+        if (!installed) {
+          return;
+        }
       } else {
         return;
       }
@@ -112,19 +155,161 @@ async function checkNodeInstallation() {
 /**
  * Install missing npm packages globally
  * @param {string[]} missingPackages
+ * @returns {Promise<boolean>} - Whether every package was installed
  */
 async function installMissingPackages(missingPackages) {
-  try {
-    const installCommand = `npm install -g ${missingPackages.join(" ")}`;
-    await shell.execCommand(installCommand);
-    ui.showInfo(
-      `Successfully installed npm packages: ${missingPackages.join(", ")}`
+  const outcomes = await installGlobalPackages(missingPackages);
+  return Boolean(outcomes) && outcomes.every((outcome) => outcome.ok);
+}
+
+/**
+ * Install global packages with the configured package manager.
+ * Checks that the global directory is writable first and offers the
+ * user-level npm prefix fix when it is not, then installs each package
+ * separately and reports the outcome per package.
+ * @param {string[]} specs - Package names or name@range specs
+ * @returns {Promise<Object[] | null>} - Per package outcomes, or null if the user cancelled
+ */
+async function installGlobalPackages(specs) {
+  const manager = await globalPackagesCore.detectGlobalPackageManager(
+    getGlobalPackageManagerSetting()
+  );
+  const location = await globalPackagesCore.getGlobalLocation(manager);
+
+  if (location.directory && !location.writable) {
+    const proceed = await resolvePermissionProblem(location);
+    if (!proceed) {
+      return null;
+    }
+  }
+
+  const outcomes = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: `Installing global packages with ${manager}`,
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const controller = new AbortController();
+      const subscription = token.onCancellationRequested(() =>
+        controller.abort()
+      );
+      try {
+        return await globalPackagesCore.installGlobalPackages(manager, specs, {
+          timeout: TIME_INTERVALS.INSTALL_TIMEOUT,
+          signal: controller.signal,
+          onProgress: (spec, index, total) =>
+            progress.report({
+              message: `${spec} (${index + 1}/${total})`,
+              increment: 100 / total,
+            }),
+        });
+      } finally {
+        subscription.dispose();
+      }
+    }
+  );
+
+  for (const outcome of outcomes) {
+    logger.info(
+      outcome.ok
+        ? `Installed ${outcome.spec} with ${manager} (${outcome.durationMs}ms)`
+        : `Failed to install ${outcome.spec} with ${manager}: ${outcome.error}`
     );
-  } catch (error) {
-    throw new Error(
-      `${EXTENSION_NAME}: Failed to install npm packages: ${error.message}`
+  }
+  showInstallOutcomes(outcomes);
+  return outcomes;
+}
+
+/**
+ * Explain that the global directory is not writable and offer fixes
+ * @param {Object} location - Result of `getGlobalLocation`
+ * @returns {Promise<boolean>} - Whether to continue installing
+ */
+async function resolvePermissionProblem(location) {
+  const useUserPrefix = "Use User-Level Prefix";
+  const actions =
+    location.manager === "npm"
+      ? [useUserPrefix, "Install Anyway", "Cancel"]
+      : ["Install Anyway", "Cancel"];
+
+  const choice = await vscode.window.showWarningMessage(
+    `${EXTENSION_NAME}: ${location.directory} is not writable, so installing global packages with ${location.manager} will fail with a permission error.` +
+      (location.manager === "npm"
+        ? ` Switch npm to a prefix in your home folder (${globalPackagesCore.USER_PREFIX}) instead of using sudo?`
+        : ""),
+    ...actions
+  );
+
+  if (choice === useUserPrefix) {
+    const fix = await globalPackagesCore.useUserPrefix();
+    if (!fix.ok) {
+      ui.showError(`Failed to change the npm prefix: ${fix.error}`);
+      return false;
+    }
+    await showUserPrefixPathInstructions(fix.binDirectory);
+    return true;
+  }
+
+  return choice === "Install Anyway";
+}
+
+/**
+ * Tell the user to add the new prefix `bin` directory to PATH
+ * @param {string} binDirectory
+ */
+async function showUserPrefixPathInstructions(binDirectory) {
+  const line =
+    process.platform === "win32"
+      ? binDirectory
+      : `export PATH="${binDirectory}:$PATH"`;
+  const action = await vscode.window.showInformationMessage(
+    `npm now installs global packages into your home folder. Add ${binDirectory} to your PATH (e.g. in your shell profile) and restart VS Code.`,
+    "Copy PATH Line"
+  );
+  if (action === "Copy PATH Line") {
+    await vscode.env.clipboard.writeText(line);
+    ui.showInfo("Copied to clipboard!");
+  }
+}
+
+/**
+ * Show a summary of per package install outcomes
+ * @param {Object[]} outcomes
+ */
+function showInstallOutcomes(outcomes) {
+  const installed = outcomes.filter((outcome) => outcome.ok);
+  const failed = outcomes.filter((outcome) => !outcome.ok);
+
+  if (failed.length === 0) {
+    ui.showInfo(
+      `Successfully installed: ${installed.map((outcome) => outcome.spec).join(", ")}`
     );
+    return;
   }
+
+  ui.showError(
+    [
+      installed.length > 0
+        ? `Installed: ${installed.map((outcome) => outcome.spec).join(", ")}.`
+        : null,
+      `Failed: ${describeFailures(outcomes)}`,
+    ]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+/**
+ * Describe the failed installs ("prettier (permission denied ...)")
+ * @param {Object[]} outcomes
+ * @returns {string}
+ */
+function describeFailures(outcomes) {
+  return outcomes
+    .filter((outcome) => !outcome.ok)
+    .map((outcome) => `${outcome.spec} (${outcome.error})`)
+    .join(", ");
 }
 
 /**
@@ -137,34 +322,20 @@ export async function promptPackageInstall(packageStatus) {
     return true;
   }
 
+  const problems = packagesCore.describePackageProblems(packageStatus);
   const install = await vscode.window.showWarningMessage(
-    `Missing npm packages: ${packageStatus.missing.join(", ")}`,
+    `Missing or outdated npm packages: ${problems}`,
     "Install Now",
     "Later"
   );
 
   if (install === "Install Now") {
-    try {
-      await vscode.window.withProgress(
-        {
-          location: vscode.ProgressLocation.Notification,
-          title: `Installing npm packages: ${packageStatus.missing.join(", ")}`,
-          cancellable: false,
-        },
-        async () => {
-          await shell.execCommand(
-            `npm install -g ${packageStatus.missing.join(" ")}`
-          );
-        }
-      );
-      ui.showInfo(
-        `Successfully installed: ${packageStatus.missing.join(", ")}`
-      );
-      return true;
-    } catch (error) {
-      ui.showError(`Failed to install packages: ${error.message}`);
-      return false;
-    }
+    return installMissingPackages(
+      packagesCore.getPackagesToInstall(
+        packageStatus,
+        (await environmentService.getWorkspacePolicy()).packages
+      )
+    );
   }
 
   return false;
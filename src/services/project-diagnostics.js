@@ -0,0 +1,89 @@
+import * as vscode from "vscode";
+import * as path from "path";
+import { EXTENSION_ID, EXTENSION_NAME } from "../lib/constants.js";
+import * as projectCore from "../core/project.js";
+import * as projectValidationCore from "../core/project-validation.js";
+
+/**
+ * sfdx-project.json diagnostics service
+ * Shows the problems found by the project validation in the Problems panel.
+ */
+
+let diagnosticCollection = null;
+
+/**
+ * Get or create the diagnostic collection for sfdx-project.json problems
+ * @returns {vscode.DiagnosticCollection}
+ */
+export function getDiagnosticCollection() {
+  if (!diagnosticCollection) {
+    diagnosticCollection =
+      vscode.languages.createDiagnosticCollection(EXTENSION_ID);
+  }
+  return diagnosticCollection;
+}
+
+/**
+ * Validate the sfdx-project.json of every project in the workspace,
+ * including nested ones
+ * @returns {Promise<number>} - Number of problems found
+ */
+export async function validateWorkspace() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  const roots = await projectCore.findSalesforceProjectRoots(
+    folders.map((folder) => folder.uri.fsPath)
+  );
+  let count = 0;
+  for (const root of roots) {
+    count += await validateFile(
+      vscode.Uri.file(path.join(root, "sfdx-project.json"))
+    );
+  }
+  return count;
+}
+
+/**
+ * Validate one sfdx-project.json and publish its diagnostics
+ * @param {vscode.Uri} uri
+ * @returns {Promise<number>} - Number of problems found
+ */
+export async function validateFile(uri) {
+  try {
+    await vscode.workspace.fs.stat(uri);
+  } catch {
+    clearFile(uri);
+    return 0;
+  }
+
+  const { problems } = await projectValidationCore.validateSfdxProject(
+    uri.fsPath
+  );
+  getDiagnosticCollection().set(uri, problems.map(toDiagnostic));
+  return problems.length;
+}
+
+/**
+ * Remove the diagnostics of a deleted sfdx-project.json
+ * @param {vscode.Uri} uri
+ */
+export function clearFile(uri) {
+  getDiagnosticCollection().delete(uri);
+}
+
+/**
+ * Convert a validation problem into a diagnostic
+ * @param {import("../core/project-validation.js").ProjectProblem} problem
+ * @returns {vscode.Diagnostic}
+ */
+function toDiagnostic(problem) {
+  const { start, end } = problem.range;
+  const diagnostic = new vscode.Diagnostic(
+    new vscode.Range(start.line, start.character, end.line, end.character),
+    problem.message,
+    problem.severity === "warning"
+      ? vscode.DiagnosticSeverity.Warning
+      : vscode.DiagnosticSeverity.Error
+  );
+  diagnostic.source = EXTENSION_NAME;
+  return diagnostic;
+}
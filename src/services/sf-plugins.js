@@ -1,43 +1,38 @@
 import * as vscode from "vscode";
-import { REQUIRED_SF_PLUGINS, STATE_KEYS } from "../lib/constants.js";
+import * as path from "path";
+import {
+  EXTERNAL_URLS,
+  STATE_KEYS,
+  TIME_INTERVALS,
+} from "../lib/constants.js";
 import * as shell from "../lib/shell.js";
 import * as ui from "../lib/ui.js";
+import * as pluginsCore from "../core/sf-plugins.js";
+import * as environmentService from "./environment.js";
 
 /**
  * Salesforce CLI plugin management service
  */
 
 /**
- * Check SF CLI plugins status
- * @returns {Promise<{installed: string[], missing: string[], allInstalled: boolean}>}
+ * Check SF CLI plugins status against the preflight policy
+ * @param {Object} [policy] - Preflight policy (defaults to the workspace policy)
+ * @returns {Promise<{installed: string[], missing: string[], outdated: Object[], allInstalled: boolean}>}
  */
-export async function checkPlugins() {
-  try {
-    const output = await shell.execCommand("sf plugins");
-    const installed = [];
-    const missing = [];
-
-    for (const plugin of REQUIRED_SF_PLUGINS) {
-      if (output.includes(plugin)) {
-        installed.push(plugin);
-      } else {
-        missing.push(plugin);
-      }
-    }
+export async function checkPlugins(policy) {
+  return pluginsCore.checkPlugins(
+    policy || (await environmentService.getWorkspacePolicy())
+  );
+}
 
-    return {
-      installed,
-      missing,
-      allInstalled: missing.length === 0,
-    };
-  } catch (error) {
-    return {
-      installed: [],
-      missing: REQUIRED_SF_PLUGINS,
-      allInstalled: false,
-      error: error.message,
-    };
-  }
+/**
+ * Detect the installed Code Analyzer generation for the workspace
+ * @returns {Promise<Object>} - See `checkCodeAnalyzer` in core/sf-plugins.js
+ */
+export async function checkCodeAnalyzer() {
+  return pluginsCore.checkCodeAnalyzer({
+    rootPaths: environmentService.getWorkspaceRootPaths(),
+  });
 }
 
 /**
@@ -48,15 +43,18 @@ export async function install(context) {
   try {
     await verifySfCliInstalled();
 
-    const pluginStatus = await checkPlugins();
+    const policy = await environmentService.getWorkspacePolicy();
+    const pluginStatus = await checkPlugins(policy);
 
-    if (pluginStatus.missing.length > 0) {
+    if (!pluginStatus.allInstalled) {
       const userConfirmed = await ui.confirm(
-        `The following SF plugins will be installed: ${pluginStatus.missing.join(", ")}. Do you want to proceed?`
+        `The following SF plugins will be installed: ${pluginsCore.describePluginProblems(pluginStatus)}.${describeLatestInstalls(pluginStatus, policy.sfPlugins)} Do you want to proceed?`
       );
 
       if (userConfirmed) {
-        await installPlugins(pluginStatus.missing);
+        await installPlugins(
+          pluginsCore.getPluginsToInstall(pluginStatus, policy.sfPlugins)
+        );
       }
     } else {
       if (!context.globalState.get(STATE_KEYS.SF_PLUGINS_CHECKED)) {
@@ -76,15 +74,30 @@ export async function install(context) {
  * @throws {Error} If SF CLI is not available
  */
 async function verifySfCliInstalled() {
-  try {
-    await shell.execCommand("sf --version");
-  } catch {
+  const result = await shell.run("sf", ["--version"]);
+  if (!result.ok) {
     throw new Error(
-      "Salesforce CLI (sf) is not available. Please ensure @salesforce/cli is installed first."
+      result.status === "not-found"
+        ? "Salesforce CLI (sf) is not available. Please ensure @salesforce/cli is installed first."
+        : `Salesforce CLI (sf) is not working: ${result.error}`
     );
   }
 }
 
+/**
+ * Install a single SF CLI plugin
+ * @param {string} plugin
+ * @throws {Error} If the install command fails
+ */
+async function installPlugin(plugin) {
+  const result = await shell.run("sf", ["plugins", "install", plugin], {
+    timeout: TIME_INTERVALS.INSTALL_TIMEOUT,
+  });
+  if (!result.ok) {
+    throw new Error(result.error);
+  }
+}
+
 /**
  * Install SF CLI plugins
  * @param {string[]} pluginsToInstall
@@ -92,7 +105,7 @@ async function verifySfCliInstalled() {
 async function installPlugins(pluginsToInstall) {
   try {
     for (const plugin of pluginsToInstall) {
-      await shell.execCommand(`sf plugins install ${plugin}`);
+      await installPlugin(plugin);
     }
     ui.showInfo(
       `Successfully installed SF plugins: ${pluginsToInstall.join(", ")}`
@@ -109,16 +122,31 @@ async function installPlugins(pluginsToInstall) {
  */
 export async function promptPluginInstall(pluginStatus) {
   if (pluginStatus.allInstalled) {
+    if ((pluginStatus.linked || []).length > 0) {
+      await showLinkedPluginsWarning(pluginStatus.linked);
+    }
     return true;
   }
 
+  const requirements = (await environmentService.getWorkspacePolicy())
+    .sfPlugins;
+  const hasOutdated = (pluginStatus.outdated || []).length > 0;
   const install = await vscode.window.showWarningMessage(
-    `Missing SF CLI plugins: ${pluginStatus.missing.join(", ")}`,
+    `Missing or outdated SF CLI plugins: ${pluginsCore.describePluginProblems(pluginStatus)}.${describeLatestInstalls(pluginStatus, requirements)}`,
     "Install Now",
+    ...(hasOutdated ? ["Update SF Plugins"] : []),
     "Later"
   );
 
+  if (install === "Update SF Plugins") {
+    return updatePlugins();
+  }
+
   if (install === "Install Now") {
+    const toInstall = pluginsCore.getPluginsToInstall(
+      pluginStatus,
+      requirements
+    );
     try {
       await vscode.window.withProgress(
         {
@@ -127,15 +155,13 @@ export async function promptPluginInstall(pluginStatus) {
           cancellable: false,
         },
         async (progress) => {
-          for (const plugin of pluginStatus.missing) {
+          for (const plugin of toInstall) {
             progress.report({ message: `Installing ${plugin}...` });
-            await shell.execCommand(`sf plugins install ${plugin}`);
+            await installPlugin(plugin);
           }
         }
       );
-      ui.showInfo(
-        `Successfully installed SF plugins: ${pluginStatus.missing.join(", ")}`
-      );
+      ui.showInfo(`Successfully installed SF plugins: ${toInstall.join(", ")}`);
       return true;
     } catch (error) {
       ui.showError(`Failed to install SF plugins: ${error.message}`);
@@ -145,3 +171,231 @@ export async function promptPluginInstall(pluginStatus) {
 
   return false;
 }
+
+/**
+ * Tell which plugins "Install" puts at their latest version, because their
+ * requirement is a range
+ * @param {Object} pluginStatus - Plugin check result
+ * @param {{name: string, version: string}[]} requirements - Policy plugins
+ * @returns {string} - Sentence starting with a space, or "" when none
+ */
+function describeLatestInstalls(pluginStatus, requirements) {
+  const latest = pluginsCore.getLatestInstalls(pluginStatus, requirements);
+  return latest.length > 0
+    ? ` ${latest.join(", ")} will be installed at the latest version, which may not satisfy the required range (\`sf plugins install\` takes no ranges).`
+    : "";
+}
+
+/**
+ * Run `sf plugins update` to update all user-installed plugins
+ * @returns {Promise<boolean>} - Whether the update succeeded
+ */
+export async function updatePlugins() {
+  const result = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Updating SF CLI plugins...",
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const controller = new AbortController();
+      const subscription = token.onCancellationRequested(() =>
+        controller.abort()
+      );
+      progress.report({ message: "sf plugins update" });
+      try {
+        return await shell.run("sf", ["plugins", "update"], {
+          timeout: TIME_INTERVALS.INSTALL_TIMEOUT,
+          signal: controller.signal,
+        });
+      } finally {
+        subscription.dispose();
+      }
+    }
+  );
+
+  if (result.ok) {
+    ui.showInfo("SF CLI plugins are up to date.");
+    return true;
+  }
+  if (result.status !== "aborted") {
+    ui.showError(`Failed to update SF CLI plugins: ${result.error}`);
+  }
+  return false;
+}
+
+/**
+ * Warn about plugins linked from local folders with `sf plugins link`.
+ * They shadow the published plugin and break as soon as the folder changes.
+ * @param {{name: string, version: string, root: string}[]} linked
+ */
+async function showLinkedPluginsWarning(linked) {
+  const action = await vscode.window.showWarningMessage(
+    `SF CLI plugins linked from local folders: ${pluginsCore.describeLinkedPlugins(linked).join(", ")}. Run \`sf plugins unlink <name>\` if you no longer develop them.`,
+    "Copy Unlink Command",
+    "Dismiss"
+  );
+  if (action === "Copy Unlink Command") {
+    await vscode.env.clipboard.writeText(
+      linked.map((plugin) => `sf plugins unlink ${plugin.name}`).join(" && ")
+    );
+    ui.showInfo("Copied to clipboard!");
+  }
+}
+
+/**
+ * Guide the migration from Code Analyzer v4 (sfdx-scanner) to v5:
+ * install code-analyzer, generate code-analyzer.yml, uninstall the scanner
+ * and point at the v4 usages left in the project
+ * @param {Object} [status] - Code Analyzer check result (checked again if omitted)
+ * @returns {Promise<boolean>} - Whether the migration steps completed
+ */
+export async function migrateCodeAnalyzer(status) {
+  const current = status || (await checkCodeAnalyzer());
+  if (current.error) {
+    ui.showError(`Could not list SF CLI plugins: ${current.error}`);
+    return false;
+  }
+
+  if (!current.codeAnalyzer) {
+    const install = await vscode.window.showWarningMessage(
+      "Code Analyzer v5 (code-analyzer) is not installed. It replaces the retired sfdx-scanner plugin.",
+      "Install Code Analyzer v5",
+      "Open Migration Guide",
+      "Later"
+    );
+    if (install === "Open Migration Guide") {
+      await openMigrationGuide();
+      return false;
+    }
+    if (install !== "Install Code Analyzer v5") {
+      return false;
+    }
+    const installed = await runPluginCommand(
+      "Installing Code Analyzer v5...",
+      ["plugins", "install", pluginsCore.CODE_ANALYZER_PLUGINS.V5]
+    );
+    if (!installed) {
+      return false;
+    }
+  }
+
+  const unconfigured = current.projects.filter((project) => !project.config);
+  if (unconfigured.length > 0) {
+    await promptGenerateConfig(unconfigured, current.projects.length > 1);
+  }
+
+  if (current.scanner) {
+    const uninstall = await vscode.window.showWarningMessage(
+      `Code Analyzer v4 (sfdx-scanner ${current.scanner.version || ""}) is still installed. Its \`sf scanner\` commands are retired; uninstall it?`,
+      "Uninstall sfdx-scanner",
+      "Keep"
+    );
+    if (uninstall === "Uninstall sfdx-scanner") {
+      await runPluginCommand("Uninstalling sfdx-scanner...", [
+        "plugins",
+        "uninstall",
+        pluginsCore.CODE_ANALYZER_PLUGINS.V4,
+      ]);
+    }
+  }
+
+  if (current.legacyReferences.length > 0) {
+    await showLegacyReferences(current);
+  }
+
+  return true;
+}
+
+/**
+ * Offer to create code-analyzer.yml with `sf code-analyzer config` in the
+ * projects that have none
+ * @param {{root: string, name: string}[]} projects - Projects without a config file
+ * @param {boolean} [named] - Name the projects (the workspace has several)
+ */
+async function promptGenerateConfig(projects, named = false) {
+  const generate = await vscode.window.showInformationMessage(
+    `No code-analyzer.yml found${named ? ` in ${projects.map((project) => project.name).join(", ")}` : ""}. Generate one with the default rule selection? Custom PMD rulesets from v4 go under \`engines.pmd.custom_rulesets\`.`,
+    "Generate code-analyzer.yml",
+    "Skip"
+  );
+  if (generate !== "Generate code-analyzer.yml") {
+    return;
+  }
+
+  const generated = [];
+  for (const project of projects) {
+    const ok = await runPluginCommand(
+      named
+        ? `Generating code-analyzer.yml in ${project.name}...`
+        : "Generating code-analyzer.yml...",
+      ["code-analyzer", "config", "--output-file", "code-analyzer.yml"],
+      { cwd: project.root }
+    );
+    if (ok) {
+      generated.push(path.join(project.root, "code-analyzer.yml"));
+    }
+  }
+  if (generated.length > 0) {
+    const document = await vscode.workspace.openTextDocument(generated[0]);
+    await vscode.window.showTextDocument(document);
+  }
+}
+
+/**
+ * List the v4 usages (`sf scanner`, `--pmdconfig`, v4 settings) and open
+ * the one the user picks
+ * @param {Object} status - Code Analyzer check result
+ */
+async function showLegacyReferences(status) {
+  const items = status.legacyReferences.map((reference) => ({
+    label: reference.text,
+    description: `${path.relative(status.root || "", reference.file)}:${reference.line}`,
+    reference,
+  }));
+  const picked = await ui.showQuickPick(items, {
+    placeHolder: "Code Analyzer v4 usages to update for v5 (sf code-analyzer run)",
+  });
+  if (!picked) {
+    return;
+  }
+
+  const document = await vscode.workspace.openTextDocument(
+    picked.reference.file
+  );
+  const position = new vscode.Position(picked.reference.line - 1, 0);
+  await vscode.window.showTextDocument(document, {
+    selection: new vscode.Range(position, position),
+  });
+}
+
+/**
+ * Run an `sf` command with a progress notification
+ * @param {string} title
+ * @param {string[]} args
+ * @param {Object} [options] - Extra process options (cwd)
+ * @returns {Promise<boolean>}
+ */
+async function runPluginCommand(title, args, options = {}) {
+  const result = await vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Notification, title },
+    () =>
+      shell.run("sf", args, {
+        ...options,
+        timeout: TIME_INTERVALS.INSTALL_TIMEOUT,
+      })
+  );
+  if (!result.ok) {
+    ui.showError(`\`sf ${args.join(" ")}\` failed: ${result.error}`);
+  }
+  return result.ok;
+}
+
+/**
+ * Open the Code Analyzer v4 to v5 migration guide
+ */
+async function openMigrationGuide() {
+  await vscode.env.openExternal(
+    vscode.Uri.parse(EXTERNAL_URLS.CODE_ANALYZER_MIGRATION)
+  );
+}
@@ -0,0 +1,209 @@
+import * as path from "path";
+import { EXTENSION_NAME, STATE_KEYS } from "../lib/constants.js";
+import * as ui from "../lib/ui.js";
+
+/**
+ * Integrated terminal environment service
+ * Injects the selected JDK (JAVA_HOME and its `bin`) and a pinned Node.js
+ * `bin` into every integrated terminal of the workspace through the
+ * extension's environment variable collection. What was injected is kept in
+ * the workspace state, so each workspace keeps its own selection.
+ */
+
+let extensionContext = null;
+
+/**
+ * Restore the injected environment of the workspace
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  extensionContext = context;
+  // Terminals restored on startup get the variables before activation
+  context.environmentVariableCollection.persistent = true;
+  applyInjections(getInjections());
+}
+
+/**
+ * Get what is injected into the workspace terminals
+ * @returns {{java?: {home: string, version?: string}, node?: {bin: string, version?: string, manager?: string}}}
+ */
+export function getInjections() {
+  return (
+    extensionContext?.workspaceState.get(STATE_KEYS.TERMINAL_ENVIRONMENT) || {}
+  );
+}
+
+/**
+ * Inject a JDK into the workspace terminals (JAVA_HOME and PATH)
+ * @param {string} javaHome - JDK home directory
+ * @param {string} [version] - Java version, for display
+ * @returns {Promise<boolean>}
+ */
+export async function injectJava(javaHome, version) {
+  return updateInjections({ java: { home: javaHome, version } }, "Java");
+}
+
+/**
+ * Inject a Node.js `bin` directory into the workspace terminals (PATH)
+ * @param {string} bin - Directory containing `node`
+ * @param {string} [version] - Node.js version, for display
+ * @param {string} [manager] - Version manager that installed it
+ * @returns {Promise<boolean>}
+ */
+export async function injectNode(bin, version, manager) {
+  return updateInjections({ node: { bin, version, manager } }, "Node.js");
+}
+
+/**
+ * Remove injected entries from the workspace terminals
+ * @param {string[]} [keys] - "java" and/or "node" (all when omitted)
+ */
+export async function clearInjections(keys) {
+  const injections = { ...getInjections() };
+  for (const key of keys || Object.keys(injections)) {
+    delete injections[key];
+  }
+  await saveInjections(injections);
+}
+
+/**
+ * Show what is injected into the workspace terminals, with actions to clear it
+ */
+export async function showTerminalEnvironment() {
+  const injections = getInjections();
+  const items = describeInjections(injections).map((entry) => ({
+    label: `$(close) Clear ${entry.name}`,
+    description: entry.summary,
+    detail: entry.changes.join(" · "),
+    keys: [entry.key],
+  }));
+
+  if (items.length === 0) {
+    ui.showInfo(
+      "Nothing is injected into the integrated terminals of this workspace. Pick a Java installation or a pinned Node.js version from the Java and Node.js checks to add one."
+    );
+    return;
+  }
+
+  if (items.length > 1) {
+    items.push({
+      label: "$(clear-all) Clear All",
+      keys: Object.keys(injections),
+    });
+  }
+
+  const selected = await ui.showQuickPick(items, {
+    placeHolder: "Injected into the integrated terminals of this workspace",
+  });
+  if (selected) {
+    await clearInjections(selected.keys);
+  }
+}
+
+/**
+ * Clear everything injected into the workspace terminals, after confirmation
+ */
+export async function clearTerminalEnvironment() {
+  const entries = describeInjections(getInjections());
+  if (entries.length === 0) {
+    ui.showInfo(
+      "Nothing is injected into the integrated terminals of this workspace."
+    );
+    return;
+  }
+
+  const confirmed = await ui.confirm(
+    `Remove ${entries.map((entry) => entry.summary).join(" and ")} from the integrated terminals of this workspace?`
+  );
+  if (confirmed) {
+    await clearInjections();
+  }
+}
+
+/**
+ * Merge new entries into the workspace injections
+ * @param {Object} entries
+ * @param {string} name - Tool name, for messages
+ * @returns {Promise<boolean>}
+ */
+async function updateInjections(entries, name) {
+  if (!extensionContext) {
+    ui.showError(`${EXTENSION_NAME} is not ready to update the terminals yet.`);
+    return false;
+  }
+
+  await saveInjections({ ...getInjections(), ...entries });
+  ui.showInfo(
+    `${name} injected into the integrated terminals of this workspace. Open a new terminal (or relaunch existing ones) to use it.`
+  );
+  return true;
+}
+
+/**
+ * Persist the injections and apply them to the collection
+ * @param {Object} injections
+ */
+async function saveInjections(injections) {
+  await extensionContext.workspaceState.update(
+    STATE_KEYS.TERMINAL_ENVIRONMENT,
+    Object.keys(injections).length > 0 ? injections : undefined
+  );
+  applyInjections(injections);
+}
+
+/**
+ * Rebuild the environment variable collection from the injections
+ * @param {Object} injections
+ */
+function applyInjections(injections) {
+  const collection = extensionContext.environmentVariableCollection;
+  collection.clear();
+
+  const binDirectories = [
+    injections.java && path.join(injections.java.home, "bin"),
+    injections.node && injections.node.bin,
+  ].filter(Boolean);
+
+  if (injections.java) {
+    collection.replace("JAVA_HOME", injections.java.home);
+  }
+  if (binDirectories.length > 0) {
+    collection.prepend(
+      "PATH",
+      binDirectories.join(path.delimiter) + path.delimiter
+    );
+  }
+
+  // Shown in the terminal tab hover (VS Code 1.87+)
+  collection.description = describeInjections(injections)
+    .map((entry) => entry.summary)
+    .join(", ");
+}
+
+/**
+ * Describe the injections for display
+ * @param {Object} injections
+ * @returns {{key: string, name: string, summary: string, changes: string[]}[]}
+ */
+function describeInjections(injections) {
+  const entries = [];
+  if (injections.java) {
+    const { home, version } = injections.java;
+    entries.push({
+      key: "java",
+      name: "Java",
+      summary: `Java${version ? ` ${version}` : ""}`,
+      changes: [`JAVA_HOME=${home}`, `PATH+=${path.join(home, "bin")}`],
+    });
+  }
+  if (injections.node) {
+    const { bin, version, manager } = injections.node;
+    entries.push({
+      key: "node",
+      name: "Node.js",
+      summary: `Node.js${version ? ` ${version}` : ""}${manager ? ` (${manager})` : ""}`,
+      changes: [`PATH+=${bin}`],
+    });
+  }
+  return entries;
+}